@@ -0,0 +1,68 @@
+// Service worker (registered from main.jsx in production builds): keeps the app shell and the
+// last task lists so the hub opens and shows tasks without the network or the proxy.
+// - pages: network first, the cached shell when offline
+// - built assets (hashed names): cache first
+// - proxy task reads (GET …/tasks, …/tasks/next, …/calendar): network first, else the last good answer,
+//   marked with an X-LF-Cached header so the app can tell it's offline; title searches (?q=) aren't kept
+// Writes are never cached; the app queues them itself (src/outbox.js).
+const SHELL_CACHE = "lf-shell-v1";
+const TASKS_CACHE = "lf-tasks-v1";
+const SHELL = "./";
+const TASK_READ = /\/(tasks(\/next)?|calendar)$/;
+
+// The shell plus the assets index.html links to, so the first offline start already works
+async function precache() {
+  const cache = await caches.open(SHELL_CACHE);
+  const res = await fetch(SHELL, { cache: "reload" });
+  const html = await res.clone().text();
+  const assets = [...html.matchAll(/(?:src|href)="([^"]*\/assets\/[^"]+)"/g)].map((m) => m[1]);
+  await cache.put(SHELL, res);
+  await cache.addAll(["manifest.webmanifest", "icon.svg", ...assets]);
+}
+
+self.addEventListener("install", (e) => {
+  e.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (e) => {
+  const keep = [SHELL_CACHE, TASKS_CACHE];
+  e.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((k) => !keep.includes(k)).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function networkFirst(req, cacheName, key = req) {
+  const cache = await caches.open(cacheName);
+  try {
+    const res = await fetch(req);
+    if (res.ok) await cache.put(key, res.clone());
+    return res;
+  } catch (e) {
+    const hit = await cache.match(key, { ignoreVary: true });
+    if (!hit) throw e;
+    if (cacheName !== TASKS_CACHE) return hit;
+    const headers = new Headers(hit.headers);
+    headers.set("X-LF-Cached", hit.headers.get("Date") || "1");
+    return new Response(hit.body, { status: hit.status, statusText: hit.statusText, headers });
+  }
+}
+
+async function cacheFirst(req) {
+  const cache = await caches.open(SHELL_CACHE);
+  const hit = await cache.match(req);
+  if (hit) return hit;
+  const res = await fetch(req);
+  if (res.ok) await cache.put(req, res.clone());
+  return res;
+}
+
+self.addEventListener("fetch", (e) => {
+  const req = e.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+  if (req.mode === "navigate") e.respondWith(networkFirst(req, SHELL_CACHE, SHELL));
+  else if (TASK_READ.test(url.pathname) && !url.searchParams.has("q")) e.respondWith(networkFirst(req, TASKS_CACHE));
+  else if (url.origin === self.location.origin && url.pathname.includes("/assets/")) e.respondWith(cacheFirst(req));
+});
@@ -1,87 +1,259 @@
-import React, { useEffect, useRef, useState } from "react";
+import React, { useCallback, useEffect, useRef, useState } from "react";
 import "./App.css";
+import {
+  createTimer, nextBlock, remainingSec, startTimer, pauseTimer, setTimerLength, summarizeTimer, logInterruption, loadTimer, saveTimer, timerTransition, INTERRUPTION_KINDS,
+} from "./timer";
+import { loadSettings, saveSettings, normalizeSettings } from "./settings";
+import SettingsPanel from "./SettingsPanel";
+import NotificationsPanel from "./NotificationsPanel";
+import CommandPalette from "./CommandPalette";
+import ShortcutsHelp from "./ShortcutsHelp";
+import ProfilesPanel from "./ProfilesPanel";
+import { activeProfile } from "./profiles";
+import { DIGIT_MINUTES, isTypingTarget } from "./shortcuts";
+import { notify, playSound, unlockAudio } from "./alerts";
+import Insights from "./Insights";
+import { addSession, loadSessions, loadDayStats, syncDayIndex } from "./sessions";
+import { createTabSync } from "./tabsync";
+import { enqueue, flushOutbox, isQueued, onOutboxChange, outboxSize } from "./outbox";
+import { dayKey, timeZone } from "./days";
 
-const genId = () => Math.random().toString(36).slice(2) + Date.now().toString(36);
+const PROXY = import.meta.env.VITE_PROXY_URL || "http://localhost:5174";
+const BASE_TITLE = document.title;
+const EVENT_REFRESH_MS = 500; // quiet time after the last live task event before refetching
 
-const SESSIONS_KEY = "lf_sessions";
-const MAX_SESSIONS = 500;
+// Simple JSON fetch wrappers; `apiKey` is sent as a Bearer token when the proxy requires one
+const authHeaders = (apiKey) => (apiKey ? { Authorization: `Bearer ${apiKey}` } : {});
 
-const saveSession = (entry) => {
-  try {
-    const arr = JSON.parse(localStorage.getItem(SESSIONS_KEY) || "[]");
-    arr.push(entry);
-    if (arr.length > MAX_SESSIONS) arr.splice(0, arr.length - MAX_SESSIONS);
-    localStorage.setItem(SESSIONS_KEY, JSON.stringify(arr));
-  } catch {}
-};
+function httpError(r, url) {
+  const message = r.status === 401 ? `The proxy needs a valid API key (Settings → Notion) for ${url}` : `HTTP ${r.status} for ${url}`;
+  return Object.assign(new Error(message), { status: r.status });
+}
 
-const dayKey = (d = new Date()) => d.toISOString().slice(0, 10);
-const yesterdayKey = () => {
-  const d = new Date();
-  d.setDate(d.getDate() - 1);
-  return dayKey(d);
-};
+// Whether the proxy answered the last request: network errors and task lists the service worker
+// served from its cache (public/sw.js) count as offline. App subscribes to show it.
+const reachabilityListeners = new Set();
+const reportReachable = (ok) => reachabilityListeners.forEach((fn) => fn(ok));
 
-const loadStats = () => {
+async function fetchJson(url, init) {
+  let r;
   try {
-    const s = JSON.parse(localStorage.getItem("lf_stats"));
-    const today = dayKey();
-    if (!s) return { todayDate: today, todayPomos: 0, todayFocusSec: 0, streak: 0, lastDay: null };
-    if (s.todayDate !== today) return { ...s, todayDate: today, todayPomos: 0, todayFocusSec: 0 };
-    return s;
-  } catch {
-    return { todayDate: dayKey(), todayPomos: 0, todayFocusSec: 0, streak: 0, lastDay: null };
+    r = await fetch(url, init);
+  } catch (e) {
+    if (e.name !== "AbortError") reportReachable(false);
+    throw e;
   }
-};
-const saveStats = (s) => localStorage.setItem("lf_stats", JSON.stringify(s));
-
-const PROXY = import.meta.env.VITE_PROXY_URL || "http://localhost:5174";
-
-// Simple JSON fetch wrapper
-async function getJson(url, signal) {
-  const r = await fetch(url, { signal });
-  if (!r.ok) throw new Error(`HTTP ${r.status} for ${url}`);
+  reportReachable(!r.headers.get("X-LF-Cached"));
+  if (!r.ok) throw httpError(r, url);
   return r.json();
 }
 
-export default function App() {
-  // Constants for default lengths (minutes)
-  const DEFAULT_FOCUS_MIN = 25;
-  const DEFAULT_BREAK_MIN = 5;
+const getJson = (url, signal, apiKey) => fetchJson(url, { signal, headers: authHeaders(apiKey) });
+
+const sendJson = (method, url, body, signal, apiKey) =>
+  fetchJson(url, {
+    method,
+    headers: { "Content-Type": "application/json", ...authHeaders(apiKey) },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+// "YYYY-MM-DDTHH:mm" in local time, for <input type="datetime-local">
+const toLocalInput = (d) => {
+  const p = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())}T${p(d.getHours())}:${p(d.getMinutes())}`;
+};
 
+export default function App() {
   // UI state 
   const [activeTab, setActiveTab] = useState("timer"); // "timer" | "ui"
   const [drawerOpen, setDrawerOpen] = useState(false);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [alertsOpen, setAlertsOpen] = useState(false);
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  const [helpOpen, setHelpOpen] = useState(false);
+  const [profilesOpen, setProfilesOpen] = useState(false);
+  const [profile, setProfile] = useState(activeProfile); // see profiles.js; switching reloads the page
+  const taskSources = profile.sources.join(",");
+  const [history, setHistory] = useState([]); // session log for the insights tab
+
+  const [storageError, setStorageError] = useState(null);
+  const reportStorageError = (e) => {
+    console.error("Storage error:", e);
+    setStorageError(`Couldn't access saved history: ${e?.message || e}`);
+  };
+
+  const reloadHistory = () => loadSessions().then(setHistory, reportStorageError);
+
+  // Reload the history whenever the insights tab opens
+  const reloadHistoryRef = useRef(null);
+  reloadHistoryRef.current = reloadHistory;
+  useEffect(() => {
+    if (activeTab === "ui") reloadHistoryRef.current();
+  }, [activeTab]);
 
   // Timer state 
-  const [mode, setMode] = useState("focus"); // "focus" | "break"
-  const [focusLenSec] = useState(DEFAULT_FOCUS_MIN * 60);
-  const [breakLenSec] = useState(DEFAULT_BREAK_MIN * 60);
-  const [time, setTime] = useState(DEFAULT_FOCUS_MIN * 60);
-  const [sessionTotalSec, setSessionTotalSec] = useState(DEFAULT_FOCUS_MIN * 60);
-  const [isRunning, setIsRunning] = useState(false);
-
-  // Stats/session bookkeeping 
-  const [stats, setStats] = useState(loadStats);
+  const [settings, setSettings] = useState(loadSettings); // block lengths & cycle, see settings.js
+  const focusLenSec = settings.focusMin * 60;
+  const breakLenSec = settings.breakMin * 60;
+  const longBreakLenSec = settings.longBreakMin * 60;
+  const proxy = settings.proxyUrl || PROXY;
+  const blockLenSec = (b) => (b.mode === "focus" ? focusLenSec : b.longBreak ? longBreakLenSec : breakLenSec);
+  const [timer, setTimer] = useState(() => loadTimer(createTimer("focus", focusLenSec))); // see timer.js
+  const [now, setNow] = useState(Date.now); // re-render clock; the timer itself runs on timestamps
+  const { mode, running: isRunning } = timer;
+  const time = remainingSec(timer, now);
+  const inFocusBlock = mode === "focus" && Boolean(timer.sessionId); // started, maybe paused
+  const [distraction, setDistraction] = useState(null); // {kind, note} while the log dialog is open
+  const linkTask = (task) => (task?.id ? { id: task.id, source: task.source || null, title: task.title || null, estimateMin: task.lengthMin ?? null } : null);
+
+  // Stats/session bookkeeping (derived from stored sessions, see sessions.js)
+  const [stats, setStats] = useState({ todayPomos: 0, todayFocusSec: 0, streak: 0 });
+  const refreshStats = () =>
+    syncDayIndex(settings.dayRolloverHour)
+      .then(() => loadDayStats(dayKey(new Date(), settings.dayRolloverHour)))
+      .then(setStats, reportStorageError);
   const endedRef = useRef(false);             // guards double-firing when time hits 0
-  const [currentSessionId, setCurrentSessionId] = useState(null);
-  const [sessionStartISO, setSessionStartISO] = useState(null);
+
+  // Tab sync: timer states that came from another tab aren't sent back out
+  const tabSyncRef = useRef(null);
+  const remoteTimerRef = useRef(timer);
+  const [isLeader, setIsLeader] = useState(false);
+
+  // Connection: browser online, proxy reachable, and writes waiting in the outbox (see outbox.js)
+  const [netOnline, setNetOnline] = useState(() => navigator.onLine);
+  const [proxyOnline, setProxyOnline] = useState(true);
+  const [outboxCount, setOutboxCount] = useState(outboxSize);
+  const [syncing, setSyncing] = useState(false);
+  const outboxRunRef = useRef(Promise.resolve());
 
   // Notion "next task"
   const [nextTask, setNextTask] = useState(null); // {id?, title, lengthMin, plannedStartISO}
   const [showNextPopup, setShowNextPopup] = useState(false);
   const autostartRef = useRef(null); // holds timeout id for plannedStart
+  const autostartTaskRef = useRef(null); // {id, plannedStartISO} the pending autostart belongs to
+
+  // Post-focus prompt for the linked Notion task: "choose" | "more" | "reschedule"
+  const [taskPrompt, setTaskPrompt] = useState(null); // {task, view, extraMin, startLocal, busy, error}
+
+  // Tasks drawer lists
+  const [drawerTasks, setDrawerTasks] = useState({ today: [], meetings: [], unsorted: [], loading: false, error: null });
 
   // Inline minute editing
   const [editingMin, setEditingMin] = useState(false);
   const [editMinValue, setEditMinValue] = useState("");
 
-  // Tick once per second while running
+  // Refresh the display while running, just after each whole second of the countdown (the last one
+  // being the end itself); throttled ticks just catch up on the next one
   useEffect(() => {
-    if (!isRunning) return;
-    const id = setInterval(() => setTime((t) => (t > 0 ? t - 1 : 0)), 1000);
+    if (!timer.running) return;
+    let id;
+    const tick = () => {
+      const at = Date.now();
+      setNow(at);
+      clearTimeout(id);
+      id = setTimeout(tick, (((timer.endAt - at) % 1000) + 1000) % 1000 + 5);
+    };
+    tick();
+    document.addEventListener("visibilitychange", tick);
+    return () => {
+      clearTimeout(id);
+      document.removeEventListener("visibilitychange", tick);
+    };
+  }, [timer.running, timer.endAt]);
+
+  useEffect(() => saveSettings(settings), [settings]);
+
+  // Stats on load, and again when coming back to the tab (the day may have rolled over)
+  const refreshStatsRef = useRef(null);
+  refreshStatsRef.current = refreshStats;
+  useEffect(() => {
+    const onFocus = () => refreshStatsRef.current();
+    onFocus();
+    window.addEventListener("focus", onFocus);
+    return () => window.removeEventListener("focus", onFocus);
+  }, [settings.dayRolloverHour]);
+
+  // Live countdown in the tab title while a block is running or paused mid-way
+  useEffect(() => {
+    const started = isRunning || timer.sessionId;
+    document.title = settings.titleCountdown && started
+      ? `${pad(Math.floor(time / 60))}:${pad(time % 60)} ${mode === "focus" ? "Focus" : "Break"}${isRunning ? "" : " (paused)"} · ${BASE_TITLE}`
+      : BASE_TITLE;
+  }, [time, mode, isRunning, timer.sessionId, settings.titleCountdown]);
+  useEffect(() => () => { document.title = BASE_TITLE; }, []);
+
+  // Heads-up notification a few minutes before the next task's planned start (once per task/start,
+  // from the leader tab only)
+  const headsUpRef = useRef(null);
+  useEffect(() => {
+    const startMs = nextTask?.plannedStartISO && nextTask.plannedStartISO.length > 10 ? Date.parse(nextTask.plannedStartISO) : NaN;
+    if (!isLeader || !settings.notifications || !settings.taskLeadMin || Number.isNaN(startMs)) return;
+    const key = `${nextTask.id}@${nextTask.plannedStartISO}`;
+    if (headsUpRef.current === key || startMs <= Date.now()) return;
+    const id = setTimeout(() => {
+      headsUpRef.current = key;
+      const mins = Math.max(1, Math.round((startMs - Date.now()) / 60000));
+      notify(`Up next in ${mins} min`, { body: `${nextTask.title || "Untitled"} · ${fmtTime(nextTask.plannedStartISO)}`, tag: "task-heads-up" });
+    }, Math.max(0, startMs - settings.taskLeadMin * 60000 - Date.now()));
+    return () => clearTimeout(id);
+  }, [nextTask?.id, nextTask?.title, nextTask?.plannedStartISO, settings.notifications, settings.taskLeadMin, isLeader]);
+
+  // Other tabs of this profile: adopt their timer changes (see tabsync.js)
+  useEffect(() => {
+    const sync = createTabSync({
+      onTimer: (t) => {
+        remoteTimerRef.current = t;
+        setTimer(t);
+      },
+      onLeaderChange: setIsLeader,
+    });
+    tabSyncRef.current = sync;
+    return () => {
+      tabSyncRef.current = null;
+      sync.close();
+    };
+  }, []);
+
+  useEffect(() => {
+    const online = () => setNetOnline(true);
+    const offline = () => setNetOnline(false);
+    window.addEventListener("online", online);
+    window.addEventListener("offline", offline);
+    reachabilityListeners.add(setProxyOnline);
+    const unsubscribe = onOutboxChange(setOutboxCount);
+    return () => {
+      window.removeEventListener("online", online);
+      window.removeEventListener("offline", offline);
+      reachabilityListeners.delete(setProxyOnline);
+      unsubscribe();
+    };
+  }, []);
+
+  // Send queued writes as soon as there are any or the connection comes back, then keep retrying
+  const syncOutboxRef = useRef(null);
+  syncOutboxRef.current = syncOutbox;
+  useEffect(() => {
+    if (!outboxCount) return;
+    syncOutboxRef.current();
+    const id = setInterval(() => syncOutboxRef.current(), 30000);
     return () => clearInterval(id);
-  }, [isRunning]);
+  }, [outboxCount, netOnline, proxyOnline]);
+
+  // Persist so a reload resumes (or finishes) the block where it left off, and share local
+  // changes with the other tabs; starts, pauses and resumes made here are reported to the proxy
+  const lastTimerRef = useRef(timer);
+  const reportTimerRef = useRef(null);
+  reportTimerRef.current = reportTimer;
+  useEffect(() => {
+    saveTimer(timer);
+    const prev = lastTimerRef.current;
+    lastTimerRef.current = timer;
+    if (timer === remoteTimerRef.current) return;
+    tabSyncRef.current?.publishTimer(timer);
+    const transition = timerTransition(prev, timer);
+    if (transition) reportTimerRef.current(transition, timer);
+  }, [timer]);
 
   // When time hits zero, end current mode once
   useEffect(() => {
@@ -89,152 +261,512 @@ export default function App() {
   }, [time, isRunning]);
   useEffect(() => {
     endedRef.current = false;
-  }, [mode, sessionTotalSec]);
+  }, [mode, timer.totalSec]);
 
-  // Initial data: pull next task once, set ESC to close modal
+  // Initial data: pull next task once (popup per settings, as they were on load)
+  const loadNextTaskRef = useRef(null);
+  loadNextTaskRef.current = (signal) => refreshNextTask(signal, { quiet: !settings.openNextOnLoad });
   useEffect(() => {
     const ctrl = new AbortController();
     (async () => {
-      try { await refreshNextTask(ctrl.signal); } catch (e) { console.error(e); }
+      try { await loadNextTaskRef.current(ctrl.signal); } catch (e) { console.error(e); }
     })();
 
-    const onKey = (e) => { if (e.key === "Escape") setShowNextPopup(false); };
-    window.addEventListener("keydown", onKey);
-
     return () => {
       ctrl.abort();
-      window.removeEventListener("keydown", onKey);
       if (autostartRef.current) clearTimeout(autostartRef.current);
     };
   }, []);
 
-  // Load the next Notion task 
-  async function refreshNextTask(signal) {
+  // Global keyboard shortcuts (see shortcuts.js); the ref keeps the listener on current state
+  const keyHandlerRef = useRef(null);
+  keyHandlerRef.current = (e) => {
+    if (e.defaultPrevented) return;
+    const mod = e.ctrlKey || e.metaKey;
+    if (mod && e.key.toLowerCase() === "k") {
+      e.preventDefault();
+      setPaletteOpen((o) => !o);
+      return;
+    }
+    if (e.key === "Escape") {
+      // Topmost overlay first
+      const close = [
+        [paletteOpen, setPaletteOpen], [helpOpen, setHelpOpen], [alertsOpen, setAlertsOpen],
+        [settingsOpen, setSettingsOpen], [profilesOpen, setProfilesOpen], [distraction, setDistraction], [showNextPopup, setShowNextPopup],
+        [drawerOpen, setDrawerOpen],
+      ].find(([open]) => open);
+      close?.[1](false);
+      return;
+    }
+    if (mod || e.altKey || e.repeat || isTypingTarget(e.target)) return;
+    if (e.key === "?") {
+      setHelpOpen((o) => !o);
+      return;
+    }
+    if (paletteOpen || helpOpen || alertsOpen || settingsOpen || profilesOpen || distraction || showNextPopup || taskPrompt) return;
+
+    const actions = {
+      " ": handleStartPause,
+      r: handleReset,
+      s: skipBreak,
+      d: openDistraction,
+      n: () => refreshNextTask(),
+      t: () => setDrawerOpen((o) => !o),
+    };
+    const action = actions[e.key.toLowerCase()];
+    if (action) {
+      e.preventDefault(); // Space would also click a focused button
+      action();
+    } else if (/^[1-9]$/.test(e.key)) {
+      e.preventDefault();
+      setBlockMinutes(Number(e.key) * DIGIT_MINUTES);
+    }
+  };
+  useEffect(() => {
+    const onKey = (e) => keyHandlerRef.current(e);
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  // The proxy computes "today" in our time zone and with our rollover hour, and merges the
+  // profile's task sources (none listed = all of them)
+  const taskQuery = (sources = profile.sources) =>
+    new URLSearchParams({ tz: timeZone(), rollover: settings.dayRolloverHour, ...(sources.length ? { sources: sources.join(",") } : {}) }).toString();
+
+  // Load the next Notion task; `quiet` (live updates) leaves the popup alone and keeps the old task on errors
+  async function refreshNextTask(signal, { quiet = false, sources } = {}) {
     try {
-      const data = await getJson(`${PROXY}/tasks/next`, signal);
+      const data = await getJson(`${proxy}/tasks/next?${taskQuery(sources)}`, signal, settings.apiKey);
       const candidate = data?.next ?? data ?? null;   // proxy may return {next} or direct
       if (candidate) {
         setNextTask(candidate);
-        setShowNextPopup(true);
+        if (!quiet) setShowNextPopup(true);
       } else {
         setNextTask(null);
         setShowNextPopup(false);
       }
     } catch (e) {
       console.error("Failed to fetch next task:", e);
+      // Offline (no HTTP status): keep showing the last known task
+      if (quiet || !e.status) return;
       setNextTask(null);
       setShowNextPopup(false);
     }
   }
 
+  // Live task changes pushed by the proxy (GET /events). They come in bursts (applying a plan sends
+  // one per task), so the drawer and the next task are refetched once, after the last of them.
+  const eventRefreshRef = useRef({ id: null, next: false });
+  const flushEventRefreshRef = useRef(null);
+  flushEventRefreshRef.current = (next) => {
+    if (drawerOpen) refreshDrawerTasks();
+    if (next && !timer.sessionId && !autostartTaskRef.current) refreshNextTask(undefined, { quiet: true });
+  };
+  function refreshAfterEvents({ next }) {
+    const pending = eventRefreshRef.current;
+    pending.next ||= next;
+    clearTimeout(pending.id);
+    pending.id = setTimeout(() => {
+      eventRefreshRef.current = { id: null, next: false };
+      flushEventRefreshRef.current(pending.next);
+    }, EVENT_REFRESH_MS);
+  }
+
+  function handleTaskEvent(type, task) {
+    if (!task?.id) return;
+
+    // A task marked done comes as an update (the proxy sets `done`), but counts as gone here
+    const gone = type === "task.deleted" || task.done;
+
+    // The applied task moved in Notion: follow it with the pending autostart
+    const pending = autostartTaskRef.current;
+    if (pending?.id === task.id) {
+      if (gone) scheduleAutostart(null);
+      else if (task.plannedStartISO !== pending.plannedStartISO) scheduleAutostart(task);
+    }
+
+    const isNext = nextTask?.id === task.id;
+    if (isNext && !gone) setNextTask((prev) => ({ ...prev, ...task }));
+    const busy = Boolean(timer.sessionId || autostartTaskRef.current);
+    if (isNext && gone && !busy) setNextTask(null);
+    // Any change may make another task the next one, the changed next task included (it may have moved)
+    refreshAfterEvents({ next: !busy });
+  }
+
+  const taskEventRef = useRef(null);
+  useEffect(() => {
+    taskEventRef.current = handleTaskEvent;
+  });
+
+  // Subscribe per proxy URL; EventSource retries dropped connections itself, we only redo closed ones.
+  // EventSource can't send headers, so the API key goes in the query string.
+  const apiKey = settings.apiKey;
+  useEffect(() => {
+    let es = null;
+    let retryId = null;
+    let delay = 1000;
+    const connect = () => {
+      const params = new URLSearchParams({ ...(apiKey ? { key: apiKey } : {}), ...(taskSources ? { sources: taskSources } : {}) });
+      es = new EventSource(`${proxy}/events?${params}`);
+      es.addEventListener("ready", () => { delay = 1000; });
+      for (const type of ["task.created", "task.updated", "task.deleted"]) {
+        es.addEventListener(type, (e) => {
+          try {
+            taskEventRef.current?.(type, JSON.parse(e.data).task);
+          } catch (err) {
+            console.error("Bad task event:", err);
+          }
+        });
+      }
+      es.onerror = () => {
+        if (es.readyState !== EventSource.CLOSED) return;
+        retryId = setTimeout(connect, delay);
+        delay = Math.min(delay * 2, 60000);
+      };
+    };
+    connect();
+    return () => {
+      clearTimeout(retryId);
+      es?.close();
+    };
+  }, [proxy, apiKey, taskSources]);
+
+  // Load the drawer sections: today's tasks and meetings (the proxy's calendar feeds) in calendar
+  // order + unscheduled tasks. Meetings are extras: without them the tasks still show.
+  async function refreshDrawerTasks(signal, sources) {
+    setDrawerTasks((prev) => ({ ...prev, loading: true, error: null }));
+    try {
+      const [today, unsorted, calendar] = await Promise.all([
+        getJson(`${proxy}/tasks?range=today&${taskQuery(sources)}`, signal, settings.apiKey),
+        getJson(`${proxy}/tasks?range=unscheduled&${taskQuery(sources)}`, signal, settings.apiKey),
+        getJson(`${proxy}/calendar?range=today&${taskQuery(sources)}`, signal, settings.apiKey).catch((e) => {
+          if (e.name === "AbortError") throw e;
+          console.warn("Failed to fetch calendar:", e);
+          return null;
+        }),
+      ]);
+      setDrawerTasks({ today: today?.tasks || [], meetings: calendar?.events || [], unsorted: unsorted?.tasks || [], loading: false, error: null });
+    } catch (e) {
+      if (e.name === "AbortError") return;
+      console.error("Failed to fetch tasks:", e);
+      setDrawerTasks((prev) => ({ ...prev, loading: false, error: "Couldn't load tasks from Notion." }));
+    }
+  }
+
+  // Refetch the drawer whenever it opens
+  const refreshDrawerRef = useRef(null);
+  refreshDrawerRef.current = refreshDrawerTasks;
+  useEffect(() => {
+    if (!drawerOpen) return;
+    const ctrl = new AbortController();
+    refreshDrawerRef.current(ctrl.signal);
+    return () => ctrl.abort();
+  }, [drawerOpen]);
+
   // Start/Pause
   function handleStartPause() {
-    setIsRunning((running) => {
-      if (!running && !currentSessionId) {
-        setCurrentSessionId(genId());
-        setSessionStartISO(new Date().toISOString());
-      }
-      return !running;
-    });
+    unlockAudio();
+    setTimer((t) => (t.running ? pauseTimer(t) : startTimer(t, Date.now(), linkTask(nextTask))));
   }
 
-  // End of countdown: record session, advance mode, update streaks
+  // End of countdown: record session, advance mode, update streaks. Every open tab gets here;
+  // the one that stores the session finishes the block and the others take the next block
+  // from it over the tab channel.
   function handleTimerEnd() {
     if (endedRef.current) return;
     endedRef.current = true;
-    setIsRunning(false);
 
-    const endDate = new Date();
-    const elapsedSec = sessionStartISO
-      ? Math.max(1, Math.round((endDate - new Date(sessionStartISO)) / 1000))
-      : sessionTotalSec;
+    const task = timer.task || linkTask(nextTask);
+    const entry = sessionEntry(task, "completed");
+    addSession(entry, settings.dayRolloverHour).then(
+      (added) => added && finishBlock(entry, task),
+      (e) => {
+        reportStorageError(e);
+        finishBlock(entry, task);
+      }
+    );
+  }
 
-    saveSession({
-      id: currentSessionId || genId(),
+  // Session record of the current block up to now; durationSec is time actually spent running,
+  // pauses are counted, not included
+  function sessionEntry(task, outcome) {
+    const summary = summarizeTimer(timer, Date.now());
+    return {
+      id: summary.sessionId,
       mode,
-      startISO: sessionStartISO || new Date(Date.now() - sessionTotalSec * 1000).toISOString(),
-      endISO: endDate.toISOString(),
-      durationSec: elapsedSec,
-      taskId: nextTask?.id || null,
-      taskLabel: nextTask?.title || null,
-    });
-    setCurrentSessionId(null);
-    setSessionStartISO(null);
+      outcome,
+      startISO: summary.startISO,
+      endISO: summary.endISO,
+      durationSec: summary.focusedSec,
+      pauses: summary.pauses,
+      interruptions: summary.interruptions,
+      cycleIndex: timer.cycleIndex,
+      ...(mode === "break" ? { longBreak: timer.longBreak } : {}),
+      taskId: task?.id || null,
+      taskSource: task?.source || null,
+      taskLabel: task?.title || null,
+      taskEstimateMin: task?.estimateMin ?? null,
+    };
+  }
+
+  // Timer transitions for the proxy's webhooks (notion-proxy/webhooks.js). Best effort: a late
+  // "started" message would be wrong, so nothing is queued when the proxy can't be reached.
+  function reportTimer(transition, t, minutes = Math.round(t.totalSec / 60)) {
+    if (!settings.reportTimer) return;
+    const body = {
+      transition,
+      sessionId: t.sessionId,
+      mode: t.mode,
+      minutes,
+      user: profile.name,
+      task: t.task ? { id: t.task.id, title: t.task.title, source: t.task.source } : null,
+      startISO: t.startISO,
+      interruptions: t.interruptions?.length || 0,
+    };
+    sendJson("POST", `${proxy}/timer`, body, undefined, settings.apiKey).catch((e) => console.warn("Couldn't report the timer:", e.message));
+  }
+
+  // A focus block given up half-way (reset, or replaced by another task) is kept as "abandoned"
+  // with the time it ran; call before replacing the timer
+  function abandonFocus() {
+    if (!inFocusBlock) return;
+    const entry = sessionEntry(timer.task, "abandoned");
+    addSession(entry, settings.dayRolloverHour).then((added) => {
+      refreshStats();
+      if (added) reportTimer("abandoned", timer, Math.round(entry.durationSec / 60));
+      if (!added || !entry.taskId) return;
+      enqueue("POST", "/sessions", entry);
+      syncOutbox();
+    }, reportStorageError);
+  }
+
+  // "Got distracted": the dialog collects an optional note and whether it came from inside or outside
+  function openDistraction() {
+    if (inFocusBlock) setDistraction({ kind: "internal", note: "" });
+  }
+  function logDistraction(kind) {
+    setTimer((t) => logInterruption(t, { kind, note: distraction?.note || "" }));
+    setDistraction(null);
+  }
+
+  function finishBlock(entry, task) {
+    refreshStats();
+    reportTimer("completed", { ...timer, task }, Math.round(entry.durationSec / 60));
+
+    // Focus time on a Notion task is written back to its page, via the outbox
+    if (mode === "focus" && entry.taskId) {
+      enqueue("POST", "/sessions", entry);
+      syncOutbox();
+    }
+
+    alertBlockEnd(task);
 
     if (mode === "focus") {
-      // Streak rule: same day -> hold; yesterday -> +1; otherwise reset to 1 
-      setStats((prev) => {
-        const today = dayKey();
-        let streak = prev.streak || 0;
-        if (prev.lastDay === today) streak = prev.streak || 1;
-        else if (prev.lastDay === yesterdayKey()) streak = (prev.streak || 0) + 1;
-        else streak = 1;
-
-        const next = {
-          todayDate: today,
-          todayPomos: (prev.todayPomos || 0) + 1,
-          todayFocusSec: (prev.todayFocusSec || 0) + elapsedSec,
-          streak,
-          lastDay: today,
-        };
-        saveStats(next);
-        return next;
-      });
-
-      setMode("break");
-      setTime(breakLenSec);
-      setSessionTotalSec(breakLenSec);
+      advanceTimer(timer, settings.autoStartBreaks);
+
+      if (task) {
+        const later = new Date(Date.now() + 60 * 60000);
+        const promptTask = nextTask?.id === task.id ? nextTask : task;
+        setTaskPrompt({ task: promptTask, view: "choose", extraMin: "15", startLocal: toLocalInput(later), busy: false, error: null });
+      }
     } else {
-      setMode("focus");
-      setTime(focusLenSec);
-      setSessionTotalSec(focusLenSec);
+      advanceTimer(timer, settings.autoStartFocus);
     }
   }
 
-  // Reset current mode timer 
-  function handleReset() {
-    setIsRunning(false);
+  // Sound always; a desktop notification only when the tab isn't being looked at
+  function alertBlockEnd(task) {
+    playSound(settings.sound, settings.soundVolume);
+    if (!settings.notifications || !settings.notifyBlockEnd || !document.hidden) return;
+    const b = nextBlock(timer, settings);
     if (mode === "focus") {
-      setTime(focusLenSec);
-      setSessionTotalSec(focusLenSec);
+      notify("Focus block done", { body: `${task?.title ? `${task.title} · ` : ""}Time for a ${b.longBreak ? "long " : ""}break.`, tag: "block-end" });
     } else {
-      setTime(breakLenSec);
-      setSessionTotalSec(breakLenSec);
+      notify("Break's over", { body: task?.title ? `Back to ${task.title}.` : "Back to focus.", tag: "block-end" });
     }
-    setCurrentSessionId(null);
-    setSessionStartISO(null);
+  }
+
+  // Move to the next block of the cycle (focus -> short/long break -> focus), optionally starting it
+  function advanceTimer(from, autoStart) {
+    const b = nextBlock(from, settings);
+    const next = createTimer(b.mode, blockLenSec(b), { task: from.task, cycleIndex: b.cycleIndex, longBreak: b.longBreak });
+    setTimer(autoStart ? startTimer(next, Date.now()) : next);
+  }
+  // Cycle position a new focus block takes: the current one, or the one after this break
+  const focusCycleIndex = () => (mode === "focus" ? timer.cycleIndex : nextBlock(timer, settings).cycleIndex);
+
+  // Reset current mode timer 
+  function handleReset() {
+    abandonFocus();
+    setTimer(createTimer(mode, blockLenSec(timer), { task: timer.task, cycleIndex: timer.cycleIndex, longBreak: timer.longBreak }));
     endedRef.current = false;
   }
 
   // Skip break and jump back to focus
   function skipBreak() {
     if (mode !== "break") return;
-    setIsRunning(false);
-    setMode("focus");
-    setTime(focusLenSec);
-    setSessionTotalSec(focusLenSec);
-    setCurrentSessionId(null);
-    setSessionStartISO(null);
+    advanceTimer(timer, false);
     endedRef.current = false;
   }
 
-  // Apply next task length to timer; optional autostart at plannedStart 
-  function applyNextTask() {
-    if (!nextTask) return;
-    const secs = Math.max(60, Math.round(Number(nextTask.lengthMin || 25)) * 60);
-    setIsRunning(false);
-    setMode("focus");
-    setTime(secs);
-    setSessionTotalSec(secs);
+  // Start the cycle over at block 1 (keeps the current mode and length)
+  function resetCycle() {
+    setTimer((t) => ({ ...t, cycleIndex: 1, longBreak: false }));
+  }
 
-    if (autostartRef.current) clearTimeout(autostartRef.current);
-    if (nextTask.plannedStartISO) {
-      const ms = new Date(nextTask.plannedStartISO).getTime() - Date.now();
-      autostartRef.current = setTimeout(() => setIsRunning(true), Math.max(0, ms));
+  // Settings edits; an idle timer picks up the new length right away
+  function updateSettings(patch) {
+    const next = normalizeSettings({ ...settings, ...patch });
+    setSettings(next);
+    if (!timer.sessionId && !timer.running) {
+      const len = timer.mode === "focus" ? next.focusMin : timer.longBreak ? next.longBreakMin : next.breakMin;
+      setTimer((t) => createTimer(t.mode, len * 60, { task: t.task, cycleIndex: Math.min(t.cycleIndex, next.longBreakEvery), longBreak: t.longBreak }));
     }
+  }
+
+  // Apply a task's length to the timer; optional autostart at plannedStart 
+  const taskLenSec = (task) => Math.max(60, Math.round(Number(task.lengthMin || settings.defaultTaskMin)) * 60);
+  function applyTask(task) {
+    if (!task) return;
+    setNextTask(task);
+    abandonFocus();
+    setTimer(createTimer("focus", taskLenSec(task), { task: linkTask(task), cycleIndex: focusCycleIndex() }));
+
+    scheduleAutostart(task);
     setShowNextPopup(false);
   }
 
+  // Start a focus block on a task right away, ignoring its planned start (command palette)
+  function startTaskNow(task) {
+    unlockAudio();
+    setNextTask(task);
+    scheduleAutostart(null);
+    setShowNextPopup(false);
+    const block = createTimer("focus", taskLenSec(task), { task: linkTask(task), cycleIndex: focusCycleIndex() });
+    abandonFocus();
+    setTimer(startTimer(block, Date.now()));
+    endedRef.current = false;
+  }
+
+  // Open tasks for the palette: upcoming ones soonest first, then unscheduled ones, like the drawer;
+  // with a `search`, the open tasks whose title contains it, wherever they are in the database
+  const loadPaletteTasks = useCallback(
+    (signal, search) => {
+      const list = (params) =>
+        getJson(
+          `${proxy}/tasks?${new URLSearchParams({ ...params, pageSize: 100, tz: timeZone(), rollover: settings.dayRolloverHour, ...(taskSources ? { sources: taskSources } : {}) })}`,
+          signal,
+          settings.apiKey
+        ).then((data) => data?.tasks || []);
+      if (search) return list({ range: "all", q: search });
+      return Promise.all([list({ range: "upcoming" }), list({ range: "unscheduled" })]).then((lists) => lists.flat());
+    },
+    [proxy, settings.dayRolloverHour, settings.apiKey, taskSources]
+  );
+
+  // Task sources the proxy offers this key, for the profile panel
+  const loadProxySources = useCallback(
+    (signal) => getJson(`${proxy}/sources`, signal, settings.apiKey).then((data) => data?.sources || []),
+    [proxy, settings.apiKey]
+  );
+
+  // Renamed profile or new source selection: reload the tasks from the new sources right away
+  function changeProfile(next) {
+    const sourcesChanged = next.sources.join(",") !== taskSources;
+    setProfile(next);
+    if (!sourcesChanged) return;
+    refreshNextTask(undefined, { quiet: true, sources: next.sources });
+    if (drawerOpen) refreshDrawerTasks(undefined, next.sources);
+  }
+
+  // (Re)arms the timer to start at the task's planned start; null cancels
+  function scheduleAutostart(task) {
+    if (autostartRef.current) clearTimeout(autostartRef.current);
+    autostartRef.current = null;
+    autostartTaskRef.current = null;
+    if (!task?.plannedStartISO) return;
+    const ms = new Date(task.plannedStartISO).getTime() - Date.now();
+    autostartTaskRef.current = { id: task.id, plannedStartISO: task.plannedStartISO };
+    autostartRef.current = setTimeout(() => {
+      autostartRef.current = null;
+      autostartTaskRef.current = null;
+      setTimer((t) => startTimer(t, Date.now(), linkTask(task)));
+    }, Math.max(0, ms));
+  }
+  const applyNextTask = () => applyTask(nextTask);
+
+  // Sends the outbox with the current proxy settings; runs one after another in this tab
+  function syncOutbox() {
+    const send = async (item) => {
+      const data = await sendJson(item.method, `${proxy}${item.path}`, item.body, undefined, settings.apiKey);
+      // POST /sessions answers 200 with a result per session; a Notion outage there is worth a retry
+      const retry = data?.results?.find((r) => !r.ok && (r.status >= 500 || r.status === 429));
+      if (retry) throw Object.assign(new Error(retry.error), { status: retry.status });
+      return data;
+    };
+    const run = outboxRunRef.current.then(() => {
+      setSyncing(true);
+      return flushOutbox(send);
+    });
+    outboxRunRef.current = run
+      .then(({ failed }) => failed.forEach(({ item, error }) => console.error(`Proxy rejected ${item.method} ${item.path}:`, error)))
+      .catch((e) => console.error("Outbox sync failed:", e))
+      .finally(() => setSyncing(false));
+    return run;
+  }
+
+  // Post-focus task actions: each PATCHes the task (through the outbox), then reloads what's next.
+  // Offline, the change waits in the outbox and the prompt goes on with the task as patched here.
+  async function runTaskUpdate(patch, after) {
+    const task = taskPrompt?.task;
+    if (!task) return;
+    setTaskPrompt((p) => ({ ...p, busy: true, error: null }));
+    try {
+      const source = task.source ? `?source=${encodeURIComponent(task.source)}` : "";
+      const item = enqueue("PATCH", `/tasks/${encodeURIComponent(task.id)}${source}`, patch);
+      const { sent, failed } = await syncOutbox();
+      const rejected = failed.find((f) => f.item.id === item.id);
+      if (rejected) throw rejected.error;
+      const patched = {
+        ...task,
+        ...(patch.lengthMin ? { lengthMin: patch.lengthMin } : {}),
+        ...(patch.startISO ? { plannedStartISO: patch.startISO, plannedEndISO: patch.endISO } : {}),
+      };
+      setTaskPrompt(null);
+      after(isQueued(item.id) ? patched : sent.get(item.id)?.task || patched);
+      if (drawerOpen) refreshDrawerTasks();
+    } catch (e) {
+      console.error("Failed to update task:", e);
+      setTaskPrompt((p) => ({ ...p, busy: false, error: "Couldn't update the task in Notion." }));
+    }
+  }
+
+  function markTaskDone() {
+    runTaskUpdate({ done: true, user: profile.name }, () => refreshNextTask());
+  }
+
+  // Bumps the estimate and loads another focus block of the extra minutes
+  function needMoreTime() {
+    const extra = Math.max(1, Math.min(999, Number(taskPrompt.extraMin) || 15));
+    const lengthMin = Math.round(Number(taskPrompt.task.lengthMin || 0)) + extra;
+    runTaskUpdate({ lengthMin }, (task) => {
+      scheduleAutostart(null);
+      setNextTask(task);
+      setTimer(createTimer("focus", extra * 60, { task: linkTask(task), cycleIndex: focusCycleIndex() }));
+    });
+  }
+
+  function rescheduleTask() {
+    const start = new Date(taskPrompt.startLocal);
+    if (Number.isNaN(start.getTime())) {
+      setTaskPrompt((p) => ({ ...p, error: "Pick a valid date and time." }));
+      return;
+    }
+    const lengthMin = Math.round(Number(taskPrompt.task.lengthMin || settings.defaultTaskMin));
+    const endISO = new Date(start.getTime() + lengthMin * 60000).toISOString();
+    runTaskUpdate({ startISO: start.toISOString(), endISO }, () => refreshNextTask());
+  }
+
   // Inline minutes editing 
   const minutesNow = Math.floor(time / 60);
   const secondsNow = time % 60;
@@ -247,19 +779,25 @@ export default function App() {
     const n = Math.max(1, Math.min(999, Number(next)));
     if (Number.isFinite(n)) {
       const newTotal = n * 60 + secondsNow;
-      setTime(newTotal);
-      setSessionTotalSec(newTotal);
+      setTimer((t) => setTimerLength(t, newTotal));
       endedRef.current = false;
     }
     setEditingMin(false);
   }
+  // Quick durations (digit keys)
+  function setBlockMinutes(min) {
+    setTimer((t) => setTimerLength(t, min * 60));
+    endedRef.current = false;
+  }
 
   // Small subcomponents
-  function SideNav({ activeTab, setActiveTab, onRefresh, onHelp }) {
+  function SideNav({ activeTab, setActiveTab, profileName, onProfiles, onRefresh, onAlerts, onSettings, onHelp }) {
     return (
       <aside className="sidenav" aria-label="App navigation">
         <div className="nav-group">
-          <div className="avatar" title="Logged-in user (temp)">P</div>
+          <button className="avatar" onClick={onProfiles} title={`Profile: ${profileName} (switch or manage)`}>
+            {profileName.slice(0, 1).toUpperCase()}
+          </button>
         </div>
 
         <div className="nav-group" role="tablist" aria-orientation="vertical">
@@ -281,15 +819,43 @@ export default function App() {
 
         <div className="nav-group" aria-label="Utilities">
           <button className="nav-btn" onClick={onRefresh} title="Refresh tasks">🔄</button>
-          <button className="nav-btn" title="Notifications (coming soon)">🔔</button>
-          <button className="nav-btn" title="Settings (coming soon)">⚙️</button>
-          <button className="nav-btn" onClick={onHelp} title="Help / Submit ticket">❓</button>
+          <button className="nav-btn" onClick={onAlerts} title="Notifications & sound">🔔</button>
+          <button className="nav-btn" onClick={onSettings} title="Settings">⚙️</button>
+          <button className="nav-btn" onClick={onHelp} title="Keyboard shortcuts & help (?)">❓</button>
         </div>
       </aside>
     );
   }
 
-  function TasksDrawer({ open, onClose }) {
+  function TaskItem({ task, onPick, showTime }) {
+    return (
+      <button className="task-item" onClick={() => onPick(task)} title="Load into timer">
+        {task.title}{" "}
+        <span className="timechip">
+          {showTime && task.plannedStartISO ? `${fmtTime(task.plannedStartISO)} • ` : ""}
+          {Math.round(task.lengthMin)}m
+        </span>
+      </button>
+    );
+  }
+
+  function MeetingItem({ event }) {
+    return (
+      <div className={`task-item meeting ${event.busy ? "" : "free"}`} title={event.location || "From your calendar"}>
+        📅 {event.title}{" "}
+        <span className="timechip">{event.allDay ? "All day" : `${fmtTime(event.startISO)}–${fmtTime(event.endISO)}`}</span>
+      </div>
+    );
+  }
+
+  function TasksDrawer({ open, onClose, tasks, onPick }) {
+    const empty = (label) => <div className="task-empty">{tasks.loading ? "Loading…" : label}</div>;
+    // All-day meetings first, then tasks and meetings by start time
+    const at = (iso) => (iso ? new Date(iso).getTime() : Infinity);
+    const today = [
+      ...tasks.meetings.map((event) => ({ at: event.allDay ? -Infinity : at(event.startISO), el: <MeetingItem key={event.id} event={event} /> })),
+      ...tasks.today.map((t) => ({ at: at(t.plannedStartISO), el: <TaskItem key={t.id} task={t} onPick={onPick} showTime /> })),
+    ].sort((a, b) => a.at - b.at);
     return (
       <>
         <div className={`drawer-backdrop ${open ? "open" : ""}`} onClick={onClose} />
@@ -299,13 +865,17 @@ export default function App() {
             <button className="btn tiny" onClick={onClose} aria-label="Close drawer">✕</button>
           </div>
 
+          {tasks.error && <div className="task-empty error">{tasks.error}</div>}
+
           <div className="section-title">Today • Calendar order</div>
-          <div className="task-item">Deep Work — Write spec <span className="timechip">9:00 • 45m</span></div>
-          <div className="task-item">Email sweep <span className="timechip">10:00 • 15m</span></div>
+          {today.length
+            ? today.map((item) => item.el)
+            : empty("Nothing scheduled today")}
 
           <div className="section-title">Unsorted</div>
-          <div className="task-item">Plan gym routine</div>
-          <div className="task-item">Read chapter 3</div>
+          {tasks.unsorted.length
+            ? tasks.unsorted.map((t) => <TaskItem key={t.id} task={t} onPick={onPick} />)
+            : empty("No unscheduled tasks")}
         </aside>
       </>
     );
@@ -323,6 +893,15 @@ export default function App() {
           minute: "2-digit",
         })
       : "—";
+  const fmtTime = (iso) => new Date(iso).toLocaleTimeString(undefined, { hour: "numeric", minute: "2-digit" });
+
+  // Indicator next to the refresh button
+  const queued = outboxCount ? ` · ${outboxCount} queued` : "";
+  const connection = !netOnline || !proxyOnline
+    ? { state: "offline", label: `Offline${queued}`, title: netOnline ? "The proxy isn't reachable; showing the last known tasks" : "No network; showing the last known tasks" }
+    : syncing || outboxCount
+      ? { state: "syncing", label: `Syncing${queued}`, title: "Sending queued changes to Notion" }
+      : { state: "online", label: "Online", title: "Connected to the proxy" };
 
   // Render
   return (
@@ -330,11 +909,24 @@ export default function App() {
       <SideNav
         activeTab={activeTab}
         setActiveTab={setActiveTab}
-        onRefresh={() => refreshNextTask()}
-        onHelp={() => window.open("https://github.com/Mastermind-Network/life-forge/issues/new", "_blank")}
+        profileName={profile.name}
+        onProfiles={() => setProfilesOpen(true)}
+        onRefresh={() => {
+          refreshNextTask();
+          if (drawerOpen) refreshDrawerTasks();
+        }}
+        onAlerts={() => setAlertsOpen(true)}
+        onSettings={() => setSettingsOpen(true)}
+        onHelp={() => setHelpOpen(true)}
       />
 
       <div className="main">
+        {storageError && (
+          <div className="banner error" role="alert">
+            {storageError}
+            <button className="btn tiny ghost" onClick={() => setStorageError(null)} aria-label="Dismiss">✕</button>
+          </div>
+        )}
         {!drawerOpen && (
           <button
             className="btn tiny tasks-toggle"
@@ -358,7 +950,24 @@ export default function App() {
                 >
                   ↻
                 </button>
-                <span className={`badge ${mode === "focus" ? "focus" : "break"}`}>{mode.toUpperCase()}</span>
+                <span className={`sync-status ${connection.state}`} role="status" title={connection.title}>
+                  {connection.label}
+                </span>
+                <span
+                  className="cycle"
+                  title={`Block ${timer.cycleIndex} of ${settings.longBreakEvery} before a long break`}
+                  aria-label={`Cycle block ${timer.cycleIndex} of ${settings.longBreakEvery}`}
+                >
+                  {Array.from({ length: settings.longBreakEvery }, (_, i) => (
+                    <span
+                      key={i}
+                      className={`dot ${i + 1 < timer.cycleIndex || (i + 1 === timer.cycleIndex && mode === "break") ? "done" : ""} ${i + 1 === timer.cycleIndex ? "current" : ""}`}
+                    />
+                  ))}
+                </span>
+                <span className={`badge ${mode === "focus" ? "focus" : "break"}`}>
+                  {mode === "focus" ? "FOCUS" : timer.longBreak ? "LONG BREAK" : "BREAK"}
+                </span>
               </div>
             </div>
 
@@ -413,6 +1022,11 @@ export default function App() {
                   Skip Break
                 </button>
               )}
+              {inFocusBlock && (
+                <button className="btn ghost" onClick={openDistraction} title="Log an interruption (D)" aria-label="Log an interruption">
+                  Distracted{timer.interruptions?.length ? ` (${timer.interruptions.length})` : ""}
+                </button>
+              )}
             </div>
 
             <div className="footer">
@@ -423,8 +1037,7 @@ export default function App() {
           </div>
         ) : (
           <div className="card">
-            <h2 style={{ marginTop: 0 }}>Insights / Settings</h2>
-            <p style={{ color: "var(--muted)" }}>Lightweight second tab. Add stats or preferences here later.</p>
+            <Insights sessions={history} rolloverHour={settings.dayRolloverHour} onHistoryChange={() => { reloadHistory(); refreshStats(); }} />
           </div>
         )}
       </div>
@@ -446,7 +1059,168 @@ export default function App() {
         </div>
       )}
 
-      <TasksDrawer open={drawerOpen} onClose={() => setDrawerOpen(false)} />
+      {taskPrompt && (
+        <div className="modal-backdrop" role="presentation">
+          <div className="modal" role="dialog" aria-modal="true" aria-label="Finish task">
+            <h3>Focus block done</h3>
+            <div className="modal-body">
+              <div className="row"><span className="k">Task</span><span className="v">{taskPrompt.task.title || "Untitled"}</span></div>
+              {taskPrompt.view === "more" && (
+                <label className="row">
+                  <span className="k">Extra</span>
+                  <span className="v">
+                    <input
+                      className="field"
+                      value={taskPrompt.extraMin}
+                      onChange={(e) => /^\d{0,3}$/.test(e.target.value) && setTaskPrompt((p) => ({ ...p, extraMin: e.target.value }))}
+                      inputMode="numeric"
+                      aria-label="Extra minutes"
+                      autoFocus
+                    />{" "}min
+                  </span>
+                </label>
+              )}
+              {taskPrompt.view === "reschedule" && (
+                <label className="row">
+                  <span className="k">New start</span>
+                  <span className="v">
+                    <input
+                      className="field"
+                      type="datetime-local"
+                      value={taskPrompt.startLocal}
+                      onChange={(e) => setTaskPrompt((p) => ({ ...p, startLocal: e.target.value }))}
+                      aria-label="New start time"
+                      autoFocus
+                    />
+                  </span>
+                </label>
+              )}
+              {taskPrompt.error && <div className="task-empty error">{taskPrompt.error}</div>}
+            </div>
+            <div className="modal-actions">
+              {taskPrompt.view === "choose" ? (
+                <>
+                  <button className="btn ghost" onClick={() => setTaskPrompt(null)} aria-label="Dismiss">Later</button>
+                  <button className="btn ghost" onClick={() => setTaskPrompt((p) => ({ ...p, view: "reschedule" }))}>Reschedule</button>
+                  <button className="btn ghost" onClick={() => setTaskPrompt((p) => ({ ...p, view: "more" }))}>Need more time</button>
+                  <button className="btn primary" onClick={markTaskDone} disabled={taskPrompt.busy}>Done</button>
+                </>
+              ) : (
+                <>
+                  <button className="btn ghost" onClick={() => setTaskPrompt((p) => ({ ...p, view: "choose", error: null }))}>Back</button>
+                  <button
+                    className="btn primary"
+                    onClick={taskPrompt.view === "more" ? needMoreTime : rescheduleTask}
+                    disabled={taskPrompt.busy}
+                  >
+                    {taskPrompt.view === "more" ? "Add time" : "Reschedule"}
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {distraction && (
+        <div className="modal-backdrop" onClick={() => setDistraction(null)} role="presentation">
+          <div className="modal" onClick={(e) => e.stopPropagation()} role="dialog" aria-modal="true" aria-label="Log an interruption">
+            <h3>Got distracted</h3>
+            <div className="modal-body">
+              <label className="row">
+                <span className="k">Note</span>
+                <span className="v">
+                  <input
+                    className="field wide"
+                    value={distraction.note}
+                    placeholder="optional, e.g. Slack ping"
+                    onChange={(e) => setDistraction((d) => ({ ...d, note: e.target.value }))}
+                    onKeyDown={(e) => e.key === "Enter" && logDistraction(distraction.kind)}
+                    aria-label="Interruption note"
+                    autoFocus
+                  />
+                </span>
+              </label>
+              <div className="row">
+                <span className="k">From</span>
+                <span className="v kind-picker" role="group" aria-label="Interruption kind">
+                  {INTERRUPTION_KINDS.map((k) => (
+                    <button
+                      key={k}
+                      className={`btn tiny ${distraction.kind === k ? "primary" : "ghost"}`}
+                      onClick={() => setDistraction((d) => ({ ...d, kind: k }))}
+                      aria-pressed={distraction.kind === k}
+                    >
+                      {k === "internal" ? "Internal (thought, urge)" : "External (people, pings)"}
+                    </button>
+                  ))}
+                </span>
+              </div>
+            </div>
+            <div className="modal-actions">
+              <button className="btn ghost" onClick={() => setDistraction(null)}>Cancel</button>
+              <button className="btn primary" onClick={() => logDistraction(distraction.kind)}>Log</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {settingsOpen && (
+        <SettingsPanel
+          settings={settings}
+          defaultProxy={PROXY}
+          onChange={updateSettings}
+          onResetCycle={resetCycle}
+          onClose={() => setSettingsOpen(false)}
+        />
+      )}
+
+      {helpOpen && <ShortcutsHelp onClose={() => setHelpOpen(false)} />}
+
+      {profilesOpen && (
+        <ProfilesPanel
+          profile={profile}
+          settings={settings}
+          loadSources={loadProxySources}
+          onProfileChange={changeProfile}
+          onClose={() => setProfilesOpen(false)}
+        />
+      )}
+
+      {paletteOpen && (
+        <CommandPalette
+          commands={[
+            { id: "start", label: isRunning ? "Pause timer" : "Start timer", hint: "Space", run: handleStartPause },
+            { id: "reset", label: "Reset block", hint: "R", run: handleReset },
+            ...(mode === "break" ? [{ id: "skip", label: "Skip break", hint: "S", run: skipBreak }] : []),
+            ...(inFocusBlock ? [{ id: "distracted", label: "Log an interruption", hint: "D", run: openDistraction }] : []),
+            { id: "next", label: "Refresh next task", hint: "N", run: () => refreshNextTask() },
+            { id: "drawer", label: "Open tasks drawer", hint: "T", run: () => setDrawerOpen(true) },
+            { id: "cycle", label: "Restart cycle at block 1", run: resetCycle },
+            { id: "timer", label: "Go to timer", run: () => setActiveTab("timer") },
+            { id: "insights", label: "Go to insights", run: () => setActiveTab("ui") },
+            { id: "settings", label: "Settings", run: () => setSettingsOpen(true) },
+            { id: "alerts", label: "Notifications & sound", run: () => setAlertsOpen(true) },
+            { id: "help", label: "Keyboard shortcuts", hint: "?", run: () => setHelpOpen(true) },
+            { id: "profiles", label: `Switch profile (${profile.name})`, run: () => setProfilesOpen(true) },
+          ]}
+          loadTasks={loadPaletteTasks}
+          onPickTask={startTaskNow}
+          onClose={() => setPaletteOpen(false)}
+        />
+      )}
+
+      {alertsOpen && <NotificationsPanel settings={settings} onChange={updateSettings} onClose={() => setAlertsOpen(false)} />}
+
+      <TasksDrawer
+        open={drawerOpen}
+        onClose={() => setDrawerOpen(false)}
+        tasks={drawerTasks}
+        onPick={(task) => {
+          applyTask(task);
+          setDrawerOpen(false);
+        }}
+      />
     </div>
   );
 }
@@ -0,0 +1,125 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { fuzzyFilter } from "./shortcuts";
+
+const MAX_RESULTS = 50;
+const SEARCH_DELAY_MS = 250; // typing pause before the proxy is asked for matching tasks
+
+// Ctrl/Cmd+K: fuzzy search over app commands and open Notion tasks; picking a task starts a focus block on it
+export default function CommandPalette({ commands, loadTasks, onPickTask, onClose }) {
+  const [query, setQuery] = useState("");
+  const [tasks, setTasks] = useState({ items: [], loading: true, error: null });
+  const [searched, setSearched] = useState({ query: "", items: [] }); // the proxy's title matches
+  const [active, setActive] = useState(0);
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    const ctrl = new AbortController();
+    loadTasks(ctrl.signal).then(
+      (items) => setTasks({ items, loading: false, error: null }),
+      (e) => {
+        if (e.name === "AbortError") return;
+        console.error("Failed to load tasks for the palette:", e);
+        setTasks({ items: [], loading: false, error: "Couldn't load tasks from Notion." });
+      }
+    );
+    return () => ctrl.abort();
+  }, [loadTasks]);
+
+  // The loaded tasks are only the soonest ones: the proxy searches the rest by title once typing pauses
+  useEffect(() => {
+    const q = query.trim();
+    if (!q) return;
+    const ctrl = new AbortController();
+    const id = setTimeout(() => {
+      loadTasks(ctrl.signal, q).then(
+        (items) => setSearched({ query: q, items }),
+        (e) => {
+          if (e.name !== "AbortError") console.error("Task search failed:", e);
+        }
+      );
+    }, SEARCH_DELAY_MS);
+    return () => {
+      clearTimeout(id);
+      ctrl.abort();
+    };
+  }, [loadTasks, query]);
+
+  const results = useMemo(() => {
+    const cmds = fuzzyFilter(commands, query).map((c) => ({ key: `cmd:${c.id}`, label: c.label, hint: c.hint, run: c.run }));
+    const q = query.trim();
+    const loaded = q ? fuzzyFilter(tasks.items, query, (t) => t.title) : tasks.items;
+    const more = searched.query === q ? searched.items.filter((t) => !loaded.some((l) => l.id === t.id)) : [];
+    const found = [...loaded, ...more];
+    const taskItems = found.map((t) => ({ key: `task:${t.id}`, label: t.title || "Untitled", hint: `Focus ${Math.round(t.lengthMin)}m`, run: () => onPickTask(t) }));
+    // Commands first when browsing; when searching, tasks are usually what's wanted
+    return (query.trim() ? [...taskItems, ...cmds] : [...cmds, ...taskItems]).slice(0, MAX_RESULTS);
+  }, [commands, tasks.items, searched, query, onPickTask]);
+
+  const current = Math.min(active, Math.max(0, results.length - 1));
+
+  useEffect(() => {
+    listRef.current?.querySelector(`[data-index="${current}"]`)?.scrollIntoView({ block: "nearest" });
+  }, [current]);
+
+  function run(item) {
+    if (!item) return;
+    onClose();
+    item.run();
+  }
+
+  function onKeyDown(e) {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActive((current + step + results.length) % Math.max(1, results.length));
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      run(results[current]);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      onClose();
+    }
+  }
+
+  return (
+    <div className="modal-backdrop palette-backdrop" onClick={onClose} role="presentation">
+      <div className="modal palette" onClick={(e) => e.stopPropagation()} role="dialog" aria-modal="true" aria-label="Command palette">
+        <input
+          className="field palette-input"
+          autoFocus
+          value={query}
+          placeholder="Search tasks and commands…"
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setActive(0);
+          }}
+          onKeyDown={onKeyDown}
+          role="combobox"
+          aria-expanded="true"
+          aria-controls="palette-results"
+          aria-activedescendant={results[current] ? `palette-${current}` : undefined}
+        />
+        <div className="palette-list" id="palette-results" role="listbox" ref={listRef}>
+          {results.map((r, i) => (
+            <div
+              key={r.key}
+              id={`palette-${i}`}
+              data-index={i}
+              role="option"
+              aria-selected={i === current}
+              className={`palette-item ${i === current ? "active" : ""}`}
+              onMouseEnter={() => setActive(i)}
+              onClick={() => run(r)}
+            >
+              <span>{r.label}</span>
+              {r.hint && <span className="timechip">{r.hint}</span>}
+            </div>
+          ))}
+          {!results.length && <div className="task-empty">{tasks.loading ? "Loading tasks…" : "No matches"}</div>}
+          {tasks.loading && results.length > 0 && <div className="task-empty">Loading tasks…</div>}
+          {tasks.error && <div className="task-empty error">{tasks.error}</div>}
+        </div>
+      </div>
+    </div>
+  );
+}
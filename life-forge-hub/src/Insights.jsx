@@ -0,0 +1,239 @@
+import React, { useMemo, useRef, useState } from "react";
+import { RANGES, computeInsights } from "./analytics";
+import { dayKey, shiftDay, weekStart } from "./days";
+import { exportSessionsCsv, exportSessionsIcs, exportSessionsJson, parseSessionsImport } from "./history";
+import { loadSessions, mergeSessions } from "./sessions";
+import { downloadText } from "./files";
+
+const fmtMin = (min) => {
+  const m = Math.round(min);
+  return m >= 60 ? `${Math.floor(m / 60)}h ${m % 60}m` : `${m}m`;
+};
+const fmtHour = (h) => new Date(2000, 0, 1, h).toLocaleTimeString(undefined, { hour: "numeric" });
+const fmtDay = (key, opts = { month: "short", day: "numeric" }) =>
+  new Date(`${key}T12:00:00Z`).toLocaleDateString(undefined, { ...opts, timeZone: "UTC" });
+const fmtWhen = (iso) => new Date(iso).toLocaleString(undefined, { weekday: "short", month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+const fmtClock = (iso) => new Date(iso).toLocaleTimeString(undefined, { hour: "numeric", minute: "2-digit" });
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+// What broke focus: sessions with logged interruptions or given up half-way (latest 20)
+function Interruptions({ data }) {
+  const { total, internal, external } = data.interruptions;
+  return (
+    <>
+      <div className="section-title">Interruptions</div>
+      <p className="insight-note">
+        {plural(total, "interruption")} · {internal} internal · {external} external
+        {data.abandoned > 0 && <> · {plural(data.abandoned, "session")} abandoned</>}
+      </p>
+      {data.disrupted.slice(0, 20).map((s) => (
+        <div key={s.id} className="disrupted">
+          <div className="task-row">
+            <span className="task-name">{fmtWhen(s.startISO)} · {s.taskLabel || "No task"}</span>
+            <span className="task-num">{fmtMin((Number(s.durationSec) || 0) / 60)}</span>
+            {s.outcome === "abandoned" && <span className="task-num over">abandoned</span>}
+          </div>
+          {s.interruptions?.length > 0 && (
+            <ul className="interruption-list">
+              {s.interruptions.map((i, n) => (
+                <li key={n}>
+                  <span className={`kind ${i.kind}`}>{i.kind}</span> {fmtClock(i.atISO)}{i.note ? ` — ${i.note}` : ""}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+    </>
+  );
+}
+
+// Simple vertical bar chart; labels are shown sparsely when there are many bars
+function Bars({ items, label, title }) {
+  const max = Math.max(1, ...items.map((i) => i.min));
+  const every = Math.ceil(items.length / 14);
+  return (
+    <div className="bars" role="img" aria-label={title}>
+      {items.map((it, i) => (
+        <div key={it.key} className="bar-col" title={`${label(it)} — ${fmtMin(it.min)}`}>
+          <div className="bar" style={{ height: `${(it.min / max) * 100}%` }} />
+          <span className="bar-label">{i % every === 0 ? label(it) : ""}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Calendar heatmap: one column per week, Monday at the top
+function Heatmap({ perDay }) {
+  const max = Math.max(1, ...perDay.map((d) => d.min));
+  const byKey = new Map(perDay.map((d) => [d.key, d.min]));
+  const first = perDay[0]?.key;
+  const last = perDay[perDay.length - 1]?.key;
+  if (!first) return null;
+
+  const weeks = [];
+  for (let w = weekStart(first); w <= last; w = shiftDay(w, 7)) {
+    weeks.push(Array.from({ length: 7 }, (_, i) => shiftDay(w, i)));
+  }
+  const level = (min) => (min <= 0 ? 0 : Math.min(4, Math.ceil((min / max) * 4)));
+
+  return (
+    <div className="heatmap" role="img" aria-label="Focus calendar heatmap">
+      {weeks.map((days) => (
+        <div key={days[0]} className="heat-week">
+          {days.map((k) => {
+            const inRange = k >= first && k <= last;
+            const min = byKey.get(k) || 0;
+            return (
+              <div
+                key={k}
+                className={`heat-cell l${inRange ? level(min) : "x"}`}
+                title={inRange ? `${fmtDay(k, { weekday: "short", month: "short", day: "numeric" })} — ${fmtMin(min)}` : undefined}
+              />
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const EXPORTS = [
+  { id: "csv", label: "CSV", type: "text/csv", build: exportSessionsCsv },
+  { id: "json", label: "JSON", type: "application/json", build: exportSessionsJson },
+  { id: "ics", label: "Calendar (.ics)", type: "text/calendar", build: exportSessionsIcs },
+];
+
+// Backup/transfer of the whole stored history, not just the selected range
+function HistoryTransfer({ rolloverHour, onImported }) {
+  const [message, setMessage] = useState(null); // {text, error?}
+  const fileRef = useRef(null);
+
+  async function exportAs({ id, type, build }) {
+    try {
+      const all = await loadSessions();
+      downloadText(`life-forge-sessions-${dayKey(new Date(), rolloverHour)}.${id}`, build(all), type);
+      setMessage({ text: `Exported ${all.length} session${all.length === 1 ? "" : "s"}.` });
+    } catch (err) {
+      setMessage({ text: `Export failed: ${err.message}`, error: true });
+    }
+  }
+
+  async function importFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { sessions, skipped } = parseSessionsImport(await file.text());
+      const added = await mergeSessions(sessions, rolloverHour);
+      const dupes = sessions.length - added;
+      setMessage({
+        text: `Imported ${added} session${added === 1 ? "" : "s"}` +
+          (dupes ? `, ${dupes} already present` : "") +
+          (skipped ? `, ${skipped} invalid skipped` : "") + ".",
+      });
+      if (added) onImported?.();
+    } catch (err) {
+      setMessage({ text: err.message, error: true });
+    }
+  }
+
+  return (
+    <>
+      <div className="section-title">History</div>
+      <div className="range-picker">
+        {EXPORTS.map((x) => (
+          <button key={x.id} className="btn tiny" onClick={() => exportAs(x)}>Export {x.label}</button>
+        ))}
+        <button className="btn tiny ghost" onClick={() => fileRef.current?.click()}>Import JSON…</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" onChange={importFile} hidden />
+      </div>
+      {message && <div className={`task-empty ${message.error ? "error" : ""}`} style={{ marginTop: 8 }}>{message.text}</div>}
+    </>
+  );
+}
+
+export default function Insights({ sessions, rolloverHour, onHistoryChange }) {
+  const [range, setRange] = useState("7d");
+  const today = dayKey(new Date(), rolloverHour);
+  const days = RANGES.find((r) => r.id === range)?.days ?? null;
+  const data = useMemo(() => computeInsights(sessions, { days, today, rolloverHour }), [sessions, days, today, rolloverHour]);
+  const maxTaskMin = Math.max(1, ...data.tasks.map((t) => t.minutes));
+
+  return (
+    <div className="insights">
+      <div className="header">
+        <h2 style={{ margin: 0 }}>Insights</h2>
+        <div className="range-picker" role="group" aria-label="Date range">
+          {RANGES.map((r) => (
+            <button key={r.id} className={`btn tiny ${range === r.id ? "primary" : "ghost"}`} onClick={() => setRange(r.id)}>
+              {r.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="footer" style={{ justifyContent: "flex-start", flexWrap: "wrap" }}>
+        <div className="summary"><span>Focus</span><strong>{fmtMin(data.totalMin)}</strong></div>
+        <div className="summary"><span>Sessions</span><strong>{data.sessions}</strong></div>
+        <div className="summary"><span>Interruptions</span><strong>{data.interruptions.total}</strong></div>
+        <div className="summary"><span>Per active day</span><strong>{fmtMin(data.avgPerActiveDay)}</strong></div>
+        <div className="summary"><span>Streak</span><strong>{data.currentStreak}</strong><span>now</span></div>
+        <div className="summary"><span>Longest</span><strong>{data.longestStreak}</strong><span>days</span></div>
+      </div>
+
+      {!data.sessions ? (
+        <p className="task-empty">No focus sessions in this range yet.</p>
+      ) : (
+        <>
+          <div className="section-title">Focus per day</div>
+          <Bars items={data.perDay} label={(d) => fmtDay(d.key)} title="Focus minutes per day" />
+
+          <div className="section-title">Focus per week</div>
+          <Bars items={data.perWeek} label={(w) => fmtDay(w.key)} title="Focus minutes per week" />
+
+          <div className="section-title">Calendar</div>
+          <Heatmap perDay={data.perDay} />
+
+          <div className="section-title">Hours of the day</div>
+          <Bars items={data.hours.map((min, hour) => ({ key: String(hour), min }))} label={(h) => fmtHour(Number(h.key))} title="Focus minutes by hour of day" />
+          <p className="insight-note">
+            Best: {data.bestHours.map((h) => `${fmtHour(h.hour)} (${fmtMin(h.min)})`).join(", ")}
+            {data.worstHours.length > 0 && <> · Least: {data.worstHours.map((h) => `${fmtHour(h.hour)} (${fmtMin(h.min)})`).join(", ")}</>}
+          </p>
+
+          <div className="section-title">By task</div>
+          {data.tasks.map((t) => (
+            <div key={t.id} className="task-row">
+              <span className="task-name">{t.label}</span>
+              <span className="task-bar"><span style={{ width: `${(t.minutes / maxTaskMin) * 100}%` }} /></span>
+              <span className="task-num">{fmtMin(t.minutes)} · {t.sessions}×</span>
+            </div>
+          ))}
+
+          {data.estimates.length > 0 && (
+            <>
+              <div className="section-title">Estimated vs. actual (Notion tasks)</div>
+              {data.estimates.map((t) => {
+                const diff = t.minutes - t.estimateMin;
+                return (
+                  <div key={t.id} className="task-row">
+                    <span className="task-name">{t.label}</span>
+                    <span className="task-num">{fmtMin(t.estimateMin)} est.</span>
+                    <span className="task-num">{fmtMin(t.minutes)} actual</span>
+                    <span className={`task-num ${diff > 0 ? "over" : "under"}`}>{diff > 0 ? "+" : "−"}{fmtMin(Math.abs(diff))}</span>
+                  </div>
+                );
+              })}
+            </>
+          )}
+
+          {data.disrupted.length > 0 && <Interruptions data={data} />}
+        </>
+      )}
+
+      <HistoryTransfer rolloverHour={rolloverHour} onImported={onHistoryChange} />
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import React, { useState } from "react";
+import { SETTING_CHOICES } from "./settings";
+import { NumberField } from "./SettingsPanel";
+import { notificationPermission, playSound, requestNotificationPermission, unlockAudio } from "./alerts";
+
+const PERMISSION_TEXT = {
+  granted: null,
+  default: "The browser will ask for permission.",
+  denied: "Notifications are blocked for this site; allow them in the browser's site settings.",
+  unsupported: "This browser doesn't support desktop notifications.",
+};
+
+// Sound & notification preferences, behind the 🔔 button
+export default function NotificationsPanel({ settings, onChange, onClose }) {
+  const [permission, setPermission] = useState(notificationPermission);
+
+  const check = (key, label, disabled = false) => (
+    <label className="setting check">
+      <input type="checkbox" checked={settings[key]} disabled={disabled} onChange={(e) => onChange({ [key]: e.target.checked })} />
+      <span>{label}</span>
+    </label>
+  );
+
+  async function toggleNotifications(on) {
+    if (!on) return onChange({ notifications: false });
+    const result = await requestNotificationPermission();
+    setPermission(result);
+    onChange({ notifications: result === "granted" });
+  }
+
+  function testSound() {
+    unlockAudio();
+    playSound(settings.sound, settings.soundVolume);
+  }
+
+  const off = !settings.notifications;
+  const hint = PERMISSION_TEXT[permission];
+
+  return (
+    <div className="modal-backdrop" onClick={onClose} role="presentation">
+      <div className="modal settings" onClick={(e) => e.stopPropagation()} role="dialog" aria-modal="true" aria-label="Notifications">
+        <h3>Notifications</h3>
+
+        <div className="section-title">Desktop notifications</div>
+        <div className="settings-grid">
+          <label className="setting check">
+            <input
+              type="checkbox"
+              checked={settings.notifications}
+              disabled={permission === "unsupported"}
+              onChange={(e) => toggleNotifications(e.target.checked)}
+            />
+            <span>Show desktop notifications</span>
+          </label>
+          {check("notifyBlockEnd", "When a focus block or break ends", off)}
+          <label className="setting">
+            <span>Heads-up before a task starts (min, 0 = off)</span>
+            <NumberField name="taskLeadMin" value={settings.taskLeadMin} onCommit={(v) => onChange({ taskLeadMin: v })} />
+          </label>
+        </div>
+        {hint && <div className={`task-empty ${permission === "denied" ? "error" : ""}`} style={{ marginTop: 8 }}>{hint}</div>}
+
+        <div className="section-title">Sound</div>
+        <div className="settings-grid">
+          <label className="setting">
+            <span>End-of-block sound</span>
+            <select className="field" value={settings.sound} onChange={(e) => onChange({ sound: e.target.value })}>
+              {SETTING_CHOICES.sound.map((s) => <option key={s} value={s}>{s}</option>)}
+            </select>
+          </label>
+          <label className="setting">
+            <span>Volume</span>
+            <input
+              type="range"
+              min="0"
+              max="100"
+              value={settings.soundVolume}
+              onChange={(e) => onChange({ soundVolume: Number(e.target.value) })}
+              aria-label="Volume"
+            />
+          </label>
+        </div>
+        <button className="btn tiny" onClick={testSound} disabled={settings.sound === "none"} style={{ marginTop: 8 }}>Play sound</button>
+
+        <div className="section-title">Tab</div>
+        <div className="settings-grid">
+          {check("titleCountdown", "Show the countdown in the tab title")}
+        </div>
+
+        <div className="modal-actions">
+          <button className="btn primary" onClick={onClose}>Done</button>
+        </div>
+      </div>
+    </div>
+  );
+}
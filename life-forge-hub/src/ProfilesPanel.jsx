@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from "react";
+import { DEFAULT_PROFILE_ID, addProfile, loadProfiles, removeProfile, switchProfile, updateProfile } from "./profiles";
+import { saveSettings } from "./settings";
+import { deleteProfileSessions } from "./sessions";
+
+// Profile / workspace switcher (the avatar button): pick a profile, manage profiles and choose
+// which of the proxy's task sources the current one uses
+export default function ProfilesPanel({ profile, settings, loadSources, onProfileChange, onClose }) {
+  const [profiles, setProfiles] = useState(() => loadProfiles().profiles);
+  const [nameDraft, setNameDraft] = useState(profile.name);
+  const [newName, setNewName] = useState("");
+  const [sources, setSources] = useState({ list: [], loading: true, error: null });
+  const [message, setMessage] = useState(null); // {text, error?}
+
+  useEffect(() => {
+    const ctrl = new AbortController();
+    loadSources(ctrl.signal)
+      .then((list) => setSources({ list, loading: false, error: null }))
+      .catch((e) => {
+        if (e.name !== "AbortError") setSources({ list: [], loading: false, error: e.message });
+      });
+    return () => ctrl.abort();
+  }, [loadSources]);
+
+  const changeProfile = (patch) => {
+    const next = updateProfile(profile.id, patch);
+    setProfiles(loadProfiles().profiles);
+    onProfileChange(next);
+  };
+
+  function rename() {
+    if (!nameDraft.trim()) return;
+    changeProfile({ name: nameDraft });
+    setMessage({ text: "Profile renamed." });
+  }
+
+  // New profiles start with a copy of the current settings and an empty history
+  function create() {
+    if (!newName.trim()) return;
+    const created = addProfile(newName);
+    saveSettings(settings, created.id);
+    setProfiles(loadProfiles().profiles);
+    setNewName("");
+    setMessage({ text: `Profile "${created.name}" created.` });
+  }
+
+  async function remove(p) {
+    if (!window.confirm(`Remove the profile "${p.name}" with its settings and session history?`)) return;
+    try {
+      removeProfile(p.id);
+      await deleteProfileSessions(p.id);
+      setMessage({ text: `Profile "${p.name}" removed.` });
+    } catch (e) {
+      setMessage({ text: e.message, error: true });
+    }
+    setProfiles(loadProfiles().profiles);
+  }
+
+  // No source ticked = all of them, so sources added on the proxy later show up too
+  const selected = profile.sources;
+  const toggleSource = (id) => {
+    const known = sources.list.map((s) => s.id);
+    const ids = selected.length ? selected.filter((x) => known.includes(x)) : known;
+    const next = ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id];
+    if (!next.length) return;
+    changeProfile({ sources: next.length === known.length ? [] : next });
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose} role="presentation">
+      <div className="modal settings" onClick={(e) => e.stopPropagation()} role="dialog" aria-modal="true" aria-label="Profiles">
+        <h3>Profiles</h3>
+
+        <div className="profile-list">
+          {profiles.map((p) => (
+            <div key={p.id} className={`profile-row ${p.id === profile.id ? "active" : ""}`}>
+              <span className="avatar small" aria-hidden="true">{p.name.slice(0, 1).toUpperCase()}</span>
+              <span className="name">{p.name}</span>
+              {p.id === profile.id ? (
+                <span className="timechip">current</span>
+              ) : (
+                <>
+                  <button className="btn tiny" onClick={() => switchProfile(p.id)}>Switch</button>
+                  {p.id !== DEFAULT_PROFILE_ID && <button className="btn tiny ghost" onClick={() => remove(p)}>Remove</button>}
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+        <label className="setting" style={{ marginTop: 10 }}>
+          <span>New profile</span>
+          <span style={{ display: "flex", gap: 6, flex: 1, justifyContent: "flex-end" }}>
+            <input className="field wide" value={newName} placeholder="e.g. Work" onChange={(e) => setNewName(e.target.value)} onKeyDown={(e) => e.key === "Enter" && create()} aria-label="New profile name" />
+            <button className="btn tiny" onClick={create}>Add</button>
+          </span>
+        </label>
+
+        <div className="section-title">This profile</div>
+        <label className="setting">
+          <span>Name</span>
+          <span style={{ display: "flex", gap: 6, flex: 1, justifyContent: "flex-end" }}>
+            <input className="field wide" value={nameDraft} onChange={(e) => setNameDraft(e.target.value)} onKeyDown={(e) => e.key === "Enter" && rename()} aria-label="Profile name" />
+            <button className="btn tiny" onClick={rename}>Save</button>
+          </span>
+        </label>
+
+        <div className="section-title">Task sources</div>
+        {sources.loading && <div className="task-empty">Loading…</div>}
+        {sources.error && <div className="task-empty error">Couldn't load the proxy's task sources: {sources.error}</div>}
+        {!sources.loading && !sources.error && (
+          <div className="settings-grid">
+            {sources.list.map((s) => (
+              <label key={s.id} className="setting check">
+                <input type="checkbox" checked={!selected.length || selected.includes(s.id)} onChange={() => toggleSource(s.id)} />
+                <span>{s.name}{s.ok === false ? " (schema mismatch)" : ""}</span>
+              </label>
+            ))}
+          </div>
+        )}
+        <p className="insight-note">Settings, timer and stats belong to the profile; switching reloads the app.</p>
+
+        {message && <div className={`task-empty ${message.error ? "error" : ""}`} style={{ marginTop: 10 }}>{message.text}</div>}
+
+        <div className="modal-actions">
+          <button className="btn primary" onClick={onClose}>Done</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,148 @@
+import React, { useRef, useState } from "react";
+import { SETTING_LIMITS, exportSettings, parseSettingsImport } from "./settings";
+import { downloadText } from "./files";
+
+// Number input that only commits on blur/Enter, so the field can be cleared while typing
+export function NumberField({ name, value, onCommit }) {
+  const [draft, setDraft] = useState(null);
+  const [min, max] = SETTING_LIMITS[name];
+  const commit = () => {
+    if (draft !== null && draft !== "") onCommit(draft);
+    setDraft(null);
+  };
+  return (
+    <input
+      className="field"
+      type="number"
+      min={min}
+      max={max}
+      value={draft ?? value}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => e.key === "Enter" && commit()}
+    />
+  );
+}
+
+export default function SettingsPanel({ settings, defaultProxy, onChange, onResetCycle, onClose }) {
+  const [proxyDraft, setProxyDraft] = useState(settings.proxyUrl);
+  const [keyDraft, setKeyDraft] = useState(settings.apiKey);
+  const [message, setMessage] = useState(null); // {text, error?}
+  const fileRef = useRef(null);
+
+  const num = (key, label) => (
+    <label className="setting">
+      <span>{label}</span>
+      <NumberField name={key} value={settings[key]} onCommit={(v) => onChange({ [key]: v })} />
+    </label>
+  );
+  const check = (key, label) => (
+    <label className="setting check">
+      <input type="checkbox" checked={settings[key]} onChange={(e) => onChange({ [key]: e.target.checked })} />
+      <span>{label}</span>
+    </label>
+  );
+
+  function saveProxy() {
+    const url = proxyDraft.trim().replace(/\/+$/, "");
+    if (url && !/^https?:\/\/\S+$/i.test(url)) {
+      setMessage({ text: "Proxy URL must start with http:// or https://", error: true });
+      return;
+    }
+    onChange({ proxyUrl: url });
+    setProxyDraft(url);
+    setMessage({ text: url ? "Proxy URL saved." : "Using the default proxy URL." });
+  }
+
+  function saveKey() {
+    const key = keyDraft.trim();
+    onChange({ apiKey: key });
+    setKeyDraft(key);
+    setMessage({ text: key ? "API key saved." : "API key cleared." });
+  }
+
+  async function importFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      // Exports leave the API key out, so keep the current one
+      const next = { ...parseSettingsImport(await file.text()), apiKey: settings.apiKey };
+      onChange(next);
+      setProxyDraft(next.proxyUrl);
+      setMessage({ text: "Settings imported." });
+    } catch (err) {
+      setMessage({ text: err.message, error: true });
+    }
+  }
+
+  return (
+    <div className="modal-backdrop" onClick={onClose} role="presentation">
+      <div className="modal settings" onClick={(e) => e.stopPropagation()} role="dialog" aria-modal="true" aria-label="Settings">
+        <h3>Settings</h3>
+
+        <div className="section-title">Timer</div>
+        <div className="settings-grid">
+          {num("focusMin", "Focus (min)")}
+          {num("breakMin", "Short break (min)")}
+          {num("longBreakMin", "Long break (min)")}
+          {num("longBreakEvery", "Focus blocks per cycle")}
+          {check("autoStartBreaks", "Start breaks automatically")}
+          {check("autoStartFocus", "Start the next focus block automatically")}
+        </div>
+        <button className="btn tiny" onClick={onResetCycle} style={{ marginTop: 8 }}>Restart cycle at block 1</button>
+
+        <div className="section-title">Notion</div>
+        <div className="settings-grid">
+          {num("defaultTaskMin", "Tasks without estimate (min)")}
+          {check("openNextOnLoad", "Show the next task when the app opens")}
+          {check("reportTimer", "Report timer events to the proxy (team webhooks)")}
+        </div>
+        <label className="setting" style={{ marginTop: 10 }}>
+          <span>Proxy URL</span>
+          <span style={{ display: "flex", gap: 6, flex: 1, justifyContent: "flex-end" }}>
+            <input
+              className="field wide"
+              value={proxyDraft}
+              placeholder={defaultProxy}
+              onChange={(e) => setProxyDraft(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && saveProxy()}
+              aria-label="Proxy URL"
+            />
+            <button className="btn tiny" onClick={saveProxy}>Save</button>
+          </span>
+        </label>
+        <label className="setting">
+          <span>API key</span>
+          <span style={{ display: "flex", gap: 6, flex: 1, justifyContent: "flex-end" }}>
+            <input
+              className="field wide"
+              type="password"
+              autoComplete="off"
+              value={keyDraft}
+              placeholder="Only if the proxy has API_KEYS set"
+              onChange={(e) => setKeyDraft(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && saveKey()}
+              aria-label="API key"
+            />
+            <button className="btn tiny" onClick={saveKey}>Save</button>
+          </span>
+        </label>
+
+        <div className="section-title">Days</div>
+        <div className="settings-grid">
+          {num("dayRolloverHour", "New day starts at (hour)")}
+        </div>
+
+        {message && <div className={`task-empty ${message.error ? "error" : ""}`} style={{ marginTop: 10 }}>{message.text}</div>}
+
+        <div className="modal-actions">
+          <button className="btn ghost" onClick={() => downloadText("life-forge-settings.json", exportSettings(settings))}>Export</button>
+          <button className="btn ghost" onClick={() => fileRef.current?.click()}>Import</button>
+          <input ref={fileRef} type="file" accept="application/json,.json" onChange={importFile} hidden />
+          <button className="btn primary" onClick={onClose}>Done</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+import React from "react";
+import { SHORTCUTS } from "./shortcuts";
+
+// Keyboard shortcut list (the ? key / ❓ button), with the old "submit a ticket" link
+export default function ShortcutsHelp({ onClose }) {
+  return (
+    <div className="modal-backdrop" onClick={onClose} role="presentation">
+      <div className="modal" onClick={(e) => e.stopPropagation()} role="dialog" aria-modal="true" aria-label="Keyboard shortcuts">
+        <h3>Keyboard shortcuts</h3>
+        <div className="shortcut-list">
+          {SHORTCUTS.map((s) => (
+            <div key={s.label} className="row">
+              <span className="k">{s.keys.map((k, i) => (k === "…" ? <span key={i}> … </span> : <kbd key={i}>{k}</kbd>))}</span>
+              <span className="v">{s.label}</span>
+            </div>
+          ))}
+        </div>
+        <p className="insight-note">Shortcuts are off while typing in a field or while a dialog is open.</p>
+        <div className="modal-actions">
+          <a className="btn ghost" href="https://github.com/Mastermind-Network/life-forge/issues/new" target="_blank" rel="noreferrer">Submit a ticket</a>
+          <button className="btn primary" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
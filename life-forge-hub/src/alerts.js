@@ -0,0 +1,84 @@
+// End-of-block and upcoming-task alerts: synthesized sounds (Web Audio) and desktop notifications.
+// Sound names match SETTING_CHOICES.sound in settings.js.
+
+let audioCtx = null;
+const getAudio = () => {
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  if (!Ctx) return null;
+  if (!audioCtx) audioCtx = new Ctx();
+  return audioCtx;
+};
+
+// Browsers only allow audio after a user gesture; call this from click handlers (e.g. Start)
+export function unlockAudio() {
+  const ctx = getAudio();
+  if (ctx?.state === "suspended") ctx.resume().catch(() => {});
+}
+
+// One enveloped oscillator note: quick attack, exponential decay
+function note(ctx, out, { freq, type = "sine", at = 0, dur = 0.6, gain = 1 }) {
+  const t = ctx.currentTime + at;
+  const osc = ctx.createOscillator();
+  const env = ctx.createGain();
+  osc.type = type;
+  osc.frequency.value = freq;
+  env.gain.setValueAtTime(0.0001, t);
+  env.gain.exponentialRampToValueAtTime(gain, t + 0.01);
+  env.gain.exponentialRampToValueAtTime(0.0001, t + dur);
+  osc.connect(env).connect(out);
+  osc.start(t);
+  osc.stop(t + dur + 0.05);
+}
+
+const SOUNDS = {
+  chime: (ctx, out) => {
+    note(ctx, out, { freq: 880, dur: 0.8 });
+    note(ctx, out, { freq: 1318.5, at: 0.18, dur: 1.1 });
+  },
+  bell: (ctx, out) => {
+    // Inharmonic partials give the metallic ring
+    for (const [ratio, gain] of [[1, 1], [2.76, 0.4], [5.4, 0.2]]) note(ctx, out, { freq: 523.25 * ratio, dur: 2.2 / ratio ** 0.3, gain });
+  },
+  digital: (ctx, out) => {
+    for (let i = 0; i < 3; i++) note(ctx, out, { freq: 1000, type: "square", at: i * 0.22, dur: 0.12, gain: 0.35 });
+  },
+};
+
+export function playSound(name, volume = 70) {
+  const play = SOUNDS[name];
+  const ctx = play && volume > 0 ? getAudio() : null;
+  if (!ctx) return;
+  const out = ctx.createGain();
+  out.gain.value = (volume / 100) * 0.5;
+  out.connect(ctx.destination);
+  const go = () => play(ctx, out);
+  if (ctx.state === "suspended") ctx.resume().then(go, () => {});
+  else go();
+}
+
+// "granted" | "denied" | "default" | "unsupported"
+export const notificationPermission = () => (typeof Notification === "undefined" ? "unsupported" : Notification.permission);
+
+export async function requestNotificationPermission() {
+  if (typeof Notification === "undefined") return "unsupported";
+  if (Notification.permission !== "default") return Notification.permission;
+  return Notification.requestPermission();
+}
+
+// Shows a desktop notification if allowed; clicking it brings the app back to the front.
+// The same `tag` replaces an older notification instead of stacking.
+export function notify(title, { body, tag } = {}) {
+  if (notificationPermission() !== "granted") return null;
+  try {
+    const n = new Notification(title, { body, tag, icon: "/vite.svg" });
+    n.onclick = () => {
+      window.focus();
+      n.close();
+    };
+    return n;
+  } catch (e) {
+    // Some mobile browsers only allow notifications from a service worker
+    console.error("Notification failed:", e);
+    return null;
+  }
+}
@@ -0,0 +1,114 @@
+// Insights computed client-side from the session history (focus sessions only)
+import { dayKey, shiftDay, weekStart } from "./days";
+
+export const RANGES = [
+  { id: "7d", label: "7 days", days: 7 },
+  { id: "30d", label: "30 days", days: 30 },
+  { id: "90d", label: "90 days", days: 90 },
+  { id: "365d", label: "Year", days: 365 },
+  { id: "all", label: "All time", days: null },
+];
+
+const minutes = (s) => Math.max(0, Number(s.durationSec) || 0) / 60;
+
+// Longest run of consecutive days in a sorted list of unique day keys
+function longestRun(keys) {
+  let best = 0;
+  let run = 0;
+  let prev = null;
+  for (const k of keys) {
+    run = prev && shiftDay(prev, 1) === k ? run + 1 : 1;
+    best = Math.max(best, run);
+    prev = k;
+  }
+  return best;
+}
+
+// Streak still alive: ends today, or yesterday if today has no focus yet
+function currentRun(keySet, today) {
+  let k = keySet.has(today) ? today : shiftDay(today, -1);
+  let n = 0;
+  while (keySet.has(k)) {
+    n++;
+    k = shiftDay(k, -1);
+  }
+  return n;
+}
+
+export function computeInsights(sessions, { days, today, rolloverHour = 0 }) {
+  const focus = sessions.filter((s) => s.mode === "focus" && s.startISO);
+  const keyOf = (s) => dayKey(new Date(s.startISO), rolloverHour);
+
+  const allKeys = [...new Set(focus.map(keyOf))].sort();
+  // Abandoned sessions don't keep a streak going
+  const streakKeys = [...new Set(focus.filter((s) => s.outcome !== "abandoned").map(keyOf))].sort();
+  const first = days ? shiftDay(today, -(days - 1)) : allKeys[0] || today;
+  const inRange = focus.filter((s) => {
+    const k = keyOf(s);
+    return k >= first && k <= today;
+  });
+
+  // Per day (every day in range, zeros included) and per week (Monday starts)
+  const perDayMap = new Map();
+  for (let k = first; k <= today; k = shiftDay(k, 1)) perDayMap.set(k, 0);
+  const hours = Array(24).fill(0);
+  const tasks = new Map();
+  const interruptions = { internal: 0, external: 0 };
+  for (const s of inRange) {
+    const k = keyOf(s);
+    const m = minutes(s);
+    perDayMap.set(k, (perDayMap.get(k) || 0) + m);
+    hours[new Date(s.startISO).getHours()] += m;
+
+    const id = s.taskId || (s.taskLabel ? `label:${s.taskLabel}` : "none");
+    const t = tasks.get(id) || { id, taskId: s.taskId || null, label: s.taskLabel || "No task", minutes: 0, sessions: 0, estimateMin: null, lastISO: "" };
+    t.minutes += m;
+    t.sessions++;
+    if (s.taskLabel) t.label = s.taskLabel;
+    // The latest estimate wins ("need more time" raises it)
+    if (s.taskEstimateMin != null && s.startISO >= t.lastISO) {
+      t.estimateMin = s.taskEstimateMin;
+      t.lastISO = s.startISO;
+    }
+    tasks.set(id, t);
+
+    for (const i of s.interruptions || []) interruptions[i.kind] = (interruptions[i.kind] || 0) + 1;
+  }
+
+  const perDay = [...perDayMap].map(([key, min]) => ({ key, min }));
+  const weekMap = new Map();
+  for (const d of perDay) {
+    const w = weekStart(d.key);
+    weekMap.set(w, (weekMap.get(w) || 0) + d.min);
+  }
+  const perWeek = [...weekMap].map(([key, min]) => ({ key, min }));
+
+  const workedHours = hours.map((min, hour) => ({ hour, min })).filter((h) => h.min > 0);
+  const byMin = [...workedHours].sort((a, b) => b.min - a.min);
+
+  const taskList = [...tasks.values()].sort((a, b) => b.minutes - a.minutes);
+  const activeDays = perDay.filter((d) => d.min > 0).length;
+  const totalMin = perDay.reduce((sum, d) => sum + d.min, 0);
+
+  return {
+    first,
+    today,
+    totalMin,
+    sessions: inRange.length,
+    abandoned: inRange.filter((s) => s.outcome === "abandoned").length,
+    interruptions: { ...interruptions, total: Object.values(interruptions).reduce((a, b) => a + b, 0) },
+    // Sessions that were interrupted or given up, newest first
+    disrupted: inRange.filter((s) => s.interruptions?.length || s.outcome === "abandoned").sort((a, b) => b.startISO.localeCompare(a.startISO)),
+    activeDays,
+    avgPerActiveDay: activeDays ? totalMin / activeDays : 0,
+    perDay,
+    perWeek,
+    hours,
+    bestHours: byMin.slice(0, 3),
+    worstHours: byMin.length > 3 ? byMin.slice(-3).reverse() : [],
+    tasks: taskList,
+    estimates: taskList.filter((t) => t.taskId && t.estimateMin != null),
+    longestStreak: longestRun(streakKeys),
+    currentStreak: currentRun(new Set(streakKeys), today),
+  };
+}
@@ -0,0 +1,24 @@
+// Day keys ("YYYY-MM-DD") used to bucket sessions and stats, in the browser's local time zone.
+// Days start at `rolloverHour` (settings), so late-night work counts toward the previous day.
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// setHours() keeps the rollover in wall-clock hours across DST switches
+export const dayKey = (d = new Date(), rolloverHour = 0) => {
+  const x = new Date(d);
+  x.setHours(x.getHours() - rolloverHour);
+  return `${x.getFullYear()}-${pad(x.getMonth() + 1)}-${pad(x.getDate())}`;
+};
+
+export const timeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Calendar arithmetic on keys themselves, independent of the local time zone
+export const shiftDay = (key, n) => {
+  const d = new Date(`${key}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+};
+
+// 0 = Monday … 6 = Sunday
+export const weekdayOf = (key) => (new Date(`${key}T00:00:00Z`).getUTCDay() + 6) % 7;
+export const weekStart = (key) => shiftDay(key, -weekdayOf(key));
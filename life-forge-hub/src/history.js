@@ -0,0 +1,100 @@
+// Session history export (CSV, JSON, iCalendar) and JSON import.
+// Works on the records written by handleTimerEnd; the derived `day` field is left out
+// of exports and recomputed on import.
+
+const FIELDS = ["id", "mode", "outcome", "startISO", "endISO", "durationSec", "pauses", "interruptions", "cycleIndex", "longBreak", "taskId", "taskLabel", "taskEstimateMin"];
+const MODES = ["focus", "break"];
+const OUTCOMES = ["completed", "abandoned"];
+
+const pick = (s) => Object.fromEntries(FIELDS.filter((f) => s[f] !== undefined && s[f] !== null).map((f) => [f, s[f]]));
+const byStart = (a, b) => String(a.startISO).localeCompare(String(b.startISO));
+
+export const exportSessionsJson = (sessions) =>
+  JSON.stringify(
+    { app: "life-forge", kind: "sessions", version: 1, exportedAt: new Date().toISOString(), sessions: [...sessions].sort(byStart).map(pick) },
+    null,
+    2
+  );
+
+// RFC 4180: quote fields containing separators, quotes or newlines
+const csvCell = (v) => {
+  const s = v === undefined || v === null ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// Interruptions as "kind: note" items separated by "; " (times are in the JSON export)
+const csvValue = (s, f) =>
+  f === "interruptions" ? (s.interruptions || []).map((i) => (i.note ? `${i.kind}: ${i.note}` : i.kind)).join("; ") : s[f];
+
+export const exportSessionsCsv = (sessions) =>
+  [FIELDS, ...[...sessions].sort(byStart).map((s) => FIELDS.map((f) => csvValue(s, f)))].map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+
+// RFC 5545 text escaping and 75-octet line folding (approximated by characters)
+const icsText = (s) => String(s).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+const icsDate = (iso) => new Date(iso).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+const fold = (line) => line.match(/.{1,74}/g).join("\r\n ");
+
+const describe = (s) =>
+  [
+    `${Math.round((Number(s.durationSec) || 0) / 60)} min focused`,
+    s.outcome === "abandoned" ? "abandoned" : null,
+    s.pauses ? `${s.pauses} pause(s)` : null,
+    s.interruptions?.length ? `${s.interruptions.length} interruption(s)` : null,
+  ].filter(Boolean).join(", ");
+
+// Focus blocks only: breaks would just clutter a calendar
+export function exportSessionsIcs(sessions) {
+  const stamp = icsDate(new Date().toISOString());
+  const events = [...sessions]
+    .filter((s) => s.mode === "focus" && s.startISO && s.endISO)
+    .sort(byStart)
+    .flatMap((s) => [
+      "BEGIN:VEVENT",
+      `UID:${icsText(s.id)}@life-forge`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsDate(s.startISO)}`,
+      `DTEND:${icsDate(s.endISO)}`,
+      `SUMMARY:${icsText(s.taskLabel ? `Focus: ${s.taskLabel}` : "Focus")}`,
+      `DESCRIPTION:${icsText(describe(s))}`,
+      "END:VEVENT",
+    ]);
+  return ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//Life Forge//Focus sessions//EN", "CALSCALE:GREGORIAN", ...events, "END:VCALENDAR"]
+    .map(fold)
+    .join("\r\n") + "\r\n";
+}
+
+const validSession = (s) =>
+  s && typeof s === "object" && typeof s.id === "string" && s.id && MODES.includes(s.mode) &&
+  !Number.isNaN(Date.parse(s.startISO)) && !Number.isNaN(Date.parse(s.endISO)) && Number.isFinite(Number(s.durationSec));
+
+// Unknown outcomes and malformed interruptions are dropped rather than failing the session
+function cleanSession(s) {
+  const out = { ...pick(s), durationSec: Number(s.durationSec) };
+  if (!OUTCOMES.includes(out.outcome)) delete out.outcome;
+  if (Array.isArray(out.interruptions)) {
+    out.interruptions = out.interruptions
+      .filter((i) => i && typeof i.kind === "string" && !Number.isNaN(Date.parse(i.atISO)))
+      .map((i) => ({ atISO: i.atISO, kind: i.kind, note: typeof i.note === "string" && i.note ? i.note : null }));
+  } else delete out.interruptions;
+  return out;
+}
+
+// Accepts an export file or a bare array; returns {sessions, skipped} with duplicates (by id) collapsed
+export function parseSessionsImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("That file isn't valid JSON.");
+  }
+  const raw = Array.isArray(data) ? data : data?.kind === "sessions" ? data.sessions : null;
+  if (!Array.isArray(raw)) throw new Error("No session history found in that file.");
+
+  const byId = new Map();
+  let skipped = 0;
+  for (const s of raw) {
+    if (!validSession(s)) skipped++;
+    else byId.set(s.id, cleanSession(s));
+  }
+  return { sessions: [...byId.values()], skipped };
+}
@@ -0,0 +1,76 @@
+// Outbox for writes to the proxy (session logs, task updates): each one is stored before it's
+// sent and they go out oldest first, so nothing is lost while the proxy or the network is down.
+// The list lives in localStorage (per profile) so every tab sees it; a Web Lock keeps two tabs
+// from sending the same entry.
+import { genId } from "./timer";
+import { profileKey } from "./profiles";
+
+const OUTBOX_KEY = profileKey("lf_outbox");
+const listeners = new Set();
+
+function read() {
+  try {
+    const items = JSON.parse(localStorage.getItem(OUTBOX_KEY) || "[]");
+    return Array.isArray(items) ? items : [];
+  } catch (e) {
+    console.error("Unreadable outbox:", e);
+    return [];
+  }
+}
+
+function write(items) {
+  localStorage.setItem(OUTBOX_KEY, JSON.stringify(items));
+  for (const fn of listeners) fn(items.length);
+}
+
+export const outboxSize = () => read().length;
+export const isQueued = (id) => read().some((i) => i.id === id);
+
+// `path` is relative to the proxy URL, which (like the API key) is looked up when sending
+export function enqueue(method, path, body) {
+  const item = { id: genId(), method, path, body, queuedAt: new Date().toISOString(), attempts: 0 };
+  write([...read(), item]);
+  return item;
+}
+
+// Client errors other than these are the entry's own fault; retrying won't help
+const RETRY_STATUS = [401, 408, 429];
+const rejected = (e) => e?.status >= 400 && e.status < 500 && !RETRY_STATUS.includes(e.status);
+
+// Sends entries until the outbox is empty or one doesn't get through (that one stays first in
+// line). `send(item)` resolves with the proxy's answer or rejects with an error that carries the
+// HTTP `status` if there was one; rejected entries are dropped.
+// Resolves to {sent: Map<id, answer>, failed: [{item, error}], left}
+export function flushOutbox(send) {
+  const run = async () => {
+    const sent = new Map();
+    const failed = [];
+    for (let item = read()[0]; item; item = read()[0]) {
+      try {
+        sent.set(item.id, await send(item));
+      } catch (e) {
+        if (!rejected(e)) {
+          write(read().map((i) => (i.id === item.id ? { ...i, attempts: i.attempts + 1, lastError: e.message } : i)));
+          break;
+        }
+        failed.push({ item, error: e });
+      }
+      write(read().filter((i) => i.id !== item.id));
+    }
+    return { sent, failed, left: read().length };
+  };
+  return navigator.locks?.request ? navigator.locks.request(OUTBOX_KEY, run) : run();
+}
+
+// Calls fn(size) whenever the outbox changes, in this tab or another one; returns an unsubscribe
+export function onOutboxChange(fn) {
+  const onStorage = (e) => {
+    if (e.key === OUTBOX_KEY) fn(read().length);
+  };
+  listeners.add(fn);
+  window.addEventListener("storage", onStorage);
+  return () => {
+    listeners.delete(fn);
+    window.removeEventListener("storage", onStorage);
+  };
+}
@@ -0,0 +1,81 @@
+// Profiles (workspaces): each has its own settings, timer and session history, and works with a
+// chosen set of the proxy's task sources. The first profile keeps the original storage keys, so
+// data from before profiles existed stays where it was. Switching reloads the app.
+
+const PROFILES_KEY = "lf_profiles";
+export const DEFAULT_PROFILE_ID = "default";
+
+const DEFAULT_PROFILES = { active: DEFAULT_PROFILE_ID, profiles: [{ id: DEFAULT_PROFILE_ID, name: "Personal", sources: [] }] };
+
+// {active, profiles: [{id, name, sources}]}; empty `sources` = every source the proxy offers
+function normalizeProfiles(raw) {
+  const list = Array.isArray(raw?.profiles) ? raw.profiles : [];
+  const profiles = list
+    .filter((p) => p && typeof p.id === "string" && p.id && typeof p.name === "string")
+    .map((p) => ({
+      id: p.id,
+      name: p.name.trim() || "Profile",
+      sources: Array.isArray(p.sources) ? p.sources.filter((s) => typeof s === "string") : [],
+    }));
+  if (!profiles.some((p) => p.id === DEFAULT_PROFILE_ID)) profiles.unshift({ ...DEFAULT_PROFILES.profiles[0] });
+  const active = profiles.some((p) => p.id === raw?.active) ? raw.active : DEFAULT_PROFILE_ID;
+  return { active, profiles };
+}
+
+export const loadProfiles = () => {
+  try {
+    return normalizeProfiles(JSON.parse(localStorage.getItem(PROFILES_KEY)));
+  } catch (e) {
+    console.error("Failed to load profiles:", e);
+    return normalizeProfiles(DEFAULT_PROFILES);
+  }
+};
+
+const saveProfiles = (data) => {
+  try {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(data));
+  } catch (e) {
+    console.error("Failed to save profiles:", e);
+  }
+};
+
+// Read once: storage keys must not change under a running page
+const ACTIVE_ID = loadProfiles().active;
+
+export const activeProfile = () => {
+  const { profiles } = loadProfiles();
+  return profiles.find((p) => p.id === ACTIVE_ID) || profiles[0];
+};
+
+// localStorage key / IndexedDB name of a profile's copy of `base`
+export const profileKey = (base, id = ACTIVE_ID) => (id === DEFAULT_PROFILE_ID ? base : `${base}:${id}`);
+
+export function switchProfile(id) {
+  saveProfiles({ ...loadProfiles(), active: id });
+  window.location.reload();
+}
+
+export function addProfile(name) {
+  const data = loadProfiles();
+  const profile = { id: `p${Date.now().toString(36)}`, name: name.trim() || "Profile", sources: [] };
+  saveProfiles({ ...data, profiles: [...data.profiles, profile] });
+  return profile;
+}
+
+// Renames and/or changes the sources of a profile; returns the updated profile
+export function updateProfile(id, patch) {
+  const data = loadProfiles();
+  const { profiles } = normalizeProfiles({ ...data, profiles: data.profiles.map((p) => (p.id === id ? { ...p, ...patch } : p)) });
+  saveProfiles({ ...data, profiles });
+  return profiles.find((p) => p.id === id);
+}
+
+// Drops a profile and its localStorage entries; the caller deletes its session database
+export function removeProfile(id) {
+  if (id === DEFAULT_PROFILE_ID || id === ACTIVE_ID) throw new Error("The default and the active profile can't be removed.");
+  const data = loadProfiles();
+  saveProfiles({ ...data, profiles: data.profiles.filter((p) => p.id !== id) });
+  for (const key of Object.keys(localStorage)) {
+    if (key.startsWith("lf_") && key.endsWith(`:${id}`)) localStorage.removeItem(key);
+  }
+}
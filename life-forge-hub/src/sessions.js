@@ -0,0 +1,218 @@
+// Session history in IndexedDB: one record per finished block, as written by handleTimerEnd, and
+// per focus block given up half-way (outcome "abandoned"; older records have no outcome)
+// {id, mode, outcome, startISO, endISO, durationSec, pauses, interruptions, cycleIndex, taskId, taskLabel, ..., day}
+// `day` is the dayKey of startISO at save time; it backs the per-day indexes.
+// Every function rejects on storage errors so the UI can show them.
+import { dayKey, shiftDay, timeZone } from "./days";
+import { loadSettings } from "./settings";
+import { profileKey } from "./profiles";
+
+const DB_NAME = profileKey("life-forge"); // one database per profile, see profiles.js
+const DB_VERSION = 1;
+const SESSIONS = "sessions";
+const META = "meta";
+
+// Pre-IndexedDB localStorage keys, migrated once
+const LEGACY_SESSIONS_KEY = "lf_sessions";
+const LEGACY_STATS_KEY = "lf_stats";
+
+const promisify = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+const done = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Storage transaction aborted"));
+  });
+
+let dbPromise = null;
+function openDb() {
+  if (dbPromise) return dbPromise;
+  if (typeof indexedDB === "undefined") return Promise.reject(new Error("This browser has no IndexedDB; history can't be saved."));
+  const req = indexedDB.open(DB_NAME, DB_VERSION);
+  req.onupgradeneeded = () => {
+    const db = req.result;
+    const store = db.createObjectStore(SESSIONS, { keyPath: "id" });
+    store.createIndex("day", "day");
+    store.createIndex("taskId", "taskId");
+    store.createIndex("mode", "mode");
+    store.createIndex("mode_day", ["mode", "day"]);
+    db.createObjectStore(META);
+  };
+  dbPromise = promisify(req).then(async (db) => {
+    // Another tab upgrading the schema: let it, and reopen on next use
+    db.onversionchange = () => {
+      db.close();
+      dbPromise = null;
+    };
+    await migrateLegacy(db);
+    return db;
+  });
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+const withDay = (entry, rolloverHour) => ({ ...entry, day: dayKey(new Date(entry.startISO), rolloverHour) });
+
+// Moves lf_sessions into the store and keeps lf_stats' streak as "legacy active days",
+// since the old 500-entry cap may have dropped sessions the streak was built from
+async function migrateLegacy(db) {
+  let sessions = [];
+  let stats = null;
+  try {
+    sessions = JSON.parse(localStorage.getItem(LEGACY_SESSIONS_KEY) || "[]");
+    stats = JSON.parse(localStorage.getItem(LEGACY_STATS_KEY) || "null");
+  } catch (e) {
+    console.error("Unreadable legacy history; skipping migration:", e);
+    return;
+  }
+  if (!Array.isArray(sessions)) sessions = [];
+  if (!sessions.length && !stats) return;
+
+  const tx = db.transaction([SESSIONS, META], "readwrite");
+  const store = tx.objectStore(SESSIONS);
+  const { dayRolloverHour } = loadSettings();
+  for (const s of sessions) if (s?.id && s.startISO) store.put(withDay(s, dayRolloverHour));
+  if (stats?.lastDay && stats.streak > 0) {
+    const legacyDays = Array.from({ length: stats.streak }, (_, i) => shiftDay(stats.lastDay, -i));
+    tx.objectStore(META).put(legacyDays, "legacyDays");
+  }
+  await done(tx);
+  localStorage.removeItem(LEGACY_SESSIONS_KEY);
+  localStorage.removeItem(LEGACY_STATS_KEY);
+}
+
+// Recomputes every stored `day` when the rollover hour or the time zone changed since the
+// last run (also upgrades keys written before days were local). Resolves to true if it did.
+export async function syncDayIndex(rolloverHour = 0) {
+  const db = await openDb();
+  const want = { rolloverHour, timeZone: timeZone() };
+  const tx = db.transaction([SESSIONS, META], "readwrite");
+  const meta = tx.objectStore(META);
+  const have = await promisify(meta.get("dayIndex"));
+  if (have?.rolloverHour === want.rolloverHour && have?.timeZone === want.timeZone) {
+    await done(tx);
+    return false;
+  }
+  await new Promise((resolve, reject) => {
+    const req = tx.objectStore(SESSIONS).openCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return resolve();
+      const day = dayKey(new Date(cursor.value.startISO), rolloverHour);
+      if (day !== cursor.value.day) cursor.update({ ...cursor.value, day });
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+  meta.put(want, "dayIndex");
+  await done(tx);
+  return true;
+}
+
+// Saves (or overwrites, by id) one or more sessions
+export async function saveSessions(entries, rolloverHour = 0) {
+  const db = await openDb();
+  const tx = db.transaction(SESSIONS, "readwrite");
+  const store = tx.objectStore(SESSIONS);
+  for (const e of entries) store.put(withDay(e, rolloverHour));
+  await done(tx);
+}
+export const saveSession = (entry, rolloverHour) => saveSessions([entry], rolloverHour);
+
+// Saves a session unless its id is already stored; resolves to whether it did. IndexedDB runs
+// overlapping write transactions one at a time, also across tabs, so when several tabs end the
+// same block exactly one of them gets true (see tabsync.js).
+export async function addSession(entry, rolloverHour = 0) {
+  const db = await openDb();
+  const tx = db.transaction(SESSIONS, "readwrite");
+  const req = tx.objectStore(SESSIONS).add(withDay(entry, rolloverHour));
+  let added = true;
+  req.onerror = (e) => {
+    if (req.error?.name !== "ConstraintError") return;
+    added = false;
+    // Already stored isn't a failure: keep the transaction from aborting
+    e.preventDefault();
+    e.stopPropagation();
+  };
+  await done(tx);
+  return added;
+}
+
+// Adds sessions whose id isn't stored yet (imports); existing records win. Resolves to the number added.
+export async function mergeSessions(entries, rolloverHour = 0) {
+  const db = await openDb();
+  const tx = db.transaction(SESSIONS, "readwrite");
+  const store = tx.objectStore(SESSIONS);
+  const known = new Set(await promisify(store.getAllKeys()));
+  let added = 0;
+  for (const e of entries) {
+    if (known.has(e.id)) continue;
+    known.add(e.id);
+    store.put(withDay(e, rolloverHour));
+    added++;
+  }
+  await done(tx);
+  return added;
+}
+
+// All sessions, or those whose day falls in [from, to]; ordered by day
+export async function loadSessions({ from, to } = {}) {
+  const db = await openDb();
+  const index = db.transaction(SESSIONS).objectStore(SESSIONS).index("day");
+  const range = from || to ? IDBKeyRange.bound(from || "", to || "\uffff") : undefined;
+  return promisify(index.getAll(range));
+}
+
+// Days with at least one focus session that wasn't abandoned, newest first (includes migrated legacy
+// streak days)
+export async function loadFocusDays() {
+  const db = await openDb();
+  const tx = db.transaction([SESSIONS, META]);
+  const days = new Set((await promisify(tx.objectStore(META).get("legacyDays"))) || []);
+  const range = IDBKeyRange.bound(["focus", ""], ["focus", "\uffff"]);
+  await new Promise((resolve, reject) => {
+    const req = tx.objectStore(SESSIONS).index("mode_day").openCursor(range);
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return resolve();
+      const day = cursor.key[1];
+      if (cursor.value.outcome === "abandoned") return cursor.continue();
+      // One counted session is enough: skip to the next day
+      days.add(day);
+      cursor.continue(["focus", `${day}\u0000`]);
+    };
+    req.onerror = () => reject(req.error);
+  });
+  return [...days].sort().reverse();
+}
+
+// Stats shown under the timer, derived from stored sessions instead of a separate counter
+export async function loadDayStats(today) {
+  const db = await openDb();
+  const todays = await promisify(db.transaction(SESSIONS).objectStore(SESSIONS).index("mode_day").getAll(["focus", today]));
+  const days = new Set(await loadFocusDays());
+
+  // Streak rule: consecutive focus days ending today, or yesterday if today has none yet
+  let k = days.has(today) ? today : shiftDay(today, -1);
+  let streak = 0;
+  while (days.has(k)) {
+    streak++;
+    k = shiftDay(k, -1);
+  }
+  return {
+    todayPomos: todays.filter((s) => s.outcome !== "abandoned").length,
+    todayFocusSec: todays.reduce((sum, s) => sum + (Number(s.durationSec) || 0), 0),
+    streak,
+  };
+}
+
+// Deletes another profile's history (see profiles.js removeProfile)
+export function deleteProfileSessions(profileId) {
+  if (typeof indexedDB === "undefined") return Promise.resolve();
+  return promisify(indexedDB.deleteDatabase(profileKey("life-forge", profileId)));
+}
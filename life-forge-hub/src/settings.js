@@ -0,0 +1,113 @@
+// User preferences, persisted in localStorage per profile. Unknown or invalid values fall back to defaults.
+import { profileKey } from "./profiles";
+
+const SETTINGS_KEY = "lf_settings";
+
+export const DEFAULT_SETTINGS = {
+  focusMin: 25,
+  breakMin: 5,
+  longBreakMin: 15,
+  longBreakEvery: 4,      // focus blocks per cycle
+  autoStartBreaks: false,
+  autoStartFocus: false,
+  defaultTaskMin: 25,     // length used for Notion tasks without an estimate
+  openNextOnLoad: true,   // show the next-task popup when the app loads
+  proxyUrl: "",           // overrides VITE_PROXY_URL when set
+  apiKey: "",             // sent to the proxy when it has API_KEYS set; never exported
+  dayRolloverHour: 0,     // a "day" starts at this local hour, for late workers
+  sound: "chime",
+  soundVolume: 70,        // percent
+  notifications: false,   // desktop notifications (needs browser permission)
+  notifyBlockEnd: true,
+  taskLeadMin: 5,         // heads-up this long before a task's planned start; 0 = off
+  titleCountdown: true,   // mm:ss in the tab title
+  reportTimer: true,      // tell the proxy when blocks start/end, for its webhooks (team chat)
+};
+
+// Allowed values for enum settings
+export const SETTING_CHOICES = {
+  sound: ["none", "chime", "bell", "digital"],
+};
+
+// [min, max] for numeric settings
+export const SETTING_LIMITS = {
+  focusMin: [1, 999],
+  breakMin: [1, 999],
+  longBreakMin: [1, 999],
+  longBreakEvery: [1, 12],
+  defaultTaskMin: [1, 999],
+  dayRolloverHour: [0, 12],
+  soundVolume: [0, 100],
+  taskLeadMin: [0, 120],
+};
+
+const isHttpUrl = (v) => {
+  try {
+    return ["http:", "https:"].includes(new URL(v).protocol);
+  } catch {
+    return false;
+  }
+};
+
+export function normalizeSettings(raw) {
+  const out = { ...DEFAULT_SETTINGS };
+  if (!raw || typeof raw !== "object") return out;
+  for (const [key, def] of Object.entries(DEFAULT_SETTINGS)) {
+    const v = raw[key];
+    if (typeof def === "boolean" && typeof v === "boolean") out[key] = v;
+    if (typeof def === "string" && typeof v === "string") {
+      if (SETTING_CHOICES[key]) {
+        if (SETTING_CHOICES[key].includes(v)) out[key] = v;
+      } else if (key === "apiKey") {
+        out[key] = v.trim();
+      } else if (key === "proxyUrl") {
+        const url = v.trim().replace(/\/+$/, "");
+        if (!url || isHttpUrl(url)) out[key] = url;
+      } else {
+        out[key] = v;
+      }
+    }
+    if (typeof def === "number" && Number.isFinite(Number(v)) && v !== "" && v !== null) {
+      const [min, max] = SETTING_LIMITS[key] || [-Infinity, Infinity];
+      out[key] = Math.max(min, Math.min(max, Math.round(Number(v))));
+    }
+  }
+  return out;
+}
+
+export const loadSettings = () => {
+  try {
+    return normalizeSettings(JSON.parse(localStorage.getItem(profileKey(SETTINGS_KEY))));
+  } catch (e) {
+    console.error("Failed to load settings:", e);
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+// `profileId` seeds another profile's settings (new profiles start from the current ones)
+export const saveSettings = (s, profileId) => {
+  try {
+    localStorage.setItem(profileKey(SETTINGS_KEY, profileId), JSON.stringify(s));
+  } catch (e) {
+    console.error("Failed to save settings:", e);
+  }
+};
+
+// JSON export/import of all preferences except the API key, which stays on this device
+export function exportSettings(s) {
+  const settings = { ...s };
+  delete settings.apiKey;
+  return JSON.stringify({ app: "life-forge", kind: "settings", version: 1, exportedAt: new Date().toISOString(), settings }, null, 2);
+}
+
+export function parseSettingsImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("That file isn't valid JSON.");
+  }
+  const raw = data?.kind === "settings" ? data.settings : data;
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("No settings found in that file.");
+  return normalizeSettings(raw);
+}
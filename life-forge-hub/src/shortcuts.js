@@ -0,0 +1,53 @@
+// Global keyboard shortcuts (listed in the help overlay) and the command palette's fuzzy matcher.
+
+export const SHORTCUTS = [
+  { keys: ["Space"], label: "Start / pause" },
+  { keys: ["R"], label: "Reset the current block" },
+  { keys: ["S"], label: "Skip the break" },
+  { keys: ["D"], label: "Log an interruption (during focus)" },
+  { keys: ["N"], label: "Refresh the next Notion task" },
+  { keys: ["T"], label: "Open / close the tasks drawer" },
+  { keys: ["1", "…", "9"], label: "Set the block to 5 … 45 minutes" },
+  { keys: ["Ctrl/⌘", "K"], label: "Command palette" },
+  { keys: ["?"], label: "This help" },
+  { keys: ["Esc"], label: "Close dialogs" },
+];
+
+// Minutes per digit key
+export const DIGIT_MINUTES = 5;
+
+// Keys typed into a field belong to the field, not to the shortcuts
+export const isTypingTarget = (el) =>
+  !!el && (el.isContentEditable || el.tagName === "TEXTAREA" || el.tagName === "SELECT" ||
+    (el.tagName === "INPUT" && !["checkbox", "radio", "button", "range"].includes(el.type)));
+
+// Subsequence match: every query character must appear in order. Higher score is better,
+// favouring consecutive runs and word starts; null when there is no match.
+export function fuzzyScore(query, text) {
+  const q = query.trim().toLowerCase();
+  if (!q) return 0;
+  const t = String(text || "").toLowerCase();
+  let score = 0;
+  let ti = 0;
+  let prev = -2;
+  for (const ch of q) {
+    if (ch === " ") continue;
+    const i = t.indexOf(ch, ti);
+    if (i < 0) return null;
+    score += 1;
+    if (i === prev + 1) score += 2;
+    if (i === 0 || /[\s\-_/.:]/.test(t[i - 1])) score += 3;
+    prev = i;
+    ti = i + 1;
+  }
+  return score - t.length * 0.01;
+}
+
+// Items whose `text` matches, best first (stable for equal scores)
+export function fuzzyFilter(items, query, text = (i) => i.label) {
+  return items
+    .map((item, idx) => ({ item, idx, score: fuzzyScore(query, text(item)) }))
+    .filter((r) => r.score !== null)
+    .sort((a, b) => b.score - a.score || a.idx - b.idx)
+    .map((r) => r.item);
+}
@@ -0,0 +1,54 @@
+// One timer across tabs of the same profile. Every timer change is broadcast on a
+// BroadcastChannel and applied by the other tabs (newest change wins). One tab is elected
+// leader with the Web Locks API for background duties that must happen once, like heads-up
+// notifications. Ending a block is claimed through IndexedDB instead (sessions.js addSession),
+// so a throttled background leader can't hold it up.
+// Without BroadcastChannel/Web Locks every tab works on its own, as before.
+import { genId } from "./timer";
+import { profileKey } from "./profiles";
+
+const CHANNEL = profileKey("lf_tabs");
+const LEADER_LOCK = profileKey("lf_leader");
+
+export function createTabSync({ onTimer, onLeaderChange }) {
+  const tabId = genId();
+  const channel = typeof BroadcastChannel === "function" ? new BroadcastChannel(CHANNEL) : null;
+  let lastAt = 0; // time of the newest timer state seen or sent
+
+  if (channel) {
+    channel.onmessage = ({ data }) => {
+      if (data?.type !== "timer" || data.tab === tabId || data.at < lastAt) return;
+      lastAt = data.at;
+      onTimer(data.timer);
+    };
+  }
+
+  // Leader: whoever holds the lock; the next waiting tab takes over when it closes
+  const abort = new AbortController();
+  let release = null;
+  if (navigator.locks?.request) {
+    navigator.locks
+      .request(LEADER_LOCK, { signal: abort.signal }, () => {
+        onLeaderChange(true);
+        return new Promise((resolve) => { release = resolve; });
+      })
+      .catch((e) => {
+        if (e.name !== "AbortError") console.error("Leader election failed:", e);
+      });
+  } else {
+    onLeaderChange(true);
+  }
+
+  return {
+    tabId,
+    publishTimer(timer) {
+      lastAt = Math.max(Date.now(), lastAt + 1);
+      channel?.postMessage({ type: "timer", tab: tabId, at: lastAt, timer });
+    },
+    close() {
+      abort.abort();
+      release?.();
+      channel?.close();
+    },
+  };
+}
@@ -0,0 +1,124 @@
+// Wall-clock timer engine: pure functions over a plain state object.
+// A running timer stores its target end timestamp instead of counting ticks,
+// so background-tab throttling and reloads can't make it drift. Focused time
+// is accumulated per run segment, so pauses are excluded from the session length.
+import { profileKey } from "./profiles";
+
+export const genId = () => Math.random().toString(36).slice(2) + Date.now().toString(36);
+
+const TIMER_KEY = profileKey("lf_timer"); // per profile, see profiles.js
+
+export const createTimer = (mode, totalSec, { task = null, cycleIndex = 1, longBreak = false } = {}) => ({
+  mode,                 // "focus" | "break"
+  cycleIndex,           // 1-based focus block within the cycle (a break keeps the block it follows)
+  longBreak: mode === "break" && longBreak,
+  totalSec,             // planned length of this block
+  remainingMs: totalSec * 1000, // authoritative while not running
+  running: false,
+  endAt: null,          // epoch ms the block ends at, while running
+  runStartedAt: null,   // epoch ms the current run segment began
+  focusedMs: 0,         // time spent running in earlier segments
+  pauses: 0,
+  interruptions: [],    // [{atISO, kind, note}] logged during a focus block, see logInterruption
+  sessionId: null,
+  startISO: null,
+  task,                 // {id, title} of the linked Notion task, kept across reloads
+});
+
+// Where the cycle goes after this block: focus -> (long) break, break -> next focus
+export function nextBlock(t, { longBreakEvery }) {
+  if (t.mode === "focus") {
+    return { mode: "break", cycleIndex: t.cycleIndex, longBreak: t.cycleIndex >= longBreakEvery };
+  }
+  return { mode: "focus", cycleIndex: t.longBreak ? 1 : Math.min(t.cycleIndex + 1, longBreakEvery), longBreak: false };
+}
+
+export const remainingMs = (t, now = Date.now()) => (t.running ? Math.max(0, t.endAt - now) : t.remainingMs);
+export const remainingSec = (t, now = Date.now()) => Math.ceil(remainingMs(t, now) / 1000);
+
+// `task` links a Notion task when the block doesn't already have one
+export function startTimer(t, now = Date.now(), task = null) {
+  if (t.running) return t;
+  return {
+    ...t,
+    task: t.task || task,
+    running: true,
+    endAt: now + t.remainingMs,
+    runStartedAt: now,
+    sessionId: t.sessionId || genId(),
+    startISO: t.startISO || new Date(now).toISOString(),
+  };
+}
+
+export function pauseTimer(t, now = Date.now()) {
+  if (!t.running) return t;
+  const stoppedAt = Math.min(now, t.endAt);
+  return {
+    ...t,
+    running: false,
+    remainingMs: Math.max(0, t.endAt - now),
+    endAt: null,
+    runStartedAt: null,
+    focusedMs: t.focusedMs + Math.max(0, stoppedAt - t.runStartedAt),
+    pauses: t.pauses + 1,
+  };
+}
+
+// What changed between two states of the timer, for reporting: "started" (a new block began),
+// "paused", "resumed", or null. Ends are reported where they're recorded (App.finishBlock).
+export function timerTransition(prev, next) {
+  if (!next.running || !next.sessionId) {
+    return prev.running && !next.running && prev.sessionId === next.sessionId && next.remainingMs > 0 ? "paused" : null;
+  }
+  if (prev.sessionId !== next.sessionId) return "started";
+  return prev.running ? null : "resumed";
+}
+
+export const INTERRUPTION_KINDS = ["internal", "external"];
+
+// Notes a distraction on the focus block under way (running or paused mid-way); `kind` is
+// "internal" (own thoughts, urges) or "external" (people, notifications)
+export function logInterruption(t, { kind = "internal", note = "" } = {}, now = Date.now()) {
+  if (t.mode !== "focus" || !t.sessionId) return t;
+  const entry = { atISO: new Date(now).toISOString(), kind: INTERRUPTION_KINDS.includes(kind) ? kind : "internal", note: note.trim() || null };
+  return { ...t, interruptions: [...(t.interruptions || []), entry] };
+}
+
+// New remaining length for the current block (inline minute editing); keeps the session going
+export function setTimerLength(t, totalSec, now = Date.now()) {
+  const ms = totalSec * 1000;
+  return { ...t, totalSec, remainingMs: ms, endAt: t.running ? now + ms : null };
+}
+
+// Totals for a block that ended (or is being ended) at `now`; a finished block ends at endAt, not when we noticed
+export function summarizeTimer(t, now = Date.now()) {
+  const endMs = t.running ? Math.min(now, t.endAt) : now;
+  const focusedMs = t.focusedMs + (t.running ? Math.max(0, endMs - t.runStartedAt) : 0);
+  const endISO = new Date(t.running ? endMs : now).toISOString();
+  return {
+    sessionId: t.sessionId || genId(),
+    startISO: t.startISO || new Date(new Date(endISO).getTime() - focusedMs).toISOString(),
+    endISO,
+    focusedSec: Math.max(1, Math.round(focusedMs / 1000)),
+    pauses: t.pauses,
+    interruptions: t.interruptions || [],
+  };
+}
+
+export const loadTimer = (fallback) => {
+  try {
+    const t = JSON.parse(localStorage.getItem(TIMER_KEY));
+    if (t && typeof t.remainingMs === "number" && (t.mode === "focus" || t.mode === "break")) return { ...fallback, ...t };
+  } catch (e) {
+    console.error("Failed to restore timer:", e);
+  }
+  return fallback;
+};
+
+export const saveTimer = (t) => {
+  try {
+    localStorage.setItem(TIMER_KEY, JSON.stringify(t));
+  } catch (e) {
+    console.error("Failed to persist timer:", e);
+  }
+};
@@ -0,0 +1,167 @@
+'use strict';
+
+// Caching + retry layer in front of the Notion client.
+// Reads (GET and database queries) are cached for a short TTL and served
+// stale-while-revalidate; identical in-flight reads share one request.
+// 429/5xx/timeouts are retried with exponential backoff honoring Retry-After,
+// and when Notion stays down a cached copy is served with a stale notice.
+// Every call that reaches Notion is timed: onCall({ method, path, status, ms }) and the request's
+// totals in its context (see observability.js); status 0 means no response (network, timeout).
+const { requestStore } = require('./observability');
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+const isRead = ({ method = 'GET', path = '' }) =>
+  method.toUpperCase() === 'GET' || (method.toUpperCase() === 'POST' && /^databases\/[^/]+\/query$/.test(path));
+
+// Status codes worth retrying; anything without a status is a network error or timeout
+const isRetryable = (e) => e?.status === 429 || e?.status >= 500 || e?.code === 'notionhq_client_request_timeout' || !e?.status;
+
+function retryAfterMs(e) {
+  const h = e?.headers;
+  const raw = typeof h?.get === 'function' ? h.get('retry-after') : h?.['retry-after'];
+  if (raw == null) return null;
+  const sec = Number(raw);
+  if (Number.isFinite(sec)) return sec * 1000;
+  const at = Date.parse(raw);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+function createCachedClient(client, opts = {}) {
+  const {
+    ttlMs = 15000,
+    staleMs = 5 * 60000,
+    retries = 3,
+    baseDelayMs = 500,
+    maxDelayMs = 30000,
+    maxEntries = 500,
+    log = console,
+    onCall = () => {},
+  } = opts;
+
+  const cache = new Map();    // key -> { value, at }
+  const inflight = new Map(); // key -> Promise
+  const stats = { hits: 0, misses: 0, stale: 0, staleOnError: 0, coalesced: 0, retries: 0, rateLimited: 0 };
+
+  const note = (status) => {
+    const ctx = requestStore();
+    if (ctx && !ctx.res.headersSent) ctx.res.setHeader('X-Cache', status);
+  };
+
+  async function timed(args) {
+    const started = performance.now();
+    let status = 200;
+    try {
+      return await client.request(args);
+    } catch (e) {
+      status = e?.status || 0;
+      throw e;
+    } finally {
+      const ms = performance.now() - started;
+      const ctx = requestStore();
+      if (ctx) {
+        ctx.notion.calls++;
+        ctx.notion.ms += ms;
+      }
+      onCall({ method: (args.method || 'GET').toUpperCase(), path: args.path, status, ms });
+    }
+  }
+
+  // One Notion call with retries; writes only retry on 429, where Notion did not apply them
+  async function withRetry(args, read) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await timed(args);
+      } catch (e) {
+        if (e?.status === 429) stats.rateLimited++;
+        const retryable = read ? isRetryable(e) : e?.status === 429;
+        if (!retryable || attempt >= retries) throw e;
+        const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * (0.8 + Math.random() * 0.4);
+        const wait = Math.min(maxDelayMs, retryAfterMs(e) ?? backoff);
+        stats.retries++;
+        log.warn(`Notion ${e?.status || e?.code || 'error'} on ${args.method} ${args.path}; retry ${attempt + 1}/${retries} in ${Math.round(wait)}ms`);
+        await sleep(wait);
+      }
+    }
+  }
+
+  // Drops entries past the stale window, then the oldest ones if still over the cap
+  function prune() {
+    const cutoff = Date.now() - ttlMs - staleMs;
+    for (const [k, v] of cache) if (v.at < cutoff) cache.delete(k);
+    for (const k of cache.keys()) {
+      if (cache.size <= maxEntries) break;
+      cache.delete(k);
+    }
+  }
+
+  function fetchShared(key, args) {
+    if (inflight.has(key)) {
+      stats.coalesced++;
+      return inflight.get(key);
+    }
+    const p = withRetry(args, true)
+      .then((value) => {
+        cache.set(key, { value, at: Date.now() });
+        if (cache.size > maxEntries) prune();
+        return value;
+      })
+      .finally(() => inflight.delete(key));
+    inflight.set(key, p);
+    return p;
+  }
+
+  // `fresh` skips the cache (still retried and coalesced), for pollers that need live data
+  async function request(args, { fresh = false } = {}) {
+    if (!isRead(args)) {
+      const out = await withRetry(args, false);
+      cache.clear(); // any write may change query results
+      return out;
+    }
+
+    const key = JSON.stringify([args.method || 'GET', args.path, args.body || null, args.query || null]);
+    if (fresh) return fetchShared(key, args);
+    const hit = cache.get(key);
+    const age = hit ? Date.now() - hit.at : Infinity;
+
+    if (age <= ttlMs) {
+      stats.hits++;
+      note('HIT');
+      return hit.value;
+    }
+    if (age <= ttlMs + staleMs) {
+      stats.stale++;
+      note('STALE');
+      fetchShared(key, args).catch((e) => log.warn('Background revalidate failed:', e?.message || e));
+      return hit.value;
+    }
+
+    stats.misses++;
+    try {
+      const value = await fetchShared(key, args);
+      note('MISS');
+      return value;
+    } catch (e) {
+      if (!hit || !isRetryable(e)) throw e;
+      // Notion is unavailable: fall back to the last good copy, however old
+      stats.staleOnError++;
+      e.staleCache = { cachedAt: new Date(hit.at).toISOString() };
+      const ctx = requestStore();
+      if (ctx) ctx.staleErrors.push(e);
+      note('STALE-ERROR');
+      return hit.value;
+    }
+  }
+
+  return {
+    request,
+    users: { me: () => request({ path: 'users/me', method: 'GET' }) },
+    clear: () => cache.clear(),
+    stats: () => ({ ...stats, entries: cache.size, inflight: inflight.size }),
+  };
+}
+
+// Errors that were masked by stale data during the current request
+const staleErrors = () => requestStore()?.staleErrors || [];
+
+module.exports = { createCachedClient, staleErrors };
@@ -0,0 +1,331 @@
+'use strict';
+
+// Fixed events from iCalendar feeds. CALENDAR_FEEDS lists them comma-separated as [name=]location,
+// where location is a URL (e.g. Google Calendar's "secret address in iCal format", webcal:// works
+// too) or a local .ics file. Feeds are read lazily and kept for CALENDAR_REFRESH_MS; a feed that
+// fails keeps serving its last good copy. Recurring events are expanded for the asked range:
+// RRULE with DAILY/WEEKLY/MONTHLY/YEARLY, INTERVAL, COUNT, UNTIL, BYDAY and BYMONTHDAY, plus
+// EXDATE and moved or cancelled occurrences (RECURRENCE-ID).
+const fs = require('fs');
+const path = require('path');
+const days = require('./days');
+
+const DAY = 86400000;
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_PERIODS = 20000; // recurrence periods walked per event, against runaway rules
+const FEED_NAME = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+
+// Parsing
+
+// Content lines with folding undone: { name, params, value }
+function contentLines(text) {
+  return String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(Boolean).map((line) => {
+    let i = 0;
+    let quoted = false;
+    for (; i < line.length; i++) {
+      if (line[i] === '"') quoted = !quoted;
+      else if (line[i] === ':' && !quoted) break;
+    }
+    const [name, ...params] = line.slice(0, i).split(';');
+    return {
+      name: name.toUpperCase(),
+      params: Object.fromEntries(params.map((p) => {
+        const eq = p.indexOf('=');
+        return [p.slice(0, eq).toUpperCase(), p.slice(eq + 1).replace(/^"|"$/g, '')];
+      })),
+      value: line.slice(i + 1),
+    };
+  });
+}
+
+const unescapeText = (v) => v.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+
+// Instant of local wall-clock fields in `tz`
+const localMs = (l, tz) => (tz === 'UTC'
+  ? Date.UTC(l.y, l.m - 1, l.d, l.h, l.mi, l.s)
+  : days.zonedTime(l.y, l.m, l.d, l.h, tz, l.mi).getTime() + l.s * 1000);
+
+// DATE or DATE-TIME value: { ms, allDay, local, tz }. The local fields are kept so recurrences step
+// in wall time (a 9:00 meeting stays at 9:00 across DST). Unknown TZIDs (e.g. Windows zone names)
+// and floating times use `defaultTz`.
+function parseDate(value, params, defaultTz) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(String(value).trim());
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s, z] = m;
+  const local = { y: +y, m: +mo, d: +d, h: +(h || 0), mi: +(mi || 0), s: +(s || 0) };
+  const tz = z ? 'UTC' : params.TZID && days.isTimeZone(params.TZID) ? params.TZID : defaultTz;
+  return { ms: localMs(local, tz), allDay: h === undefined, local, tz };
+}
+
+// "PT1H30M", "P1D", "P2W" -> ms
+function parseDuration(value) {
+  const m = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+  if (!m) return null;
+  const [, sign, w, d, h, mi, s] = m.map((v, i) => (i > 1 ? Number(v || 0) : v));
+  return (sign === '-' ? -1 : 1) * ((((w * 7 + d) * 24 + h) * 60 + mi) * 60 + s) * 1000;
+}
+
+function parseRule(value, start) {
+  const r = Object.fromEntries(value.split(';').map((part) => part.split('=')).map(([k, v]) => [k.toUpperCase(), v || '']));
+  if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(r.FREQ)) return null;
+  const until = r.UNTIL ? parseDate(r.UNTIL, {}, start.tz) : null;
+  return {
+    freq: r.FREQ,
+    interval: Math.max(1, parseInt(r.INTERVAL, 10) || 1),
+    count: r.COUNT ? parseInt(r.COUNT, 10) : null,
+    // A date-only UNTIL includes that whole day
+    until: until ? until.ms + (until.allDay ? DAY - 1 : 0) : null,
+    byDay: r.BYDAY ? r.BYDAY.split(',').map((s) => /^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(s.trim())).filter(Boolean)
+      .map(([, n, code]) => ({ n: n ? Number(n) : null, day: DAY_CODES.indexOf(code) })) : null,
+    byMonthDay: r.BYMONTHDAY ? r.BYMONTHDAY.split(',').map(Number).filter((n) => Number.isInteger(n) && n) : null,
+  };
+}
+
+// VEVENTs of a calendar: { uid, title, location, start, durationMs, busy, cancelled, rule, exdates, recurrenceId }
+function parseCalendar(text, { tz = 'UTC' } = {}) {
+  const events = [];
+  let ev = null;
+  for (const { name, params, value } of contentLines(text)) {
+    if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+      ev = { props: [], exdates: [] };
+    } else if (name === 'END' && value.toUpperCase() === 'VEVENT' && ev) {
+      events.push(ev);
+      ev = null;
+    } else if (ev && name === 'EXDATE') {
+      ev.exdates.push(...value.split(',').map((v) => parseDate(v, params, tz)).filter(Boolean));
+    } else if (ev) {
+      ev.props.push({ name, params, value });
+    }
+  }
+
+  return events.map(({ props, exdates }) => {
+    const get = (n) => props.find((p) => p.name === n);
+    const dtstart = get('DTSTART');
+    const start = dtstart && parseDate(dtstart.value, dtstart.params, tz);
+    if (!start) return null;
+    const dtend = get('DTEND');
+    const end = dtend && parseDate(dtend.value, dtend.params, tz);
+    const duration = get('DURATION') && parseDuration(get('DURATION').value);
+    const recurrenceId = get('RECURRENCE-ID');
+    return {
+      uid: get('UID')?.value || `${start.ms}:${get('SUMMARY')?.value || ''}`,
+      title: unescapeText(get('SUMMARY')?.value || '') || 'Busy',
+      location: get('LOCATION') ? unescapeText(get('LOCATION').value) || null : null,
+      start,
+      durationMs: Math.max(0, end ? end.ms - start.ms : duration ?? (start.allDay ? DAY : 0)),
+      // Free ("transparent") events and all-day ones don't block time
+      busy: (get('TRANSP')?.value || '').toUpperCase() !== 'TRANSPARENT' && !start.allDay,
+      cancelled: (get('STATUS')?.value || '').toUpperCase() === 'CANCELLED',
+      rule: get('RRULE') ? parseRule(get('RRULE').value, start) : null,
+      exdates: new Set(exdates.map((d) => d.ms)),
+      recurrenceId: recurrenceId ? parseDate(recurrenceId.value, recurrenceId.params, tz)?.ms ?? null : null,
+    };
+  }).filter(Boolean);
+}
+
+// Recurrence
+
+const utcDay = (l) => Date.UTC(l.y, l.m - 1, l.d);
+const weekday = (dayMs) => new Date(dayMs).getUTCDay();
+
+// Days of one month the rule lands on (UTC midnights standing for local dates)
+function monthDays(rule, y, m, defaultDay) {
+  const len = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+  const out = [];
+  if (rule.byDay) {
+    for (const { n, day } of rule.byDay) {
+      const matches = [];
+      for (let d = 1; d <= len; d++) if (weekday(Date.UTC(y, m, d)) === day) matches.push(Date.UTC(y, m, d));
+      if (n == null) out.push(...matches);
+      else if (matches[n > 0 ? n - 1 : matches.length + n] != null) out.push(matches[n > 0 ? n - 1 : matches.length + n]);
+    }
+  } else {
+    for (const md of rule.byMonthDay || [defaultDay]) {
+      const d = md > 0 ? md : len + md + 1;
+      if (d >= 1 && d <= len) out.push(Date.UTC(y, m, d));
+    }
+  }
+  return [...new Set(out)].sort((a, b) => a - b);
+}
+
+// Days of the i-th period (every `interval` days/weeks/months/years from the first one)
+function periodDays(rule, first, i) {
+  const firstMs = utcDay(first);
+  const k = i * rule.interval;
+  const byDays = rule.byDay?.map((b) => b.day);
+  switch (rule.freq) {
+    case 'DAILY': {
+      const d = firstMs + k * DAY;
+      return !byDays || byDays.includes(weekday(d)) ? [d] : [];
+    }
+    case 'WEEKLY': {
+      const monday = firstMs - ((weekday(firstMs) + 6) % 7) * DAY + k * 7 * DAY;
+      return (byDays || [weekday(firstMs)]).map((d) => monday + ((d + 6) % 7) * DAY).sort((a, b) => a - b);
+    }
+    case 'MONTHLY': {
+      const month = new Date(Date.UTC(first.y, first.m - 1 + k, 1));
+      return monthDays(rule, month.getUTCFullYear(), month.getUTCMonth(), first.d);
+    }
+    default: { // YEARLY, on the start's month and day (skips Feb 29 in other years)
+      const d = Date.UTC(first.y + k, first.m - 1, first.d);
+      return new Date(d).getUTCDate() === first.d ? [d] : [];
+    }
+  }
+}
+
+// Start instants of the event's occurrences that overlap [fromMs, toMs)
+function occurrences(ev, fromMs, toMs) {
+  const overlaps = (ms) => ms < toMs && ms + Math.max(ev.durationMs, 1) > fromMs;
+  if (!ev.rule) return overlaps(ev.start.ms) ? [ev.start.ms] : [];
+  const out = [];
+  const firstDay = utcDay(ev.start.local);
+  let n = 0;
+  for (let i = 0; i < MAX_PERIODS; i++) {
+    for (const dayMs of periodDays(ev.rule, ev.start.local, i)) {
+      if (dayMs < firstDay) continue;
+      const d = new Date(dayMs);
+      const local = { ...ev.start.local, y: d.getUTCFullYear(), m: d.getUTCMonth() + 1, d: d.getUTCDate() };
+      const ms = localMs(local, ev.start.tz);
+      if (ev.rule.until != null && ms > ev.rule.until) return out;
+      if (ev.rule.count != null && ++n > ev.rule.count) return out;
+      if (ms >= toMs) return out;
+      if (overlaps(ms) && !ev.exdates.has(ms)) out.push(ms);
+    }
+  }
+  return out;
+}
+
+const iso = (ms, allDay, tz) => (allDay ? days.dayKey(new Date(ms), { tz }) : new Date(ms).toISOString());
+
+// Event instances overlapping [fromMs, toMs), soonest first. All-day events get date-only
+// startISO/endISO (end inclusive, like Notion dates).
+function expandEvents(events, fromMs, toMs, feed) {
+  // Moved or cancelled occurrences replace the one at their RECURRENCE-ID
+  const replaced = new Set(events.filter((e) => e.recurrenceId != null).map((e) => `${e.uid}@${e.recurrenceId}`));
+  const out = [];
+  for (const ev of events) {
+    if (ev.cancelled) continue;
+    for (const ms of occurrences(ev, fromMs, toMs)) {
+      if (ev.recurrenceId == null && replaced.has(`${ev.uid}@${ms}`)) continue;
+      const { allDay, tz } = ev.start;
+      out.push({
+        id: `${feed.id}:${ev.uid}:${ms}`,
+        feed: feed.id,
+        title: ev.title,
+        location: ev.location,
+        allDay,
+        busy: ev.busy,
+        startISO: iso(ms, allDay, tz),
+        endISO: iso(allDay ? ms + Math.max(ev.durationMs, DAY) - DAY : ms + ev.durationMs, allDay, tz),
+        startMs: ms,
+        endMs: ms + ev.durationMs,
+      });
+    }
+  }
+  return out.sort((a, b) => a.startMs - b.startMs);
+}
+
+// Feeds
+
+// CALENDAR_FEEDS: "work=https://…/basic.ics, ./holidays.ics"
+function parseFeedList(value) {
+  return String(value || '').split(',').map((s) => s.trim()).filter(Boolean).map((entry, i) => {
+    const eq = entry.indexOf('=');
+    const named = eq > 0 && FEED_NAME.test(entry.slice(0, eq));
+    return { id: named ? entry.slice(0, eq) : `feed${i + 1}`, location: named ? entry.slice(eq + 1).trim() : entry };
+  });
+}
+
+const isUrl = (location) => /^(https?|webcal):\/\//i.test(location);
+
+/**
+ * feeds: from parseFeedList; tz: zone for floating times; baseDir: where relative file paths start.
+ * Returns { enabled, between(fromMs, toMs, {refresh}), status() }.
+ */
+function createCalendar({ feeds = [], refreshMs = 10 * 60000, tz = 'UTC', baseDir = __dirname, log, fetchImpl = fetch }) {
+  const state = feeds.map((f) => ({ ...f, events: [], fetchedAt: null, checkedAt: 0, error: null, loading: null }));
+
+  async function read(feed) {
+    if (!isUrl(feed.location)) return fs.promises.readFile(path.resolve(baseDir, feed.location), 'utf8');
+    const res = await fetchImpl(feed.location.replace(/^webcal:/i, 'https:'), { signal: AbortSignal.timeout(15000) });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return res.text();
+  }
+
+  // Re-reads a feed once it's older than refreshMs; failures are retried after refreshMs too
+  function ensure(feed, force) {
+    if (!force && Date.now() - feed.checkedAt < refreshMs) return feed.loading;
+    feed.checkedAt = Date.now();
+    feed.loading ||= read(feed)
+      .then((text) => {
+        feed.events = parseCalendar(text, { tz });
+        feed.fetchedAt = new Date().toISOString();
+        feed.error = null;
+      })
+      .catch((e) => {
+        feed.error = e?.message || String(e);
+        log.warn(`Calendar feed "${feed.id}" failed:`, feed.error);
+      })
+      .finally(() => { feed.loading = null; });
+    return feed.loading;
+  }
+
+  async function between(fromMs, toMs, { refresh = false } = {}) {
+    await Promise.all(state.map((f) => ensure(f, refresh)));
+    return state.flatMap((f) => expandEvents(f.events, fromMs, toMs, f)).sort((a, b) => a.startMs - b.startMs);
+  }
+
+  // Locations aren't shown: URLs of private feeds are secrets
+  const status = () => state.map((f) => ({ id: f.id, ok: !f.error, error: f.error, fetchedAt: f.fetchedAt, events: f.events.length }));
+
+  return { enabled: state.length > 0, between, status };
+}
+
+// Publishing (GET /calendar.ics)
+
+// RFC 5545 text escaping and line folding at 75 octets
+const icsText = (s) => String(s).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+const icsStamp = (ms) => new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+function fold(line) {
+  const out = [];
+  let rest = Buffer.from(line, 'utf8');
+  let limit = 75;
+  while (rest.length > limit) {
+    let cut = limit;
+    while (cut > 0 && (rest[cut] & 0xc0) === 0x80) cut--; // don't split a UTF-8 sequence
+    out.push(rest.subarray(0, cut).toString('utf8'));
+    rest = rest.subarray(cut);
+    limit = 74; // continuation lines start with a space
+  }
+  out.push(rest.toString('utf8'));
+  return out.join('\r\n ');
+}
+
+/**
+ * events: [{ uid, title, description?, startISO, endISO, allDay? }]; all-day ends are inclusive days.
+ * name: calendar name shown by subscribing apps.
+ */
+function toIcs(events, { name, refreshMin = 15 } = {}) {
+  const stamp = icsStamp(Date.now());
+  const date = (key) => key.replace(/-/g, '');
+  const lines = [
+    'BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Life Forge//notion-proxy//EN', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(name || 'Focus blocks')}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMin}M`, `X-PUBLISHED-TTL:PT${refreshMin}M`,
+  ];
+  for (const e of events) {
+    lines.push('BEGIN:VEVENT', `UID:${icsText(e.uid)}`, `DTSTAMP:${stamp}`);
+    if (e.allDay) {
+      lines.push(`DTSTART;VALUE=DATE:${date(e.startISO)}`, `DTEND;VALUE=DATE:${date(days.shiftDay(e.endISO || e.startISO, 1))}`);
+    } else {
+      lines.push(`DTSTART:${icsStamp(Date.parse(e.startISO))}`, `DTEND:${icsStamp(Date.parse(e.endISO))}`);
+    }
+    lines.push(`SUMMARY:${icsText(e.title)}`);
+    if (e.description) lines.push(`DESCRIPTION:${icsText(e.description)}`);
+    lines.push('END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCalendar, expandEvents, parseFeedList, createCalendar, toIcs };
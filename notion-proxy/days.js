@@ -0,0 +1,93 @@
+'use strict';
+
+// Day boundaries in the client's time zone. The hub sends ?tz=<IANA zone>&rollover=<hour>
+// so "today" here matches "today" in the UI; a day starts at `rollover` o'clock local time.
+// Day keys are "YYYY-MM-DD" strings, like the hub's days.js.
+
+const formatters = new Map();
+function formatter(tz) {
+  let f = formatters.get(tz);
+  if (!f) {
+    f = new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+    });
+    formatters.set(tz, f);
+  }
+  return f;
+}
+
+const isTimeZone = (tz) => {
+  try {
+    formatter(tz);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const serverTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Wall-clock fields of an instant in `tz`
+function zoneParts(ms, tz) {
+  const p = Object.fromEntries(formatter(tz).formatToParts(new Date(ms)).map(({ type, value }) => [type, Number(value)]));
+  return { y: p.year, m: p.month, d: p.day, h: p.hour, mi: p.minute, s: p.second };
+}
+
+// Offset of `tz` from UTC at an instant, in ms
+function zoneOffset(ms, tz) {
+  const p = zoneParts(ms, tz);
+  return Date.UTC(p.y, p.m - 1, p.d, p.h, p.mi, p.s) - Math.floor(ms / 1000) * 1000;
+}
+
+// Instant at which the wall clock in `tz` shows the given local date and time.
+// Second pass corrects the offset when the guess lands on the other side of a DST switch.
+function zonedTime(y, m, d, h, tz, mi = 0) {
+  const local = Date.UTC(y, m - 1, d, h, mi);
+  let ms = local - zoneOffset(local, tz);
+  ms = local - zoneOffset(ms, tz);
+  return new Date(ms);
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const dayKey = (date, { tz, rollover = 0 }) => {
+  const p = zoneParts(date.getTime() - rollover * 3600000, tz);
+  return `${p.y}-${pad(p.m)}-${pad(p.d)}`;
+};
+
+const shiftDay = (key, n) => {
+  const d = new Date(`${key}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+};
+
+// 0 = Monday … 6 = Sunday
+const weekdayOf = (key) => (new Date(`${key}T00:00:00Z`).getUTCDay() + 6) % 7;
+
+// First instant of the day `key` (at the rollover hour)
+const dayStart = (key, { tz, rollover = 0 }) => {
+  const [y, m, d] = key.split('-').map(Number);
+  return zonedTime(y, m, d, rollover, tz);
+};
+
+// Instant of a local "HH:MM" on day `key`
+const atTime = (key, hhmm, tz) => {
+  const [y, m, d] = key.split('-').map(Number);
+  const [h, mi] = hhmm.split(':').map(Number);
+  return zonedTime(y, m, d, h, tz, mi);
+};
+const isTimeOfDay = (v) => typeof v === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(v);
+const isDayKey = (v) => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v) && shiftDay(v, 0) === v;
+
+// Reads ?tz= and ?rollover= (falling back to the given defaults); returns {error} when invalid
+function dayOptions(query, defaults) {
+  const tz = query.tz ? String(query.tz) : defaults.tz;
+  if (!isTimeZone(tz)) return { error: `Unknown time zone "${tz}" (use an IANA name like Europe/Berlin)` };
+  const raw = query.rollover ?? defaults.rollover;
+  const rollover = Number(raw);
+  if (!Number.isInteger(rollover) || rollover < 0 || rollover > 12) return { error: `"rollover" must be an hour from 0 to 12, got "${raw}"` };
+  return { tz, rollover };
+}
+
+module.exports = { isTimeZone, serverTimeZone, dayKey, shiftDay, weekdayOf, zonedTime, dayStart, atTime, isTimeOfDay, isDayKey, dayOptions };
@@ -0,0 +1,163 @@
+'use strict';
+
+// Server-Sent Events feed of task changes.
+// Notion has no push API, so while at least one client is connected the
+// database is polled for pages edited since the last poll (by last_edited_time,
+// which Notion rounds to the minute) and every few polls the tasks in scope are
+// scanned to notice deleted/archived pages. Nothing is polled with no listeners.
+// `scope()` returns { filter, includes(task) }: the tasks worth tracking (open and
+// around today, see sources.js), as a query filter and the same test on a task.
+// Edits are reported either way; tasks edited out of scope are forgotten at the
+// next scan, so it never has to page through finished or far-off tasks.
+
+const EVERYTHING = () => ({ filter: undefined, includes: () => true });
+
+function createTaskEvents({ notion, dbId, toTask, scope = EVERYTHING, pollMs = 15000, fullScanEvery = 4, heartbeatMs = 25000, log = console }) {
+  const clients = new Set();
+  const known = new Map(); // page id -> { json: JSON of its task shape, at: when last seen }
+  let timer = null;
+  let heartbeat = null;
+  let polls = 0;
+  let lastPollAt = null;
+  let polling = false;
+
+  function send(res, type, data) {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function publish(type, task) {
+    const payload = { type, task, at: new Date().toISOString() };
+    for (const res of clients) send(res, type, payload);
+  }
+
+  // Records a task and emits created/updated if it is new or changed
+  function observe(task, { silent = false } = {}) {
+    const json = JSON.stringify(task);
+    const prev = known.get(task.id)?.json;
+    known.set(task.id, { json, at: Date.now() });
+    if (silent || prev === json) return;
+    publish(prev ? 'task.updated' : 'task.created', task);
+  }
+
+  async function queryAll(body) {
+    const pages = [];
+    let cursor;
+    do {
+      const q = await notion.request(
+        { path: `databases/${dbId}/query`, method: 'POST', body: { ...body, page_size: 100, start_cursor: cursor } },
+        { fresh: true },
+      );
+      pages.push(...(q.results || []));
+      cursor = q.has_more ? q.next_cursor : undefined;
+    } while (cursor);
+    return pages;
+  }
+
+  // Tasks in scope missing from the scan were deleted or archived (edits were seen just before);
+  // ones edited or drifted out of scope are dropped quietly, once the polls that look back a
+  // minute can't see the edit again
+  async function scan({ silent }) {
+    const { filter, includes } = scope();
+    const pages = await queryAll(filter ? { filter } : {});
+    const seen = new Set();
+    for (const page of pages) {
+      seen.add(page.id);
+      observe(toTask(page), { silent });
+    }
+    const settled = Date.now() - pollMs - 60000;
+    for (const [id, { json, at }] of known) {
+      if (seen.has(id)) continue;
+      const task = { ...JSON.parse(json), id };
+      if (includes(task)) {
+        known.delete(id);
+        if (!silent) publish('task.deleted', task);
+      } else if (at < settled) {
+        known.delete(id);
+      }
+    }
+  }
+
+  // Back off a minute to cover Notion's rounding; unchanged pages are filtered by observe()
+  async function changesSince(at, { silent = false } = {}) {
+    const since = new Date(at.getTime() - 60000).toISOString();
+    const pages = await queryAll({ filter: { timestamp: 'last_edited_time', last_edited_time: { on_or_after: since } } });
+    for (const page of pages) observe(toTask(page), { silent });
+  }
+
+  async function poll() {
+    if (polling) return;
+    polling = true;
+    const startedAt = new Date();
+    try {
+      if (!lastPollAt) {
+        // The snapshot includes recent edits out of scope, which the next polls will see again
+        await scan({ silent: true });
+        await changesSince(startedAt, { silent: true });
+      } else {
+        await changesSince(lastPollAt);
+        if (++polls % fullScanEvery === 0) await scan({ silent: false });
+      }
+      lastPollAt = startedAt;
+    } catch (e) {
+      log.warn('Task event poll failed:', e?.message || e);
+    } finally {
+      polling = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    poll();
+    timer = setInterval(poll, pollMs);
+    heartbeat = setInterval(() => {
+      for (const res of clients) res.write(': ping\n\n');
+    }, heartbeatMs);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    clearInterval(heartbeat);
+    timer = heartbeat = null;
+    lastPollAt = null; // the next listener starts from a fresh snapshot
+    known.clear();
+  }
+
+  // A stream opened by openEventStream() joins one feed per selected source
+  function add(res) {
+    clients.add(res);
+    start();
+  }
+
+  function remove(res) {
+    clients.delete(res);
+    if (!clients.size) stop();
+  }
+
+  // Lets write routes push their own changes without waiting for the next poll
+  const notify = (task) => {
+    if (timer) observe(task);
+  };
+
+  const close = () => {
+    for (const res of clients) res.end();
+    clients.clear();
+    stop();
+  };
+
+  return { add, remove, notify, close, clientCount: () => clients.size };
+}
+
+// GET /events: one SSE response fed by the task feeds of all selected sources
+function openEventStream(req, res, feeds, { pollMs = 15000, sources = [] } = {}) {
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+  res.write(`retry: ${Math.min(pollMs, 10000)}\n\n`);
+  res.write(`event: ready\ndata: ${JSON.stringify({ pollMs, sources })}\n\n`);
+
+  for (const feed of feeds) feed.add(res);
+  req.on('close', () => {
+    for (const feed of feeds) feed.remove(res);
+  });
+}
+
+module.exports = { createTaskEvents, openEventStream };
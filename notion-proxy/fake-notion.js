@@ -0,0 +1,353 @@
+'use strict';
+
+// In-memory stand-in for the Notion API, used by the tests and by `node index.js --fake`
+// (frontend work without a Notion account). Implements the subset of `client.request()`
+// the proxy uses: users/me, databases (retrieve + query with filters, sorts and cursors),
+// pages (retrieve, create, update), block children append and search. Errors carry
+// Notion's {status, code, message} shape. Data lives only as long as the process.
+const crypto = require('crypto');
+const { DEFAULT_MAPPING } = require('./schema');
+
+const FAKE_DB_ID = '00000000-0000-4000-8000-00000000da7a';
+const FAKE_SESSIONS_DB_ID = '00000000-0000-4000-8000-0000005e5510';
+
+function notionError(status, code, message) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  e.body = JSON.stringify({ object: 'error', status, code, message });
+  return e;
+}
+const notFound = (what, id) => notionError(404, 'object_not_found', `Could not find ${what} with ID: ${id}.`);
+const invalid = (message) => notionError(400, 'validation_error', message);
+
+const richText = (content) => [{ type: 'text', text: { content, link: null }, plain_text: content, href: null }];
+const plain = (parts) => (parts || []).map((t) => t.plain_text ?? t.text?.content ?? '').join('');
+
+// Database schema in the shape GET databases/:id returns, from the proxy's property mapping
+function tasksSchema(mapping) {
+  const props = {
+    [mapping.title]: { type: 'title', title: {} },
+    [mapping.date]: { type: 'date', date: {} },
+    [mapping.duration]: { type: 'select', select: { options: ['15m', '25m', '30m', '45m', '1h', '1h 30m', '2h'].map((name) => ({ name })) } },
+    [mapping.status]: { type: 'status', status: { options: ['Not started', 'In progress', 'Done'].map((name) => ({ name })) } },
+    [mapping.priority]: { type: 'select', select: { options: ['High', 'Medium', 'Low'].map((name) => ({ name })) } },
+    [mapping.tags]: { type: 'multi_select', multi_select: { options: [] } },
+    [mapping.actual]: { type: 'number', number: { format: 'number' } },
+    [mapping.deadline]: { type: 'date', date: {} },
+    [mapping.sessions]: { type: 'rich_text', rich_text: {} },
+  };
+  delete props.null; // fields disabled in the mapping
+  return props;
+}
+const SESSIONS_SCHEMA = {
+  Name: { type: 'title', title: {} },
+  Date: { type: 'date', date: {} },
+  Minutes: { type: 'number', number: {} },
+  Task: { type: 'relation', relation: {} },
+};
+
+// Property value as Notion returns it, from a plain JS value
+function toPropertyValue(type, value) {
+  switch (type) {
+    case 'title': return { title: value == null ? [] : richText(String(value)) };
+    case 'rich_text': return { rich_text: value == null ? [] : richText(String(value)) };
+    case 'date': return { date: value ? (typeof value === 'string' ? { start: value, end: null } : { end: null, ...value }) : null };
+    case 'number': return { number: value ?? null };
+    case 'checkbox': return { checkbox: Boolean(value) };
+    case 'select': return { select: value ? { name: value } : null };
+    case 'status': return { status: value ? { name: value } : null };
+    case 'multi_select': return { multi_select: (value || []).map((name) => ({ name })) };
+    case 'relation': return { relation: (value || []).map((id) => ({ id })) };
+    default: throw new Error(`fake-notion: unsupported property type ${type}`);
+  }
+}
+
+// Sample tasks around `now`, so /tasks/next and the drawer have something to show
+function sampleTasks(now = new Date()) {
+  const at = (dayOffset, hour, min = 0) => {
+    const d = new Date(now);
+    d.setDate(d.getDate() + dayOffset);
+    d.setHours(hour, min, 0, 0);
+    return d.toISOString();
+  };
+  const day = (dayOffset) => at(dayOffset, 12).slice(0, 10);
+  const inHours = (h) => new Date(Math.ceil(now.getTime() / 3600000) * 3600000 + h * 3600000).toISOString();
+  return [
+    { title: 'Ship release notes', date: at(-1, 10), duration: '30m', status: 'Done', priority: 'Medium' },
+    { title: 'Write project outline', date: inHours(1), duration: '1h 30m', status: 'Not started', priority: 'High', tags: ['Writing'] },
+    { title: 'Review pull requests', date: inHours(3), duration: '45m', status: 'In progress', priority: 'Medium', tags: ['Code'] },
+    { title: 'Plan next sprint', date: day(1), duration: '1h', status: 'Not started', priority: 'Low' },
+    { title: 'Fix login bug', duration: '2h', status: 'Not started', priority: 'High', deadline: day(1), tags: ['Code'] },
+    { title: 'Inbox zero', duration: '15m', status: 'Not started' },
+    { title: 'Read chapter 3', status: 'Not started', priority: 'Low' },
+  ];
+}
+
+// Comparable value of a page property, for filters and sorts
+function propValue(prop) {
+  switch (prop?.type) {
+    case 'title': return plain(prop.title);
+    case 'rich_text': return plain(prop.rich_text);
+    case 'date': return prop.date?.start ?? null;
+    case 'number': return prop.number ?? null;
+    case 'checkbox': return prop.checkbox;
+    case 'select': return prop.select?.name ?? null;
+    case 'status': return prop.status?.name ?? null;
+    case 'multi_select': return prop.multi_select.map((o) => o.name);
+    case 'relation': return prop.relation.map((r) => r.id);
+    case 'formula': return prop.formula?.[prop.formula.type] ?? null;
+    default: return null;
+  }
+}
+
+const isEmpty = (v) => v === null || v === undefined || v === '' || (Array.isArray(v) && !v.length);
+// Date-only values compare as UTC midnight, like date strings without a time
+const dateMs = (v) => Date.parse(v);
+
+function matchCondition(kind, value, cond) {
+  const [op, arg] = Object.entries(cond)[0] || [];
+  if (op === 'is_empty') return isEmpty(value);
+  if (op === 'is_not_empty') return !isEmpty(value);
+  switch (kind) {
+    case 'date':
+    case 'timestamp': {
+      if (isEmpty(value)) return false;
+      const v = dateMs(value);
+      const a = dateMs(arg);
+      if (op === 'equals') return v === a;
+      if (op === 'before') return v < a;
+      if (op === 'after') return v > a;
+      if (op === 'on_or_before') return v <= a;
+      if (op === 'on_or_after') return v >= a;
+      break;
+    }
+    case 'number':
+      if (op === 'equals') return value === arg;
+      if (op === 'does_not_equal') return value !== arg;
+      if (isEmpty(value)) return false;
+      if (op === 'greater_than') return value > arg;
+      if (op === 'less_than') return value < arg;
+      if (op === 'greater_than_or_equal_to') return value >= arg;
+      if (op === 'less_than_or_equal_to') return value <= arg;
+      break;
+    case 'checkbox':
+    case 'select':
+    case 'status':
+      if (op === 'equals') return value === arg;
+      if (op === 'does_not_equal') return value !== arg;
+      break;
+    case 'title':
+    case 'rich_text': {
+      const v = String(value ?? '').toLowerCase();
+      const a = String(arg).toLowerCase();
+      if (op === 'equals') return v === a;
+      if (op === 'does_not_equal') return v !== a;
+      if (op === 'contains') return v.includes(a);
+      if (op === 'does_not_contain') return !v.includes(a);
+      if (op === 'starts_with') return v.startsWith(a);
+      if (op === 'ends_with') return v.endsWith(a);
+      break;
+    }
+    case 'multi_select':
+    case 'relation':
+      if (op === 'contains') return (value || []).includes(arg);
+      if (op === 'does_not_contain') return !(value || []).includes(arg);
+      break;
+  }
+  throw invalid(`fake-notion: unsupported ${kind} filter condition "${op}"`);
+}
+
+// Rejects filters on unknown properties or with the wrong type, even when no page would be tested
+function checkFilter(filter, schema) {
+  if (!filter || filter.timestamp) return;
+  if (filter.and || filter.or) return (filter.and || filter.or).forEach((f) => checkFilter(f, schema));
+  const def = schema[filter.property];
+  if (!def) throw invalid(`Could not find property with name or id: ${filter.property}`);
+  const kind = Object.keys(filter).find((k) => k !== 'property');
+  if (kind !== def.type && kind !== 'formula') throw invalid(`Type error with filter on "${filter.property}": ${kind} filter on a ${def.type} property.`);
+}
+
+function matchFilter(page, filter) {
+  if (!filter) return true;
+  if (filter.and) return filter.and.every((f) => matchFilter(page, f));
+  if (filter.or) return filter.or.some((f) => matchFilter(page, f));
+  if (filter.timestamp) return matchCondition('timestamp', page[filter.timestamp], filter[filter.timestamp]);
+  const kind = Object.keys(filter).find((k) => k !== 'property');
+  const value = propValue(page.properties[filter.property]);
+  if (kind === 'formula') {
+    const [inner, cond] = Object.entries(filter.formula)[0];
+    return matchCondition(inner, value, cond);
+  }
+  return matchCondition(kind, value, filter[kind]);
+}
+
+// Empty values sort last in either direction, like Notion
+function compareBy(sorts) {
+  return (a, b) => {
+    for (const s of sorts) {
+      const va = s.timestamp ? a[s.timestamp] : propValue(a.properties[s.property]);
+      const vb = s.timestamp ? b[s.timestamp] : propValue(b.properties[s.property]);
+      if (isEmpty(va) || isEmpty(vb)) {
+        if (isEmpty(va) && isEmpty(vb)) continue;
+        return isEmpty(va) ? 1 : -1;
+      }
+      const dir = s.direction === 'descending' ? -1 : 1;
+      const type = s.timestamp ? 'date' : a.properties[s.property]?.type;
+      const cmp = type === 'date' ? dateMs(va) - dateMs(vb) : typeof va === 'number' ? va - vb : String(va).localeCompare(String(vb));
+      if (cmp) return cmp * dir;
+    }
+    return 0;
+  };
+}
+
+/**
+ * createFakeNotion({ mapping, tasks, schema, now, databaseId, title })
+ * mapping: the proxy's property mapping (property names); defaults to DEFAULT_MAPPING
+ * tasks:   [{ title, date, duration, status, priority, tags, actual, deadline, properties }]
+ *          keyed by mapping field; `properties` sets raw Notion property values (e.g. a number estimate)
+ * schema:  extra/overridden database properties, e.g. { 'Time Estimate': { type: 'number', number: {} } }
+ * databaseId, title: id and name of the tasks database (one fake per task source, see sources.js)
+ */
+function createFakeNotion({ mapping = DEFAULT_MAPPING, tasks, schema = {}, now = new Date(), databaseId: tasksDbId = FAKE_DB_ID, title = 'Tasks (fake)' } = {}) {
+  const databases = new Map([
+    [tasksDbId, { title, properties: { ...tasksSchema(mapping), ...schema } }],
+    [FAKE_SESSIONS_DB_ID, { title: 'Sessions (fake)', properties: SESSIONS_SCHEMA }],
+  ]);
+  const pages = new Map();
+  const blocks = new Map(); // page id -> appended children
+  let clock = now.getTime();
+  const stamp = () => new Date((clock = Math.max(clock + 1000, Date.now()))).toISOString();
+
+  const withIds = (props) => Object.fromEntries(Object.entries(props).map(([name, p]) => [name, { id: encodeURIComponent(name), name, ...p }]));
+  const dbObject = (id) => {
+    const db = databases.get(id);
+    return { object: 'database', id, title: richText(db.title), is_inline: false, parent: { type: 'workspace', workspace: true }, url: `https://fake.notion.local/${id.replace(/-/g, '')}`, properties: withIds(db.properties) };
+  };
+
+  // Writes Notion-shaped property values onto a page, validated against its database schema
+  function setProperties(page, input) {
+    const schemaProps = databases.get(page.parent.database_id).properties;
+    for (const [name, value] of Object.entries(input || {})) {
+      const def = schemaProps[name];
+      if (!def) throw invalid(`${name} is not a property that exists.`);
+      if (!(def.type in value)) throw invalid(`${name} is expected to be ${def.type}.`);
+      if (def.type === 'date' && value.date && Number.isNaN(Date.parse(value.date.start))) throw invalid(`${name}.date.start should be a valid ISO 8601 date string.`);
+      const v = def.type === 'title' || def.type === 'rich_text'
+        ? { [def.type]: value[def.type].map((t) => richText(t.text?.content ?? t.plain_text ?? '')[0]) }
+        : def.type === 'date' && value.date ? { date: { end: null, time_zone: null, ...value.date } } : value;
+      page.properties[name] = { id: encodeURIComponent(name), type: def.type, ...v };
+    }
+  }
+
+  function createPage(databaseId, properties) {
+    if (!databases.has(databaseId)) throw notFound('database', databaseId);
+    const id = crypto.randomUUID();
+    const t = stamp();
+    const page = {
+      object: 'page', id, created_time: t, last_edited_time: t, archived: false, in_trash: false,
+      parent: { type: 'database_id', database_id: databaseId },
+      url: `https://fake.notion.local/${id.replace(/-/g, '')}`,
+      properties: {},
+    };
+    // Every schema property is present on a page, empty if unset
+    for (const [name, def] of Object.entries(databases.get(databaseId).properties)) {
+      page.properties[name] = { id: encodeURIComponent(name), type: def.type, ...toPropertyValue(def.type, def.type === 'checkbox' ? false : null) };
+    }
+    setProperties(page, properties);
+    pages.set(id, page);
+    return page;
+  }
+
+  // Seed tasks are given by mapping field; their values go through the same property writer
+  function addTask(task) {
+    const props = databases.get(tasksDbId).properties;
+    const input = {};
+    for (const [field, value] of Object.entries(task)) {
+      const name = mapping[field];
+      if (field === 'properties' || !name || !props[name] || value === undefined) continue;
+      input[name] = toPropertyValue(props[name].type, value);
+    }
+    return createPage(tasksDbId, { ...input, ...task.properties });
+  }
+  for (const t of tasks || sampleTasks(now)) addTask(t);
+
+  function queryDatabase(id, body = {}) {
+    if (!databases.has(id)) throw notFound('database', id);
+    checkFilter(body.filter, databases.get(id).properties);
+    const all = [...pages.values()]
+      .filter((p) => p.parent.database_id === id && !p.archived)
+      .filter((p) => matchFilter(p, body.filter));
+    if (body.sorts?.length) all.sort(compareBy(body.sorts));
+    else all.sort((a, b) => b.created_time.localeCompare(a.created_time));
+
+    const size = Math.min(100, Math.max(1, body.page_size || 100));
+    const start = body.start_cursor ? all.findIndex((p) => p.id === body.start_cursor) : 0;
+    if (start < 0) throw invalid(`start_cursor provided is invalid: ${body.start_cursor}`);
+    const results = all.slice(start, start + size);
+    const next = all[start + size];
+    return { object: 'list', results: structuredClone(results), next_cursor: next ? next.id : null, has_more: Boolean(next), type: 'page_or_database', page_or_database: {} };
+  }
+
+  function getPage(id) {
+    const page = pages.get(id);
+    if (!page) throw notFound('page', id);
+    return page;
+  }
+
+  // Same signature as @notionhq/client's Client#request
+  async function request({ path, method = 'GET', body } = {}) {
+    const m = method.toUpperCase();
+    const parts = String(path).replace(/^\/+|\/+$/g, '').split('/');
+    const [root, id, sub] = parts;
+
+    if (root === 'users' && id === 'me' && m === 'GET') {
+      return { object: 'user', id: '00000000-0000-4000-8000-0000000b0700', type: 'bot', name: 'Fake Notion', bot: { owner: { type: 'workspace', workspace: true }, workspace_name: 'Fake workspace' } };
+    }
+    if (root === 'databases' && id && !sub && m === 'GET') {
+      if (!databases.has(id)) throw notFound('database', id);
+      return dbObject(id);
+    }
+    if (root === 'databases' && sub === 'query' && m === 'POST') return queryDatabase(id, body);
+    if (root === 'pages' && !id && m === 'POST') {
+      const page = createPage(body?.parent?.database_id, body?.properties);
+      return structuredClone(page);
+    }
+    if (root === 'pages' && id && m === 'GET') return structuredClone(getPage(id));
+    if (root === 'pages' && id && m === 'PATCH') {
+      const page = getPage(id);
+      setProperties(page, body?.properties);
+      if (typeof body?.archived === 'boolean') page.archived = body.archived;
+      if (typeof body?.in_trash === 'boolean') page.archived = page.in_trash = body.in_trash;
+      page.last_edited_time = stamp();
+      return structuredClone(page);
+    }
+    if (root === 'blocks' && sub === 'children' && m === 'PATCH') {
+      getPage(id);
+      const list = blocks.get(id) || [];
+      const added = (body?.children || []).map((b) => ({ ...b, id: crypto.randomUUID(), object: 'block' }));
+      blocks.set(id, [...list, ...added]);
+      return { object: 'list', results: added, next_cursor: null, has_more: false };
+    }
+    if (root === 'search' && m === 'POST') {
+      const q = String(body?.query || '').toLowerCase();
+      const results = [...databases.keys()].map(dbObject).filter((d) => plain(d.title).toLowerCase().includes(q));
+      return { object: 'list', results, next_cursor: null, has_more: false };
+    }
+    throw notionError(400, 'invalid_request_url', `fake-notion: ${m} ${path} is not supported.`);
+  }
+
+  return {
+    request,
+    users: { me: () => request({ path: 'users/me' }) },
+    databaseId: tasksDbId,
+    sessionsDatabaseId: FAKE_SESSIONS_DB_ID,
+    // Test helpers
+    addTask,
+    page: (id) => structuredClone(getPage(id)),
+    pages: () => [...pages.values()].filter((p) => p.parent.database_id === tasksDbId).map((p) => structuredClone(p)),
+    blocks: (id) => structuredClone(blocks.get(id) || []),
+  };
+}
+
+module.exports = { createFakeNotion, notionError, FAKE_DB_ID, FAKE_SESSIONS_DB_ID };
@@ -0,0 +1,152 @@
+'use strict';
+
+// Request context, structured logs and Prometheus metrics.
+// Every request runs in a context (AsyncLocalStorage) holding its id, so log lines, error
+// responses and the Notion calls made on its behalf can be tied together. Request ids come from
+// the caller's X-Request-Id when it looks sane, otherwise they're generated, and are echoed back.
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Request context
+
+const context = new AsyncLocalStorage();
+const requestStore = () => context.getStore();
+
+const REQUEST_ID = /^[\w.:-]{1,64}$/;
+
+// Express middleware; mount it first so everything after runs inside the context
+function requestContext(req, res, next) {
+  const given = req.get('x-request-id');
+  const requestId = given && REQUEST_ID.test(given) ? given : crypto.randomUUID();
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
+  context.run({ requestId, res, staleErrors: [], notion: { calls: 0, ms: 0 } }, next);
+}
+
+// Logs
+
+const LEVELS = { info: 20, warn: 30, err: 40 };
+const LEVEL_NAMES = { info: 'info', warn: 'warn', err: 'error' };
+const isPlainObject = (v) => v !== null && typeof v === 'object' && Object.getPrototypeOf(v) === Object.prototype;
+
+function safeJson(value) {
+  try {
+    return JSON.stringify(value);
+  } catch {
+    return JSON.stringify({ unserializable: String(value) });
+  }
+}
+
+// Same call style as console: log.info('Token OK. Bot user:', name). In JSON, text arguments make
+// up `msg`, a single plain object's fields go on the line itself and anything else lands in `data`.
+function jsonLine(level, args) {
+  const words = [];
+  const data = [];
+  for (const a of args) {
+    if (a instanceof Error) data.push({ message: a.message, stack: a.stack });
+    else if (a === null || typeof a !== 'object') words.push(String(a));
+    else data.push(a);
+  }
+  const fields = data.length === 1 && isPlainObject(data[0]) ? data[0] : data.length ? { data: data.length === 1 ? data[0] : data } : {};
+  const line = { time: new Date().toISOString(), level: LEVEL_NAMES[level], msg: words.join(' ').trim() };
+  const requestId = requestStore()?.requestId;
+  if (requestId) line.requestId = requestId;
+  for (const [k, v] of Object.entries(fields)) if (!['time', 'level', 'msg'].includes(k)) line[k] = v;
+  return safeJson(line);
+}
+
+/**
+ * format: "json" (one object per line, the default) or "text" (the old "[INFO] …" lines);
+ * level: lowest level written, "info" | "warn" | "error". Returns { info, warn, err }.
+ */
+function createLogger({ format = 'json', level = 'info', out = process.stdout, errOut = process.stderr } = {}) {
+  const min = LEVELS[level === 'error' ? 'err' : level] ?? LEVELS.info;
+  const text = String(format).toLowerCase() === 'text';
+  const prefix = { info: '[INFO]', warn: '[WARN]', err: '[ERR ]' };
+  const write = (lvl) => (...args) => {
+    if (LEVELS[lvl] < min) return;
+    const stream = lvl === 'info' ? out : errOut;
+    if (!text) return stream.write(`${jsonLine(lvl, args)}\n`);
+    const requestId = requestStore()?.requestId;
+    const parts = args.map((a) => (typeof a === 'string' ? a : a instanceof Error ? a.stack : safeJson(a)));
+    stream.write(`${[prefix[lvl], ...parts, ...(requestId ? [`(request ${requestId})`] : [])].join(' ')}\n`);
+  };
+  return { info: write('info'), warn: write('warn'), err: write('err') };
+}
+
+// Metrics
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const labelText = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+};
+
+// Buckets in seconds, from fast cache-backed routes to Notion at its slowest
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Registry rendered in the Prometheus text format. counter() and histogram() keep values per label
+ * set; collect(fn) adds samples read at scrape time (fn returns [{ name, type, help, samples:
+ * [{ labels, value }] }]), for numbers that live elsewhere like cache stats.
+ */
+function createMetrics({ prefix = '' } = {}) {
+  const families = [];
+  const collectors = [];
+
+  function counter(name, help) {
+    const values = new Map(); // label text -> { labels, value }
+    families.push({ name: prefix + name, type: 'counter', help, render: () => [...values.values()].map((v) => `${prefix}${name}${labelText(v.labels)} ${v.value}`) });
+    return {
+      inc(labels = {}, n = 1) {
+        const key = labelText(labels);
+        const v = values.get(key) || { labels, value: 0 };
+        v.value += n;
+        values.set(key, v);
+      },
+    };
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const values = new Map(); // label text -> { labels, counts, sum, count }
+    const render = () => [...values.values()].flatMap((v) => [
+      ...buckets.map((le, i) => `${prefix}${name}_bucket${labelText({ ...v.labels, le })} ${v.counts[i]}`),
+      `${prefix}${name}_bucket${labelText({ ...v.labels, le: '+Inf' })} ${v.count}`,
+      `${prefix}${name}_sum${labelText(v.labels)} ${v.sum}`,
+      `${prefix}${name}_count${labelText(v.labels)} ${v.count}`,
+    ]);
+    families.push({ name: prefix + name, type: 'histogram', help, render });
+    return {
+      observe(labels, seconds) {
+        const key = labelText(labels);
+        const v = values.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((le, i) => { if (seconds <= le) v.counts[i]++; });
+        v.sum += seconds;
+        v.count++;
+        values.set(key, v);
+      },
+    };
+  }
+
+  const collect = (fn) => collectors.push(fn);
+
+  function render() {
+    const lines = [];
+    const family = (name, type, help, samples) => {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples);
+    };
+    for (const f of families) family(f.name, f.type, f.help, f.render());
+    for (const fn of collectors) {
+      for (const f of fn()) family(prefix + f.name, f.type, f.help, f.samples.map((s) => `${prefix}${f.name}${labelText(s.labels || {})} ${s.value}`));
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  return { counter, histogram, collect, render };
+}
+
+// Notion API paths with ids replaced, as a low-cardinality operation label: "databases/:id/query"
+const notionOperation = (method = 'GET', path = '') =>
+  `${method.toUpperCase()} ${path.split('?')[0].split('/').map((seg) => (/^[0-9a-f]{32}$|^[0-9a-f-]{36}$/i.test(seg) ? ':id' : seg)).join('/')}`;
+
+module.exports = { requestContext, requestStore, createLogger, createMetrics, notionOperation };
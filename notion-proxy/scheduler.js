@@ -0,0 +1,99 @@
+'use strict';
+
+// Day planner for POST /schedule/plan: orders tasks by deadline and priority, then walks the
+// free parts of the working window (working hours minus fixed events) from the start, always
+// placing the most important task that still fits. Each task gets one contiguous block that
+// includes its Pomodoro breaks, followed by a short break (long every `longBreakEvery`
+// pomodoros). Pure: all times are ms.
+
+const MIN = 60000;
+
+// Select/status priority names, most important first (PRIORITY_ORDER env overrides in index.js)
+const DEFAULT_PRIORITY_ORDER = ['urgent', 'critical', 'highest', 'high', 'medium', 'normal', 'low', 'lowest'];
+
+// Lower rank = schedule first. Numbers are used as-is (1 = top priority); unknown names sit in the middle.
+function priorityRank(priority, order = DEFAULT_PRIORITY_ORDER) {
+  if (typeof priority === 'number') return priority;
+  if (!priority) return order.length;
+  const i = order.indexOf(String(priority).trim().toLowerCase());
+  return i < 0 ? order.length / 2 : i;
+}
+
+// Intervals [start, end) of `window` not covered by `busy`
+function freeSlots(window, busy) {
+  const sorted = busy
+    .map((b) => ({ start: Math.max(b.start, window.start), end: Math.min(b.end, window.end) }))
+    .filter((b) => b.end > b.start)
+    .sort((a, b) => a.start - b.start);
+  const slots = [];
+  let cursor = window.start;
+  for (const b of sorted) {
+    if (b.start > cursor) slots.push({ start: cursor, end: b.start });
+    cursor = Math.max(cursor, b.end);
+  }
+  if (cursor < window.end) slots.push({ start: cursor, end: window.end });
+  return slots;
+}
+
+// Task length split into pomodoros, with the short breaks between them
+function taskSpan(lengthMin, { focusMin, breakMin }) {
+  const pomodoros = Math.max(1, Math.ceil(lengthMin / focusMin));
+  return { pomodoros, spanMin: lengthMin + (pomodoros - 1) * breakMin };
+}
+
+/**
+ * tasks: [{ id, title, lengthMin, priority, deadlineMs, plannedStartMs }]
+ * events: [{ title, start, end, ... }] fixed, never moved; passed through as 'event' items
+ * opts: { window: {start, end}, focusMin, breakMin, longBreakMin, longBreakEvery, priorityOrder }
+ * Returns { items: [{type: 'task'|'break'|'event', start, end, ...}], unplaced: [{task, reason}], freeMin }
+ */
+function planDay(tasks, events, opts) {
+  const { window, longBreakMin, breakMin, longBreakEvery, priorityOrder } = opts;
+
+  // Deadlines first (earliest wins), then priority, then whatever order the tasks were already in
+  const ordered = tasks
+    .map((task, idx) => ({ task, idx, rank: priorityRank(task.priority, priorityOrder) }))
+    .sort((a, b) =>
+      (a.task.deadlineMs ?? Infinity) - (b.task.deadlineMs ?? Infinity) ||
+      a.rank - b.rank ||
+      (a.task.plannedStartMs ?? Infinity) - (b.task.plannedStartMs ?? Infinity) ||
+      a.idx - b.idx)
+    .map((o) => o.task);
+
+  const items = events
+    .filter((e) => e.end > window.start && e.start < window.end)
+    .map((e) => ({ ...e, type: 'event' }));
+  let remaining = ordered;
+  let pomos = 0;
+
+  const slots = freeSlots(window, events);
+  for (const slot of slots) {
+    let t = slot.start;
+    for (;;) {
+      const task = remaining.find((tk) => t + taskSpan(tk.lengthMin, opts).spanMin * MIN <= slot.end);
+      if (!task) break;
+      remaining = remaining.filter((tk) => tk !== task);
+      const { pomodoros, spanMin } = taskSpan(task.lengthMin, opts);
+      const end = t + spanMin * MIN;
+      items.push({ type: 'task', task, start: t, end, pomodoros, late: task.deadlineMs != null && end > task.deadlineMs });
+
+      const long = longBreakEvery > 0 && Math.floor((pomos + pomodoros) / longBreakEvery) > Math.floor(pomos / longBreakEvery);
+      pomos += pomodoros;
+      t = end + (long ? longBreakMin : breakMin) * MIN;
+      if (Math.min(t, slot.end) > end) items.push({ type: 'break', long, start: end, end: Math.min(t, slot.end) });
+      if (t >= slot.end) break;
+    }
+  }
+
+  const windowMin = (window.end - window.start) / MIN;
+  const unplaced = remaining.map((task) => ({
+    task,
+    reason: taskSpan(task.lengthMin, opts).spanMin > windowMin ? 'longer than the working day' : 'no free slot long enough',
+  }));
+  items.sort((a, b) => a.start - b.start);
+  const openMs = slots.reduce((sum, s) => sum + (s.end - s.start), 0);
+  const usedMs = items.filter((it) => it.type !== 'event').reduce((sum, it) => sum + (it.end - it.start), 0);
+  return { items, unplaced, freeMin: Math.round((openMs - usedMs) / MIN) };
+}
+
+module.exports = { planDay, priorityRank, freeSlots, taskSpan, DEFAULT_PRIORITY_ORDER };
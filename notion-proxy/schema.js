@@ -0,0 +1,84 @@
+'use strict';
+
+// Notion property mapping: which database property backs each task field.
+// Defaults match the original Life Forge database; override per field with
+// NOTION_PROP_<FIELD> env vars or all at once with a JSON file (NOTION_SCHEMA_FILE).
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAPPING = {
+  title: 'Name',
+  date: 'Date & Time',
+  duration: 'Time Estimate',
+  status: 'Status',
+  priority: 'Priority',
+  tags: 'Tags',
+  actual: 'Actual Time',
+  deadline: 'Deadline',
+  sessions: 'Focus Sessions',
+};
+
+// Accepted Notion property types per field; required fields break the task routes when invalid
+const FIELD_SPECS = {
+  title:    { types: ['title'], required: true },
+  date:     { types: ['date'], required: true },
+  duration: { types: ['number', 'select', 'multi_select'], required: false },
+  status:   { types: ['status', 'select', 'checkbox'], required: false },
+  priority: { types: ['select', 'status', 'number'], required: false },
+  tags:     { types: ['multi_select', 'select'], required: false },
+  actual:   { types: ['number'], required: false },
+  deadline: { types: ['date', 'formula'], required: false },
+  // Ids of the focus sessions counted in "actual", so a resent session isn't added twice
+  sessions: { types: ['rich_text'], required: false },
+};
+
+function readMappingFile(file, baseDir) {
+  const full = path.resolve(baseDir, file);
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(full, 'utf8'));
+  } catch (e) {
+    throw new Error(`Cannot read Notion schema file ${full}: ${e.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`Notion schema file ${full} must contain a JSON object`);
+  }
+  const unknown = Object.keys(parsed).filter((k) => !(k in DEFAULT_MAPPING));
+  if (unknown.length) throw new Error(`Unknown field(s) in ${full}: ${unknown.join(', ')}`);
+  return parsed;
+}
+
+// Resolution order: defaults < JSON file < per-field env vars. An empty value disables the field.
+function loadMapping(env = process.env, baseDir = __dirname) {
+  const fromFile = env.NOTION_SCHEMA_FILE ? readMappingFile(env.NOTION_SCHEMA_FILE.trim(), baseDir) : {};
+  const mapping = {};
+  for (const field of Object.keys(DEFAULT_MAPPING)) {
+    const envVal = env[`NOTION_PROP_${field.toUpperCase()}`];
+    const val = envVal !== undefined ? envVal : field in fromFile ? fromFile[field] : DEFAULT_MAPPING[field];
+    mapping[field] = typeof val === 'string' && val.trim() ? val.trim() : null;
+  }
+  for (const [field, spec] of Object.entries(FIELD_SPECS)) {
+    if (spec.required && !mapping[field]) throw new Error(`Notion schema mapping needs a "${field}" property`);
+  }
+  return mapping;
+}
+
+// Checks a mapping against a database's `properties` object (as returned by GET databases/{id})
+function validateMapping(mapping, dbProperties) {
+  const missing = [];
+  const wrongType = [];
+  for (const [field, spec] of Object.entries(FIELD_SPECS)) {
+    const name = mapping[field];
+    if (!name) continue;
+    const prop = dbProperties?.[name];
+    if (!prop) {
+      missing.push({ field, property: name, required: spec.required });
+    } else if (!spec.types.includes(prop.type)) {
+      wrongType.push({ field, property: name, type: prop.type, expected: spec.types, required: spec.required });
+    }
+  }
+  const ok = ![...missing, ...wrongType].some((p) => p.required);
+  return { ok, mapping, missing, wrongType };
+}
+
+module.exports = { DEFAULT_MAPPING, FIELD_SPECS, loadMapping, validateMapping };
@@ -0,0 +1,88 @@
+'use strict';
+
+// Access control for the proxy: API keys, per-client rate limiting and the CORS allow-list.
+const crypto = require('crypto');
+
+const list = (v) => String(v || '').split(',').map((s) => s.trim()).filter(Boolean);
+const digest = (s) => crypto.createHash('sha256').update(String(s)).digest();
+
+// Key from "Authorization: Bearer <key>" or "X-API-Key". EventSource can't send headers,
+// so routes listed in `queryKeyPaths` also accept ?key=.
+function requestKey(req, queryKeyPaths) {
+  const auth = req.get('authorization') || '';
+  const bearer = /^Bearer\s+(.+)$/i.exec(auth);
+  if (bearer) return bearer[1].trim();
+  if (req.get('x-api-key')) return req.get('x-api-key').trim();
+  if (req.method === 'GET' && queryKeyPaths.includes(req.path) && req.query.key) return String(req.query.key);
+  return null;
+}
+
+// Hex id of a key, so routes can tell keys apart (req.keyHash) without holding the key itself
+const keyHash = (key) => digest(key).toString('hex');
+
+// `keys`: comma-separated string (API_KEYS) or array; empty = open access (a warning is logged at boot).
+// `identify` runs first (the rate limiter needs req.clientId), `enforce` rejects requests without
+// a valid key except on `open` paths, whose handlers can check req.authenticated to trim output.
+function createAuth({ keys, open = [], queryKeyPaths = [] }) {
+  const hashes = [...new Set(Array.isArray(keys) ? keys : list(keys))].map(digest);
+  const matches = (key) => key != null && hashes.some((h) => crypto.timingSafeEqual(h, digest(key)));
+
+  const identify = (req, _res, next) => {
+    const key = hashes.length ? requestKey(req, queryKeyPaths) : null;
+    req.authenticated = !hashes.length || matches(key);
+    req.hasKey = key != null;
+    req.keyHash = key != null && req.authenticated ? keyHash(key) : null;
+    // Rate limits follow the key, so clients behind one NAT don't share a bucket
+    req.clientId = req.keyHash ? `key:${req.keyHash.slice(0, 12)}` : `ip:${req.ip}`;
+    next();
+  };
+  const enforce = (req, res, next) => {
+    if (req.authenticated || open.includes(req.path)) return next();
+    res.set('WWW-Authenticate', 'Bearer realm="notion-proxy"');
+    res.status(401).json({ status: 401, message: req.hasKey ? 'Invalid API key' : 'API key required (Authorization: Bearer <key>)' });
+  };
+  return { identify, enforce, enabled: hashes.length > 0 };
+}
+
+// Token bucket per client: `perMinute` requests per minute, bursts up to the same number.
+// perMinute <= 0 turns limiting off.
+function createRateLimiter({ perMinute, now = Date.now }) {
+  const buckets = new Map(); // clientId -> { tokens, at }
+  const refillPerMs = perMinute / 60000;
+  let lastSweep = now();
+
+  return (req, res, next) => {
+    if (!(perMinute > 0)) return next();
+    const t = now();
+    // Drop buckets that have refilled completely; they'd start full anyway
+    if (t - lastSweep > 60000) {
+      for (const [id, b] of buckets) if (b.tokens + (t - b.at) * refillPerMs >= perMinute) buckets.delete(id);
+      lastSweep = t;
+    }
+    const id = req.clientId || `ip:${req.ip}`;
+    const b = buckets.get(id) || { tokens: perMinute, at: t };
+    b.tokens = Math.min(perMinute, b.tokens + (t - b.at) * refillPerMs);
+    b.at = t;
+    buckets.set(id, b);
+
+    res.set('RateLimit-Limit', String(perMinute));
+    if (b.tokens < 1) {
+      const retrySec = Math.ceil((1 - b.tokens) / refillPerMs / 1000);
+      res.set('Retry-After', String(retrySec));
+      res.set('RateLimit-Remaining', '0');
+      return res.status(429).json({ status: 429, message: `Too many requests; retry in ${retrySec}s` });
+    }
+    b.tokens -= 1;
+    res.set('RateLimit-Remaining', String(Math.floor(b.tokens)));
+    next();
+  };
+}
+
+// CORS_ORIGIN: comma-separated origins, or "*" for any
+function originAllowList(value) {
+  const origins = list(value).map((o) => o.replace(/\/+$/, ''));
+  const any = origins.includes('*');
+  return { any, origins, allows: (origin) => any || origins.includes(origin) };
+}
+
+module.exports = { createAuth, createRateLimiter, originAllowList, keyHash };
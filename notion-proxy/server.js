@@ -0,0 +1,1066 @@
+'use strict';
+
+// The proxy app. createServer() gets its Notion clients from the caller (the SDK client in
+// index.js, or the in-memory fake from fake-notion.js) and reads its config from `env`.
+// Tasks come from one or more task sources (see sources.js); `clientFor(def)` returns the
+// client for each, `client` alone serves them all.
+const express = require('express');
+const cors = require('cors');
+const { validateMapping } = require('./schema');
+const { staleErrors } = require('./cache');
+const { openEventStream } = require('./events');
+const { loadSources, createTaskSource, isDateOnly, parseDurationLabelToMinutes } = require('./sources');
+const days = require('./days');
+const { planDay, DEFAULT_PRIORITY_ORDER } = require('./scheduler');
+const { createAuth, createRateLimiter, originAllowList } = require('./security');
+const { createCalendar, parseFeedList, toIcs } = require('./calendar');
+const { loadWebhooks, createWebhooks, createDailySummary } = require('./webhooks');
+const { requestContext, requestStore, createLogger, createMetrics, notionOperation } = require('./observability');
+
+// JSON lines by default; LOG_FORMAT=text for the plain "[INFO] …" lines, LOG_LEVEL=warn|error to quiet it
+const consoleLog = createLogger({ format: (process.env.LOG_FORMAT || 'json').trim(), level: (process.env.LOG_LEVEL || 'info').trim() });
+
+// Inverse of parseDurationLabelToMinutes, for writing estimates back to select properties
+const fmtMinutes = (min) => {
+  const h = Math.floor(min / 60);
+  const m = min % 60;
+  return h ? (m ? `${h}h ${m}m` : `${h}h`) : `${m}m`;
+};
+
+function createServer({ client, clientFor = () => client, env = process.env, log = consoleLog } = {}) {
+  const PORT = Number((env.PORT || '5174').trim());
+  const CORS_ORIGIN = (env.CORS_ORIGIN || 'http://localhost:5173').trim();
+  const PRODUCTION = (env.NODE_ENV || '').trim() === 'production';
+  const DEBUG_ROUTES = /^(1|true|yes)$/i.test((env.DEBUG_ROUTES || '').trim());
+
+  const envNum = (name, def) => {
+    const n = Number((env[name] || '').trim());
+    return env[name] && Number.isFinite(n) ? n : def;
+  };
+
+  // Metrics for GET /metrics (see observability.js); Notion calls slower than NOTION_SLOW_MS are logged too
+  const metrics = createMetrics({ prefix: 'notion_proxy_' });
+  const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by method, route and status.');
+  const httpDuration = metrics.histogram('http_request_duration_seconds', 'HTTP request duration by method and route.');
+  const notionDuration = metrics.histogram('notion_request_duration_seconds', 'Notion API call duration by source and operation; each retry is a call.');
+  const notionErrors = metrics.counter('notion_errors_total', 'Failed Notion API calls by source, operation and status (0 = no response).');
+  const NOTION_SLOW_MS = envNum('NOTION_SLOW_MS', 3000);
+
+  function observeNotion(source, { method, path, status, ms }) {
+    const operation = notionOperation(method, path);
+    notionDuration.observe({ source, operation }, ms / 1000);
+    if (!status || status >= 400) notionErrors.inc({ source, operation, status });
+    if (ms >= NOTION_SLOW_MS) log.warn('Slow Notion call', { source, operation, status, ms: Math.round(ms) });
+  }
+
+  // Task sources (see sources.js), each with its own Notion client (cached + retried, see cache.js),
+  // property mapping, status names and session logging
+  const EVENTS_POLL_MS = envNum('EVENTS_POLL_MS', 15000);
+  const sources = loadSources(env).map((def) => createTaskSource(def, {
+    client: clientFor(def),
+    cache: {
+      ttlMs: envNum('NOTION_CACHE_TTL_MS', 15000),
+      staleMs: envNum('NOTION_CACHE_STALE_MS', 5 * 60000),
+      retries: envNum('NOTION_RETRIES', 3),
+      onCall: (call) => observeNotion(def.id, call),
+    },
+    pollMs: EVENTS_POLL_MS,
+    log,
+  }));
+
+  // Day boundaries for "today"/"week" when the hub doesn't send ?tz= / ?rollover= (see days.js)
+  const DAY_DEFAULTS = {
+    tz: (env.TIME_ZONE || '').trim() || days.serverTimeZone(),
+    rollover: envNum('DAY_ROLLOVER_HOUR', 0),
+  };
+
+  // Calendar feeds (see calendar.js): meetings for GET /calendar, and busy time that /tasks/next
+  // and /schedule/plan work around
+  const calendar = createCalendar({
+    feeds: parseFeedList(env.CALENDAR_FEEDS),
+    refreshMs: envNum('CALENDAR_REFRESH_MS', 10 * 60000),
+    tz: DAY_DEFAULTS.tz,
+    log,
+  });
+
+  // Outgoing webhooks (see webhooks.js): timer transitions the hub reports, finished tasks and a
+  // daily summary at DAILY_SUMMARY_AT (local "HH:MM"; empty = off)
+  const webhooks = createWebhooks({ hooks: loadWebhooks(env), retries: envNum('WEBHOOK_RETRIES', 5), backoffMs: envNum('WEBHOOK_BACKOFF_MS', 2000), log });
+  const DAILY_SUMMARY_AT = (env.DAILY_SUMMARY_AT ?? '18:00').trim();
+  if (DAILY_SUMMARY_AT && !days.isTimeOfDay(DAILY_SUMMARY_AT)) throw new Error(`DAILY_SUMMARY_AT must be a local time like "18:00" or empty, got "${DAILY_SUMMARY_AT}"`);
+  const dailySummary = createDailySummary({ ...DAY_DEFAULTS, at: webhooks.enabled ? DAILY_SUMMARY_AT : '', emitEach: webhooks.emitEach, log });
+
+  // Auto-scheduler (POST /schedule/plan): working hours as local "HH:MM" and priority names, most important first
+  const WORK_START = (env.WORK_START || '09:00').trim();
+  const WORK_END = (env.WORK_END || '17:00').trim();
+  const PRIORITY_ORDER = env.PRIORITY_ORDER
+    ? env.PRIORITY_ORDER.split(',').map((s) => s.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_PRIORITY_ORDER;
+
+  // Session write-back: minutes are added to the source's "actual" property on the task page.
+  // Each source's sessionLog (SESSION_LOG by default) picks where the session is also logged:
+  // "off" | "blocks" (time-log bullet appended to the task page) | "database" (page in its sessions DB).
+  const SESSIONS_PROPS = {
+    title: (env.NOTION_SESSIONS_TITLE_PROP || 'Name').trim(),
+    date: (env.NOTION_SESSIONS_DATE_PROP || 'Date').trim(),
+    minutes: (env.NOTION_SESSIONS_MINUTES_PROP || 'Minutes').trim(),
+    task: (env.NOTION_SESSIONS_TASK_PROP || 'Task').trim(),
+  };
+
+  // App & access control (see security.js): CORS allow-list, API keys, per-client rate limit
+  const app = express();
+  app.disable('x-powered-by');
+  if (env.TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(env.TRUST_PROXY.trim()) ? Number(env.TRUST_PROXY) : env.TRUST_PROXY.trim());
+
+  // Request ids and per-route timing: a log line (with the request's Notion calls) and metrics for
+  // each request. Probes of /health and /metrics are only logged when they fail.
+  app.use(requestContext);
+  app.use((req, res, next) => {
+    const started = performance.now();
+    const ctx = requestStore();
+    res.on('close', () => {
+      const seconds = (performance.now() - started) / 1000;
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      httpDuration.observe({ method: req.method, route }, seconds);
+      if (res.statusCode < 400 && (route === '/health' || route === '/metrics')) return;
+      (res.statusCode >= 500 ? log.warn : log.info)('request', {
+        requestId: req.id, method: req.method, route, path: req.path, status: res.statusCode, ms: Math.round(seconds * 1000),
+        notionCalls: ctx.notion.calls, notionMs: Math.round(ctx.notion.ms),
+        ...(res.getHeader('x-cache') ? { cache: res.getHeader('x-cache') } : {}),
+        ...(res.writableFinished ? {} : { aborted: true }),
+      });
+    });
+    next();
+  });
+
+  const origins = originAllowList(CORS_ORIGIN);
+  app.use((req, res, next) => {
+    const origin = req.get('origin');
+    if (origin && !origins.allows(origin)) return res.status(403).json({ status: 403, message: `Origin ${origin} is not allowed` });
+    next();
+  });
+  app.use(cors({ origin: origins.any ? '*' : (origin, cb) => cb(null, Boolean(origin)), maxAge: 600 }));
+
+  // Keys listed on a source are valid API keys too, for that source and the ones without apiKeys
+  const API_KEYS = [
+    ...(env.API_KEYS || '').split(',').map((s) => s.trim()).filter(Boolean),
+    ...sources.flatMap((s) => s.def.apiKeys),
+  ];
+  const auth = createAuth({ keys: API_KEYS, open: ['/health'], queryKeyPaths: ['/events', '/calendar.ics'] });
+  app.use(auth.identify);
+  app.use(createRateLimiter({ perMinute: envNum('RATE_LIMIT_PER_MIN', 120) }));
+  app.use(auth.enforce);
+
+  app.use(express.json({ limit: '256kb' }));
+
+  // Full error details for logs; the request id lets a client's error be found in them
+  const explain = (e) => ({
+    status: e?.status || 500, code: e?.code, message: e?.message || String(e), body: e?.body,
+    ...(e?.staleCache ? { stale: `Notion unavailable; served cached data from ${e.staleCache.cachedAt}` } : {}),
+    ...(requestStore() ? { requestId: requestStore().requestId } : {}),
+  });
+  // What clients see: no raw Notion response body in production
+  const publicError = (e) => {
+    const out = explain(e);
+    if (PRODUCTION) delete out.body;
+    return out;
+  };
+  const httpError = (status, message) => Object.assign(new Error(message), { status });
+  // Added to task responses when the cache stood in for a failing Notion call
+  const staleNotice = () => {
+    const errs = staleErrors();
+    if (!errs.length) return {};
+    log.warn('Served stale data:', explain(errs[0]));
+    return { stale: publicError(errs[0]) };
+  };
+  const asyncRoute = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+  // Source selection: `requested` is a comma list or array of ids (?sources=work,home or body.sources);
+  // none = every source the caller's key can see. Ids the caller can't see count as unknown.
+  function pickSources(req, requested) {
+    const visible = sources.filter((s) => s.visibleTo(req));
+    const ids = Array.isArray(requested)
+      ? requested.map(String)
+      : String(requested ?? '').split(',').map((s) => s.trim()).filter(Boolean);
+    if (!ids.length) return visible;
+    const unknown = ids.filter((id) => !visible.some((s) => s.id === id));
+    if (unknown.length) throw httpError(400, `Unknown task source(s): ${unknown.join(', ')} (see /sources)`);
+    return visible.filter((s) => ids.includes(s.id));
+  }
+
+  // Task routes refuse to guess when a required property is missing or mistyped: broken sources are
+  // left out of merged results, and the route answers 503 when all selected sources are broken
+  function selectSources(req, res, requested = req.query.sources) {
+    const list = pickSources(req, requested);
+    const broken = list.find((s) => s.schemaBroken());
+    if (broken && list.every((s) => s.schemaBroken())) {
+      res.status(503).json({ status: 503, message: 'Notion schema mapping does not match the database; see /health', source: broken.id, schema: broken.schemaReport() });
+      return null;
+    }
+    return list;
+  }
+
+  // Runs `fn` on each source in parallel. Results keep the source order; failing sources are
+  // reported in `errors` (the route adds them as `sourceErrors`), unless all of them failed.
+  async function fromSources(list, fn) {
+    const settled = await Promise.allSettled(list.map((s) => (s.schemaBroken()
+      ? Promise.reject(httpError(503, 'Notion schema mapping does not match the database; see /health'))
+      : fn(s))));
+    const failed = settled.filter((r) => r.status === 'rejected');
+    if (failed.length && failed.length === settled.length) throw failed[0].reason;
+    const errors = [];
+    settled.forEach((r, i) => {
+      if (r.status === 'fulfilled') return;
+      log.err(`Task source "${list[i].id}" failed:`, explain(r.reason));
+      errors.push({ source: list[i].id, ...publicError(r.reason) });
+    });
+    return { results: settled.filter((r) => r.status === 'fulfilled').map((r) => r.value), errors };
+  }
+  const sourceNotice = (errors) => (errors.length ? { sourceErrors: errors } : {});
+
+  // The source holding a page: the `hint` source when given, otherwise the first visible source
+  // whose database contains it. Sources sharing a token can read each other's pages (hidden ones
+  // included), hence the database check; only a proxy with a single source accepts any page its
+  // token can read, as before. Callers write to the page, so it is read fresh, never from the cache.
+  async function findTaskPage(req, id, hint) {
+    const list = pickSources(req, hint);
+    let found = null;
+    let error = null;
+    for (const source of list) {
+      try {
+        const page = await source.notion.request({ path: `pages/${id}`, method: 'GET' }, { fresh: true });
+        if (source.owns(page) || sources.length === 1) {
+          found = { source, page };
+          break;
+        }
+        error ||= httpError(404, 'Task not found in the selected task sources');
+      } catch (e) {
+        if (!error || error.status === 404) error = e;
+      }
+    }
+    if (!found) throw error || httpError(404, 'No task source available');
+    if (found.source.schemaBroken()) throw httpError(503, `Notion schema mapping of source "${found.source.id}" does not match the database; see /health`);
+    return found;
+  }
+
+  // Ms a task starts at, for merging sources; date-only tasks start at the client's day start
+  const startMs = (iso, dayOpts) => (!iso ? Infinity : isDateOnly(iso) ? days.dayStart(iso, dayOpts).getTime() : Date.parse(iso));
+  const isTimed = (iso) => typeof iso === 'string' && !isDateOnly(iso);
+
+  // Source list for the hub's workspace switcher
+  app.get('/sources', (req, res) => {
+    res.json({
+      sources: sources.filter((s) => s.visibleTo(req)).map((s) => ({ id: s.id, name: s.name, ok: s.schemaReport()?.ok ?? null })),
+    });
+  });
+
+  // Readiness: a source is ready when its token works, its database is shared with the integration
+  // and the mapping matches. `state` names the first problem: token_invalid, db_not_shared,
+  // bad_database_id, rate_limited, notion_unavailable or schema_mismatch.
+  const sourceReady = new Map(); // source id -> ready at the last check, for /metrics
+  function diagnose(e, what) {
+    const status = e?.status ?? null;
+    const code = e?.code ?? null;
+    const problem = (state, hint) => ({ ok: false, state, status, code, hint });
+    if (status === 401) return problem('token_invalid', 'Notion rejected the token; check NOTION_TOKEN (or the source\'s token) and that the integration still exists');
+    if (what === 'database' && (status === 404 || status === 403)) {
+      return problem('db_not_shared', 'The token works but can\'t open the database; share it with the integration (••• → Connections) and check the database id');
+    }
+    if (what === 'database' && status === 400) return problem('bad_database_id', 'Notion rejected the database id; use the database itself, not a linked view');
+    if (status === 429) return problem('rate_limited', 'Notion is rate-limiting this token; it recovers on its own');
+    return problem('notion_unavailable', `Notion could not be reached: ${e?.message || e?.error || 'unknown error'}`);
+  }
+
+  async function readiness(source, refresh) {
+    const token = await source.notion.request({ path: 'users/me', method: 'GET' }, { fresh: refresh })
+      .then(() => ({ ok: true }), (e) => diagnose(e, 'token'));
+    const schema = refresh || !source.schemaReport() ? await source.checkSchema() : source.schemaReport();
+    const database = schema.error ? diagnose(schema, 'database') : { ok: true };
+    const state = !token.ok ? token.state : !database.ok ? database.state : !schema.ok ? 'schema_mismatch' : 'ready';
+    sourceReady.set(source.id, state === 'ready');
+    return { id: source.id, name: source.name, ready: state === 'ready', state, token, database, schema, cache: source.notion.stats() };
+  }
+
+  // Health (open; details only with a key) & debug routes (off unless DEBUG_ROUTES=1)
+  app.get('/health', asyncRoute(async (req, res) => {
+    const refresh = Boolean(req.query.refresh && req.authenticated);
+    const reports = await Promise.all(sources.map((s) => readiness(s, refresh)));
+    const ok = reports.every((r) => r.ready);
+    if (!req.authenticated) return res.status(ok ? 200 : 503).json({ ok, service: 'notion-proxy' });
+    const visible = reports.filter((r, i) => sources[i].visibleTo(req));
+    res.status(ok ? 200 : 503).json({
+      ok, service: 'notion-proxy', node: process.version, notionSdk: require('@notionhq/client/package.json').version,
+      // state/schema/cache of the first source, as in single-database setups
+      state: visible[0]?.state ?? null,
+      schema: visible[0]?.schema ?? null,
+      cache: visible[0]?.cache ?? null,
+      sources: visible,
+      ...(calendar.enabled ? { calendar: calendar.status() } : {}),
+    });
+  }));
+
+  // Prometheus metrics (needs an API key like the other routes, when keys are set)
+  metrics.collect(() => {
+    const perSource = (name, type, help, key) => ({ name, type, help, samples: sources.map((s) => ({ labels: { source: s.id }, value: s.notion.stats()[key] })) });
+    const CACHE_RESULTS = { hit: 'hits', miss: 'misses', stale: 'stale', stale_on_error: 'staleOnError', coalesced: 'coalesced' };
+    return [
+      {
+        name: 'notion_cache_requests_total', type: 'counter', help: 'Notion reads by cache result.',
+        samples: sources.flatMap((s) => Object.entries(CACHE_RESULTS).map(([result, key]) => ({ labels: { source: s.id, result }, value: s.notion.stats()[key] }))),
+      },
+      perSource('notion_rate_limited_total', 'counter', 'Notion 429 (rate limited) responses.', 'rateLimited'),
+      perSource('notion_retries_total', 'counter', 'Notion calls retried after a 429, 5xx or timeout.', 'retries'),
+      perSource('notion_cache_entries', 'gauge', 'Notion responses in the cache.', 'entries'),
+      {
+        name: 'source_ready', type: 'gauge', help: 'Whether the task source was ready at its last check (startup or /health).',
+        samples: sources.filter((s) => sourceReady.has(s.id)).map((s) => ({ labels: { source: s.id }, value: sourceReady.get(s.id) ? 1 : 0 })),
+      },
+      { name: 'uptime_seconds', type: 'gauge', help: 'Seconds since the process started.', samples: [{ value: Math.round(process.uptime()) }] },
+    ];
+  });
+  app.get('/metrics', (_req, res) => {
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.render());
+  });
+  app.use('/debug', (_req, res, next) => (DEBUG_ROUTES ? next() : res.status(404).json({ status: 404, message: 'Debug routes are disabled (set DEBUG_ROUTES=1)' })));
+  // ?source= picks the source for the routes below; default: the first one
+  const debugSource = (req) => {
+    const source = req.query.source ? sources.find((s) => s.id === req.query.source) : sources[0];
+    if (!source) throw httpError(404, `Unknown task source "${req.query.source}"`);
+    return source;
+  };
+  app.get('/debug/env', (_req, res) => {
+    res.json({
+      sources: sources.map((s) => ({ id: s.id, DB_ID: s.dbId, tokenPrefix: s.def.token.slice(0, 4), tokenLen: s.def.token.length })),
+      CORS_ORIGIN,
+      PORT,
+    });
+  });
+  app.get('/debug/me', asyncRoute(async (req, res) => {
+    const me = await debugSource(req).notion.users.me();
+    res.json({ ok: true, me });
+  }));
+  app.get('/debug/schema', asyncRoute(async (req, res) => {
+    const source = debugSource(req);
+    const db = await source.fetchSchema();
+    const types = Object.fromEntries(Object.entries(db?.properties || {}).map(([name, p]) => [name, p.type]));
+    res.json({ ok: true, source: source.id, object: db?.object, title: db?.title?.[0]?.plain_text || null, properties: Object.keys(types), types, mapping: validateMapping(source.props, db?.properties) });
+  }));
+  app.get('/debug/search', asyncRoute(async (req, res) => {
+    const q = (req.query.q || '').toString();
+    const r = await debugSource(req).notion.request({
+      path: 'search', method: 'POST',
+      body: { query: q, filter: { property: 'object', value: 'database' }, page_size: 25 },
+    });
+    const results = (r.results || []).map((d) => ({
+      id_no_dashes: (d.id || '').replace(/-/g, ''),
+      id: d.id,
+      title: d.title?.[0]?.plain_text || '(untitled)',
+      url: d.url || null,
+      parent_type: d.parent?.type,
+      is_inline: d.is_inline,
+    }));
+    res.json({ ok: true, count: results.length, results });
+  }));
+  app.get('/debug/next-raw', asyncRoute(async (req, res) => {
+    const source = debugSource(req);
+    const nowISO = new Date().toISOString();
+    const q = await source.query({ filter: { property: source.props.date, date: { on_or_after: nowISO } }, sorts: [{ property: source.props.date, direction: 'ascending' }], page_size: 1 });
+    const sample = q.results?.[0] || null;
+    res.json({ ok: true, source: source.id, count: q.results?.length || 0, samplePropertyKeys: sample?.properties ? Object.keys(sample.properties) : [], sample });
+  }));
+
+  // API: next task (consumed by the Pomodoro UI), the soonest across the selected sources that
+  // doesn't overlap a busy calendar event. Each source offers its next few tasks, soonest first, as
+  // { tasks, cursor }; `cursor` (Notion's) fetches the ones after them.
+  async function nextInSource(source, now, dayOpts, cursor) {
+    const DATE_PROP = source.props.date;
+    const upcoming = (p) => {
+      const { startISO } = source.getDates(p);
+      if (!startISO) return false;
+      // Date-only values are calendar days: compare them with the client's today
+      if (isDateOnly(startISO)) return startISO >= days.dayKey(now, dayOpts);
+      return new Date(startISO) >= now;
+    };
+
+    // The filter starts at the top of the minute, so calls within the cache TTL ask Notion the same
+    // question (and share its answer); tasks that started since then are dropped here
+    const minute = new Date(Math.floor(now.getTime() / 60000) * 60000);
+    const q = await source.query({ filter: source.withOpenTasks({ property: DATE_PROP, date: { on_or_after: minute.toISOString() } }), sorts: [{ property: DATE_PROP, direction: 'ascending' }], page_size: 10, ...(cursor ? { start_cursor: cursor } : {}) });
+    const pages = (q.results || []).filter(upcoming);
+
+    // If none >= now, pick the next ones in the calendar sense (today or later)
+    if (!cursor && !q.results?.length) {
+      const alt = await source.query({ filter: source.withOpenTasks(), sorts: [{ property: DATE_PROP, direction: 'ascending' }], page_size: 10 });
+      return { tasks: (alt.results || []).filter(upcoming).map(source.toTask), cursor: null };
+    }
+    return { tasks: pages.map(source.toTask), cursor: q.has_more ? q.next_cursor : null };
+  }
+
+  // How many pages per source /tasks/next reads when busy events block the tasks found so far
+  const NEXT_PAGES = 5;
+
+  // Calendar events as sent to clients (without the ms fields used for overlap checks)
+  const eventOut = ({ startMs: _s, endMs: _e, ...e }) => e;
+
+  app.get('/tasks/next', asyncRoute(async (req, res) => {
+    const dayOpts = days.dayOptions(req.query, DAY_DEFAULTS);
+    if (dayOpts.error) return res.status(400).json({ status: 400, message: dayOpts.error });
+    const list = selectSources(req, res);
+    if (!list) return;
+
+    const now = new Date();
+    const byStart = (a, b) => startMs(a.plannedStartISO, dayOpts) - startMs(b.plannedStartISO, dayOpts);
+    const { results: feeds, errors } = await fromSources(list, async (s) => ({ source: s, ...(await nextInSource(s, now, dayOpts)) }));
+    const candidates = () => feeds.flatMap((f) => f.tasks).sort(byStart);
+    if (!calendar.enabled) return res.json({ next: candidates()[0] || null, ...sourceNotice(errors), ...staleNotice() });
+
+    // Timed tasks overlapping a busy event are passed over (and listed in `skipped`);
+    // date-only tasks have no time to clash
+    async function firstFree(tasks) {
+      const timed = tasks.filter((t) => isTimed(t.plannedStartISO));
+      const until = Math.max(now.getTime(), ...timed.map((t) => Date.parse(t.plannedEndISO)));
+      const busy = timed.length ? (await calendar.between(now.getTime(), until)).filter((e) => e.busy) : [];
+      const skipped = [];
+      const next = tasks.find((t) => {
+        if (!isTimed(t.plannedStartISO)) return true;
+        const clash = busy.find((e) => e.startMs < Date.parse(t.plannedEndISO) && e.endMs > Date.parse(t.plannedStartISO));
+        if (clash) skipped.push({ task: t, event: eventOut(clash) });
+        return !clash;
+      }) || null;
+      return { next, skipped };
+    }
+
+    // A source's unread tasks start no earlier than the last one read, so sources whose last task
+    // starts before the answer (or that had none free) are paged on, up to NEXT_PAGES pages each
+    const lastStart = (f) => (f.tasks.length ? startMs(f.tasks[f.tasks.length - 1].plannedStartISO, dayOpts) : -Infinity);
+    let found = await firstFree(candidates());
+    for (let page = 1; page < NEXT_PAGES; page++) {
+      const behind = feeds.filter((f) => f.cursor && (!found.next || lastStart(f) < startMs(found.next.plannedStartISO, dayOpts)));
+      if (!behind.length) break;
+      await Promise.all(behind.map(async (f) => {
+        try {
+          const more = await nextInSource(f.source, now, dayOpts, f.cursor);
+          f.tasks.push(...more.tasks);
+          f.cursor = more.cursor;
+        } catch (e) {
+          log.err(`Task source "${f.source.id}" failed:`, explain(e));
+          errors.push({ source: f.source.id, ...publicError(e) });
+          f.cursor = null;
+        }
+      }));
+      found = await firstFree(candidates());
+    }
+    // `blocked`: there are upcoming tasks, but every one read clashes with a busy event
+    const { next, skipped } = found;
+    res.json({ next, skipped, blocked: !next && skipped.length > 0, ...sourceNotice(errors), ...staleNotice() });
+  }));
+
+  // API: task list for the drawer and the command palette (`q` searches titles), paginated via Notion
+  // cursors. With several sources each page holds up to pageSize tasks per source, and the cursor
+  // (base64url JSON of { source: notionCursor }) lists the sources that have more.
+  const RANGES = ['today', 'week', 'upcoming', 'unscheduled', 'all'];
+  const encodeCursor = (cursors) => (Object.keys(cursors).length ? Buffer.from(JSON.stringify(cursors)).toString('base64url') : null);
+  function decodeCursor(raw) {
+    try {
+      const cursors = JSON.parse(Buffer.from(raw, 'base64url').toString('utf8'));
+      if (cursors && typeof cursors === 'object' && !Array.isArray(cursors)) return cursors;
+    } catch {
+      // not one of ours
+    }
+    return null;
+  }
+
+  app.get('/tasks', asyncRoute(async (req, res) => {
+    const range = (req.query.range || 'all').toString();
+    const dayOpts = days.dayOptions(req.query, DAY_DEFAULTS);
+    if (dayOpts.error) return res.status(400).json({ status: 400, message: dayOpts.error });
+    if (!RANGES.includes(range)) return res.status(400).json({ status: 400, message: `Unknown range "${range}" (use today, week, upcoming, unscheduled or all)` });
+    const cursors = req.query.cursor ? decodeCursor(req.query.cursor.toString()) : null;
+    if (req.query.cursor && !cursors) return res.status(400).json({ status: 400, message: 'Invalid cursor' });
+    const list = selectSources(req, res);
+    if (!list) return;
+
+    const pageSize = Math.min(100, Math.max(1, Number(req.query.pageSize) || 50));
+    const search = String(req.query.q ?? '').trim().slice(0, 100); // `q`: only tasks whose title contains it
+    const { results, errors } = await fromSources(cursors ? list.filter((s) => cursors[s.id]) : list, async (source) => {
+      const filters = [source.rangeFilter(range, dayOpts), search && source.titleFilter(search)].filter(Boolean);
+      const rf = filters.length > 1 ? { and: filters } : filters[0];
+      // Unscheduled tasks have no date to sort by, so keep Notion's creation order
+      const sorts = range === 'unscheduled'
+        ? [{ timestamp: 'created_time', direction: 'ascending' }]
+        : [{ property: source.props.date, direction: 'ascending' }];
+      const q = await source.query({
+        filter: req.query.includeDone ? rf : source.withOpenTasks(rf),
+        sorts,
+        page_size: pageSize,
+        start_cursor: cursors?.[source.id] || undefined,
+      });
+      return { source: source.id, tasks: (q.results || []).map(source.toTask), cursor: q.has_more ? q.next_cursor : null };
+    });
+
+    const tasks = results.flatMap((r) => r.tasks);
+    if (range !== 'unscheduled') tasks.sort((a, b) => startMs(a.plannedStartISO, dayOpts) - startMs(b.plannedStartISO, dayOpts));
+    res.json({
+      range,
+      tasks,
+      nextCursor: encodeCursor(Object.fromEntries(results.filter((r) => r.cursor).map((r) => [r.source, r.cursor]))),
+      ...sourceNotice(errors),
+      ...staleNotice(),
+    });
+  }));
+
+  // API: live task changes for the hub (Server-Sent Events, see events.js)
+  app.get('/events', (req, res, next) => {
+    try {
+      const list = selectSources(req, res);
+      if (!list) return;
+      const usable = list.filter((s) => !s.schemaBroken());
+      openEventStream(req, res, usable.map((s) => s.events), { pollMs: EVENTS_POLL_MS, sources: usable.map((s) => s.id) });
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  // API: update a task from the timer (status, reschedule, estimate); ?source= or body.source
+  // names its source, otherwise it is looked up
+  function statusValue(source, type, done, name) {
+    const { statusDone, statusTodo } = source.def;
+    if (type === 'checkbox') return { checkbox: done ?? name === statusDone };
+    const value = name || (done ? statusDone : statusTodo);
+    if (type === 'status') return { status: { name: value } };
+    if (type === 'select') return { select: { name: value } };
+    return null;
+  }
+
+  function estimateValue(type, minutes) {
+    if (type === 'number') return { number: minutes };
+    if (type === 'select') return { select: { name: fmtMinutes(minutes) } };
+    if (type === 'multi_select') return { multi_select: [{ name: fmtMinutes(minutes) }] };
+    return null;
+  }
+
+  const isValidDate = (v) => typeof v === 'string' && !Number.isNaN(new Date(v).getTime());
+  // Names and titles clients send for messages: trimmed and capped
+  const shortText = (v) => (typeof v === 'string' ? v.trim().slice(0, 200) : '');
+
+  app.patch('/tasks/:id', asyncRoute(async (req, res) => {
+    const { done, status, startISO, endISO, lengthMin } = req.body || {};
+    const bad = (message) => res.status(400).json({ status: 400, message });
+
+    if (done !== undefined && typeof done !== 'boolean') return bad('"done" must be a boolean');
+    if (status !== undefined && (typeof status !== 'string' || !status.trim())) return bad('"status" must be a non-empty string');
+    if (startISO !== undefined && startISO !== null && !isValidDate(startISO)) return bad('"startISO" must be an ISO date or null');
+    if (endISO !== undefined && endISO !== null && !isValidDate(endISO)) return bad('"endISO" must be an ISO date or null');
+    if (lengthMin !== undefined && !(Number(lengthMin) >= 1)) return bad('"lengthMin" must be a number of minutes >= 1');
+
+    // Property types come from the page itself, so select/status/checkbox all work
+    const { source, page } = await findTaskPage(req, req.params.id, req.query.source || req.body?.source);
+    const PROPS = source.props;
+    const current = page.properties || {};
+    const properties = {};
+
+    if (done !== undefined || status !== undefined) {
+      const type = PROPS.status && current[PROPS.status]?.type;
+      const value = statusValue(source, type, done, status?.trim());
+      if (!value) return bad(`Task has no status/select/checkbox property "${PROPS.status}"`);
+      properties[PROPS.status] = value;
+    }
+    if (startISO !== undefined || endISO !== undefined) {
+      const start = startISO !== undefined ? startISO : source.getDates(page).startISO;
+      properties[PROPS.date] = { date: start ? { start, end: endISO || null } : null };
+    }
+    if (lengthMin !== undefined) {
+      const type = PROPS.duration && current[PROPS.duration]?.type;
+      const value = estimateValue(type, Math.round(Number(lengthMin)));
+      if (!value) return bad(`Task has no number/select property "${PROPS.duration}"`);
+      properties[PROPS.duration] = value;
+    }
+    if (!Object.keys(properties).length) return bad('Nothing to update (send done, status, startISO, endISO or lengthMin)');
+
+    const updated = await source.notion.request({ path: `pages/${req.params.id}`, method: 'PATCH', body: { properties } });
+    const task = source.toTask(updated);
+    source.events.notify(task);
+
+    // task.done webhooks, when this update finished the task
+    const doneName = current[PROPS.status]?.type === 'checkbox' ? 'Done' : source.def.statusDone;
+    if (task.status === doneName && source.toTask(page).status !== doneName) {
+      dailySummary.addTaskDone({ title: task.title, source: source.id });
+      webhooks.enqueue('task.done', { user: shortText(req.body.user) || 'Someone', task: task.title, taskId: task.id, source: source.id });
+    }
+    res.json({ ok: true, task });
+  }));
+
+  // API: timer transitions reported by the hub (started, paused, resumed, completed, abandoned).
+  // Focus blocks starting and completing fire the session.* webhooks; a transition is handled once
+  // per block, whichever tab reports it.
+  const TIMER_TRANSITIONS = ['started', 'paused', 'resumed', 'completed', 'abandoned'];
+  const SESSION_EVENTS = { started: 'session.started', completed: 'session.completed' };
+  const reportedTransitions = new Set();
+
+  app.post('/timer', asyncRoute(async (req, res) => {
+    const body = req.body || {};
+    const bad = (message) => res.status(400).json({ status: 400, message });
+    if (!TIMER_TRANSITIONS.includes(body.transition)) return bad(`"transition" must be one of ${TIMER_TRANSITIONS.join(', ')}`);
+    if (!shortText(body.sessionId)) return bad('"sessionId" is required');
+    if (body.mode !== 'focus' && body.mode !== 'break') return bad('"mode" must be "focus" or "break"');
+    const minutes = Number(body.minutes);
+    if (!(minutes >= 0 && minutes < 1440)) return bad('"minutes" must be a number of minutes');
+    if (body.startISO != null && !isValidDate(body.startISO)) return bad('"startISO" must be an ISO date');
+
+    const event = body.mode === 'focus' && SESSION_EVENTS[body.transition];
+    const key = `${body.sessionId}:${body.transition}`;
+    if (!event) return res.json({ ok: true, event: null, deliveries: [] });
+    if (reportedTransitions.has(key)) return res.json({ ok: true, event, skipped: 'duplicate', deliveries: [] });
+    reportedTransitions.add(key);
+    if (reportedTransitions.size > 1000) reportedTransitions.delete(reportedTransitions.values().next().value);
+
+    const task = body.task && typeof body.task === 'object' ? body.task : {};
+    const data = {
+      user: shortText(body.user) || 'Someone',
+      minutes: Math.round(minutes),
+      task: shortText(task.title) || 'no particular task',
+      taskId: shortText(task.id) || null,
+      source: shortText(task.source) || null,
+      sessionId: body.sessionId,
+      startISO: body.startISO || null,
+      interruptions: Math.max(0, Number(body.interruptions) || 0),
+    };
+    if (event === 'session.completed') dailySummary.addSession(data);
+    // Delivered in the background (see GET /webhooks/deliveries); the hub doesn't wait on chat apps
+    const deliveries = webhooks.enqueue(event, data);
+    res.json({ ok: true, event, deliveries: deliveries.map(({ id, webhook, status }) => ({ id, webhook, status })) });
+  }));
+
+  // API: webhook list, recent deliveries (?webhook=&limit=), a test message and the daily summary on demand
+  app.get('/webhooks', (_req, res) => {
+    res.json({ webhooks: webhooks.list(), dailySummaryAt: webhooks.enabled ? DAILY_SUMMARY_AT || null : null });
+  });
+  app.get('/webhooks/deliveries', (req, res) => {
+    const limit = Math.min(200, Math.max(1, Number(req.query.limit) || 50));
+    res.json({ deliveries: webhooks.deliveries({ webhook: req.query.webhook?.toString(), limit }) });
+  });
+  app.post('/webhooks/daily-summary', asyncRoute(async (_req, res) => {
+    const deliveries = await dailySummary.sendNow();
+    res.json({ ok: true, deliveries: deliveries.map(({ id, webhook, status }) => ({ id, webhook, status })) });
+  }));
+  app.post('/webhooks/:id/test', asyncRoute(async (req, res) => {
+    const delivery = await webhooks.test(req.params.id);
+    if (!delivery) return res.status(404).json({ status: 404, message: `Unknown webhook "${req.params.id}" (see /webhooks)` });
+    res.json({ ok: delivery.status === 'delivered', delivery });
+  }));
+
+  // API: completed focus sessions from the Pomodoro UI -> Notion (entry.taskSource names the source)
+  // Session ids already written, as the hub may resend; the last ones are kept here and, across
+  // restarts, on the task page (its "sessions" property, when the database has one)
+  const recordedSessions = new Set();
+  const pendingSessions = new Map();  // id -> write in flight (two tabs posting the same session at once)
+  const taskWrites = new Map(); // task id -> last session write queued for it
+
+  // Notion has no increment, so sessions for the same task are written one at a time: otherwise two
+  // could read the same "Actual Time" and the second PATCH would drop the first one's minutes
+  function oneAtATime(taskId, fn) {
+    const key = String(taskId).replace(/-/g, '');
+    const run = (taskWrites.get(key) || Promise.resolve()).then(fn);
+    const done = run.catch(() => {});
+    taskWrites.set(key, done);
+    done.then(() => {
+      if (taskWrites.get(key) === done) taskWrites.delete(key);
+    });
+    return run;
+  }
+
+  const SESSION_IDS_KEPT = 50; // per task page
+  const rememberSession = (id) => {
+    recordedSessions.add(id);
+    if (recordedSessions.size > 1000) recordedSessions.delete(recordedSessions.values().next().value);
+  };
+
+  async function logSession(source, entry, minutes) {
+    const { sessionLog, sessionsDatabaseId } = source.def;
+    const range = { start: entry.startISO, end: entry.endISO || null };
+    if (sessionLog === 'blocks') {
+      const when = new Date(entry.startISO).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+      const interruptions = Array.isArray(entry.interruptions) ? entry.interruptions.length : 0;
+      const notes = [entry.outcome === 'abandoned' && 'abandoned', interruptions && `${interruptions} interruption${interruptions === 1 ? '' : 's'}`].filter(Boolean);
+      await source.notion.request({
+        path: `blocks/${entry.taskId}/children`, method: 'PATCH',
+        body: { children: [{ object: 'block', type: 'bulleted_list_item', bulleted_list_item: { rich_text: [{ type: 'text', text: { content: `⏱ ${when} — ${fmtMinutes(minutes)} focus${notes.length ? ` (${notes.join(', ')})` : ''}` } }] } }] },
+      });
+      return 'blocks';
+    }
+    if (sessionLog === 'database' && sessionsDatabaseId) {
+      const db = await source.notion.request({ path: `databases/${sessionsDatabaseId}`, method: 'GET' });
+      const has = (name) => Boolean(db?.properties?.[name]);
+      const properties = {
+        [SESSIONS_PROPS.title]: { title: [{ type: 'text', text: { content: entry.taskLabel || 'Focus session' } }] },
+      };
+      if (has(SESSIONS_PROPS.date)) properties[SESSIONS_PROPS.date] = { date: range };
+      if (has(SESSIONS_PROPS.minutes)) properties[SESSIONS_PROPS.minutes] = { number: minutes };
+      if (has(SESSIONS_PROPS.task)) properties[SESSIONS_PROPS.task] = { relation: [{ id: entry.taskId }] };
+      await source.notion.request({ path: 'pages', method: 'POST', body: { parent: { database_id: sessionsDatabaseId }, properties } });
+      return 'database';
+    }
+    return null;
+  }
+
+  async function recordSession(req, entry) {
+    if (!entry || typeof entry !== 'object' || !entry.id) return { id: entry?.id ?? null, ok: false, status: 400, error: 'Session entry needs an id' };
+    if (recordedSessions.has(entry.id)) return { id: entry.id, ok: true, skipped: 'duplicate' };
+    // Same session already being written: share its outcome, so if it fails this sender keeps the
+    // entry in its outbox too
+    if (pendingSessions.has(entry.id)) {
+      await pendingSessions.get(entry.id);
+      return { id: entry.id, ok: true, skipped: 'duplicate' };
+    }
+    if (entry.mode !== 'focus') return { id: entry.id, ok: true, skipped: 'not a focus session' };
+    if (!entry.taskId) return { id: entry.id, ok: true, skipped: 'no linked task' };
+
+    const minutes = Math.max(0, Math.round(Number(entry.durationSec) / 60));
+    if (!Number.isFinite(minutes)) return { id: entry.id, ok: false, status: 400, error: 'durationSec must be a number' };
+
+    const write = oneAtATime(entry.taskId, () => writeSession(req, entry, minutes));
+    pendingSessions.set(entry.id, write);
+    try {
+      return await write;
+    } finally {
+      pendingSessions.delete(entry.id);
+    }
+  }
+
+  async function writeSession(req, entry, minutes) {
+    // Notion has no increment, so read the current total first (see oneAtATime)
+    const { source, page } = await findTaskPage(req, entry.taskId, entry.taskSource || undefined);
+    const counted = source.countedSessions(page);
+    if (counted?.includes(entry.id)) {
+      rememberSession(entry.id);
+      return { id: entry.id, ok: true, skipped: 'duplicate' };
+    }
+    const ACTUAL_PROP = source.props.actual;
+    const prop = page?.properties?.[ACTUAL_PROP];
+    let actualMin = null;
+    if (ACTUAL_PROP && prop?.type === 'number') {
+      actualMin = (prop.number || 0) + minutes;
+      // The session id is written with the new total, so the page itself tells a resend apart
+      const properties = { [ACTUAL_PROP]: { number: actualMin } };
+      if (counted) properties[source.props.sessions] = { rich_text: [{ type: 'text', text: { content: [...counted, entry.id].slice(-SESSION_IDS_KEPT).join(' ') } }] };
+      await source.notion.request({ path: `pages/${entry.taskId}`, method: 'PATCH', body: { properties } });
+    } else {
+      log.warn(`Task ${entry.taskId} has no number property "${ACTUAL_PROP}"; actual time not updated.`);
+    }
+
+    // Count the session as recorded before logging, so a resend can't add the minutes twice
+    rememberSession(entry.id);
+    try {
+      const logged = await logSession(source, entry, minutes);
+      return { id: entry.id, ok: true, source: source.id, minutes, actualMin, logged };
+    } catch (e) {
+      log.err('Session log failed:', explain(e));
+      return { id: entry.id, ok: true, source: source.id, minutes, actualMin, logged: null, logError: explain(e).message };
+    }
+  }
+
+  app.post('/sessions', asyncRoute(async (req, res) => {
+    const body = req.body;
+    const entries = Array.isArray(body) ? body : Array.isArray(body?.sessions) ? body.sessions : [body];
+    const results = [];
+    for (const entry of entries) {
+      try {
+        results.push(await recordSession(req, entry));
+      } catch (e) {
+        // `status` tells clients whether a resend may help (5xx / 429) or not
+        const { status, message } = explain(e);
+        log.err('Session write-back failed:', explain(e));
+        results.push({ id: entry?.id ?? null, ok: false, status, error: message });
+      }
+    }
+    res.json({ ok: results.every((r) => r.ok), results });
+  }));
+
+  // API: auto-scheduler. /schedule/plan proposes a day plan from the selected sources (body.sources);
+  // /schedule/apply writes it to Notion (dry run unless the body says "dryRun": false).
+  const PLAN_DEFAULTS = { focusMin: 25, breakMin: 5, longBreakMin: 15, longBreakEvery: 4 };
+  const MAX_PLAN_TASKS = 300;
+
+  // Open tasks that are unscheduled or scheduled before `before` (overdue ones get re-planned)
+  async function loadPlannableTasks(source, before) {
+    const DATE_PROP = source.props.date;
+    const tasks = [];
+    let cursor;
+    do {
+      const q = await source.query({
+        filter: source.withOpenTasks({ or: [{ property: DATE_PROP, date: { is_empty: true } }, { property: DATE_PROP, date: { before: before.toISOString() } }] }),
+        sorts: [{ property: DATE_PROP, direction: 'ascending' }],
+        page_size: 100,
+        start_cursor: cursor,
+      });
+      tasks.push(...(q.results || []).map(source.toTask));
+      cursor = q.has_more ? q.next_cursor : undefined;
+    } while (cursor && tasks.length < MAX_PLAN_TASKS);
+    return tasks;
+  }
+
+  // A date-only deadline lasts until the end of that day in the client's zone
+  const deadlineMs = (iso, tz) => (!iso ? null : isDateOnly(iso) ? days.dayStart(days.shiftDay(iso, 1), { tz }).getTime() : Date.parse(iso));
+
+  app.post('/schedule/plan', asyncRoute(async (req, res) => {
+    const body = req.body || {};
+    const bad = (message) => res.status(400).json({ status: 400, message });
+    const list = selectSources(req, res, body.sources);
+    if (!list) return;
+
+    const dayOpts = days.dayOptions(body, DAY_DEFAULTS);
+    if (dayOpts.error) return bad(dayOpts.error);
+    const now = new Date();
+    const date = body.date ?? days.dayKey(now, dayOpts);
+    if (!days.isDayKey(date)) return bad('"date" must be a YYYY-MM-DD day');
+    const workStart = body.workStart ?? WORK_START;
+    const workEnd = body.workEnd ?? WORK_END;
+    if (!days.isTimeOfDay(workStart) || !days.isTimeOfDay(workEnd)) return bad('"workStart" and "workEnd" must be local times like "09:00"');
+
+    const opts = { ...PLAN_DEFAULTS };
+    for (const key of Object.keys(PLAN_DEFAULTS)) {
+      if (body[key] === undefined) continue;
+      const n = Number(body[key]);
+      if (!Number.isInteger(n) || n < 1 || n > 240) return bad(`"${key}" must be a whole number from 1 to 240`);
+      opts[key] = n;
+    }
+
+    const events = [];
+    for (const e of Array.isArray(body.events) ? body.events : []) {
+      if (!isValidDate(e?.startISO) || !isValidDate(e?.endISO)) return bad('Each event needs "startISO" and "endISO"');
+      events.push({ title: String(e.title || 'Busy'), start: Date.parse(e.startISO), end: Date.parse(e.endISO) });
+    }
+
+    // Planning today starts now (rounded up to 5 minutes), not at the start of the working day
+    const window = { start: days.atTime(date, workStart, dayOpts.tz).getTime(), end: days.atTime(date, workEnd, dayOpts.tz).getTime() };
+    if (window.start < now.getTime()) window.start = Math.ceil(now.getTime() / 300000) * 300000;
+
+    // Busy calendar events block their time too, unless the body says "calendar": false
+    if (calendar.enabled && body.calendar !== false && window.end > window.start) {
+      for (const e of await calendar.between(window.start, window.end)) {
+        if (e.busy) events.push({ title: e.title, start: e.startMs, end: e.endMs });
+      }
+    }
+
+    const { results, errors } = await fromSources(list, (source) => loadPlannableTasks(source, new Date(window.end)));
+    let tasks = results.flat();
+    if (Array.isArray(body.taskIds)) tasks = tasks.filter((t) => body.taskIds.includes(t.id));
+
+    // keepScheduled: tasks already timed inside the window stay put and block their time
+    const fixed = body.keepScheduled
+      ? tasks.filter((t) => isTimed(t.plannedStartISO) && Date.parse(t.plannedStartISO) >= window.start && Date.parse(t.plannedStartISO) < window.end)
+      : [];
+    for (const t of fixed) events.push({ title: t.title, taskId: t.id, source: t.source, start: Date.parse(t.plannedStartISO), end: Date.parse(t.plannedEndISO) });
+
+    const movable = tasks.filter((t) => !fixed.includes(t)).map((t) => ({
+      ...t,
+      lengthMin: Math.max(1, Math.round(Number(t.lengthMin) || opts.focusMin)),
+      deadlineMs: deadlineMs(t.deadlineISO, dayOpts.tz),
+      plannedStartMs: t.plannedStartISO ? Date.parse(t.plannedStartISO) : null,
+    }));
+    const plan = window.end > window.start
+      ? planDay(movable, events, { ...opts, window, priorityOrder: PRIORITY_ORDER })
+      : { items: [], unplaced: movable.map((task) => ({ task, reason: 'the working day is over' })), freeMin: 0 };
+
+    const iso = (ms) => new Date(ms).toISOString();
+    res.json({
+      date,
+      tz: dayOpts.tz,
+      window: { startISO: iso(window.start), endISO: iso(Math.max(window.start, window.end)) },
+      items: plan.items.map((it) => {
+        if (it.type === 'task') {
+          const { id, source, title, lengthMin, priority, deadlineISO, plannedStartISO } = it.task;
+          return { type: 'task', taskId: id, source, title, startISO: iso(it.start), endISO: iso(it.end), lengthMin, pomodoros: it.pomodoros, priority, deadlineISO, late: it.late, previousStartISO: plannedStartISO };
+        }
+        if (it.type === 'break') return { type: 'break', long: it.long, startISO: iso(it.start), endISO: iso(it.end) };
+        // Events; tasks kept in place by keepScheduled come back as 'fixed-task'
+        return { type: it.taskId ? 'fixed-task' : 'event', taskId: it.taskId, source: it.source, title: it.title, startISO: iso(it.start), endISO: iso(it.end) };
+      }),
+      unplaced: plan.unplaced.map(({ task, reason }) => ({ taskId: task.id, source: task.source, title: task.title, lengthMin: task.lengthMin, deadlineISO: task.deadlineISO, reason })),
+      freeMin: plan.freeMin,
+      ...sourceNotice(errors),
+      ...staleNotice(),
+    });
+  }));
+
+  app.post('/schedule/apply', asyncRoute(async (req, res) => {
+    const body = req.body || {};
+    const bad = (message) => res.status(400).json({ status: 400, message });
+    if (body.dryRun !== undefined && typeof body.dryRun !== 'boolean') return bad('"dryRun" must be a boolean');
+    const dryRun = body.dryRun !== false;
+
+    // Accepts the /schedule/plan response as-is: only task items are written, each to its `source`
+    const items = (Array.isArray(body.items) ? body.items : []).filter((it) => !it.type || it.type === 'task');
+    if (!items.length) return bad('"items" must list {taskId, startISO, endISO} entries (e.g. from /schedule/plan)');
+    if (items.length > 100) return bad('At most 100 items per request');
+    for (const it of items) {
+      if (typeof it.taskId !== 'string' || !it.taskId) return bad('Each item needs a "taskId"');
+      if (!isValidDate(it.startISO) || !isValidDate(it.endISO) || Date.parse(it.endISO) <= Date.parse(it.startISO)) {
+        return bad(`Item ${it.taskId} needs "startISO" before "endISO"`);
+      }
+    }
+
+    const changes = [];
+    for (const it of items) {
+      const to = { startISO: new Date(it.startISO).toISOString(), endISO: new Date(it.endISO).toISOString() };
+      try {
+        const { source, page } = await findTaskPage(req, it.taskId, it.source || undefined);
+        const current = source.toTask(page);
+        const change = { taskId: it.taskId, source: source.id, title: current.title, from: { startISO: current.plannedStartISO, endISO: current.plannedEndISO }, to };
+        if (!dryRun) {
+          const updated = await source.notion.request({
+            path: `pages/${it.taskId}`, method: 'PATCH',
+            body: { properties: { [source.props.date]: { date: { start: to.startISO, end: to.endISO } } } },
+          });
+          source.events.notify(source.toTask(updated));
+        }
+        changes.push({ ...change, ok: true });
+      } catch (e) {
+        log.err('Schedule apply failed:', explain(e));
+        changes.push({ taskId: it.taskId, to, ok: false, error: explain(e).message });
+      }
+    }
+    res.json({ ok: changes.every((c) => c.ok), dryRun, changes });
+  }));
+
+  // API: calendar. GET /calendar lists the feeds' events for ?range=today|week (the client's days)
+  // or ?from=&to= (ISO); GET /calendar.ics publishes scheduled tasks for calendar apps.
+  const MAX_CALENDAR_DAYS = 92;
+  app.get('/calendar', asyncRoute(async (req, res) => {
+    const bad = (message) => res.status(400).json({ status: 400, message });
+    const dayOpts = days.dayOptions(req.query, DAY_DEFAULTS);
+    if (dayOpts.error) return bad(dayOpts.error);
+
+    let from;
+    let to;
+    if (req.query.from || req.query.to) {
+      if (!isValidDate(req.query.from) || !isValidDate(req.query.to)) return bad('"from" and "to" must both be ISO dates');
+      from = Date.parse(req.query.from);
+      to = Date.parse(req.query.to);
+      if (to <= from) return bad('"to" must be after "from"');
+      if (to - from > MAX_CALENDAR_DAYS * 86400000) return bad(`At most ${MAX_CALENDAR_DAYS} days per request`);
+    } else {
+      const range = (req.query.range || 'today').toString();
+      if (range !== 'today' && range !== 'week') return bad(`Unknown range "${range}" (use today or week)`);
+      const today = days.dayKey(new Date(), dayOpts);
+      const first = range === 'week' ? days.shiftDay(today, -days.weekdayOf(today)) : today;
+      from = days.dayStart(first, dayOpts).getTime();
+      to = days.dayStart(days.shiftDay(first, range === 'week' ? 7 : 1), dayOpts).getTime();
+    }
+
+    const events = await calendar.between(from, to, { refresh: Boolean(req.query.refresh) });
+    res.json({ from: new Date(from).toISOString(), to: new Date(to).toISOString(), events: events.map(eventOut), feeds: calendar.status() });
+  }));
+
+  // Subscribable feed of the selected sources' tasks (done ones included) scheduled from two weeks
+  // back to two months ahead. Calendar apps can't send headers, so it takes ?key= like /events.
+  const ICS_DAYS = { back: 14, ahead: 60 };
+  const MAX_ICS_TASKS = 1000;
+  app.get('/calendar.ics', asyncRoute(async (req, res) => {
+    const list = selectSources(req, res);
+    if (!list) return;
+    const today = days.dayKey(new Date(), DAY_DEFAULTS);
+    const from = days.dayStart(days.shiftDay(today, -ICS_DAYS.back), DAY_DEFAULTS).toISOString();
+    const to = days.dayStart(days.shiftDay(today, ICS_DAYS.ahead), DAY_DEFAULTS).toISOString();
+
+    const { results } = await fromSources(list, async (source) => {
+      const DATE_PROP = source.props.date;
+      const tasks = [];
+      let cursor;
+      do {
+        const q = await source.query({
+          filter: { and: [{ property: DATE_PROP, date: { on_or_after: from } }, { property: DATE_PROP, date: { before: to } }] },
+          sorts: [{ property: DATE_PROP, direction: 'ascending' }],
+          page_size: 100,
+          start_cursor: cursor,
+        });
+        tasks.push(...(q.results || []).map(source.toTask));
+        cursor = q.has_more ? q.next_cursor : undefined;
+      } while (cursor && tasks.length < MAX_ICS_TASKS);
+      return tasks;
+    });
+
+    // Stable UIDs, so an app updates a moved block instead of adding a copy
+    const events = results.flat().map((t) => {
+      const allDay = isDateOnly(t.plannedStartISO);
+      return {
+        uid: `${t.id}@notion-proxy`,
+        title: t.title,
+        description: [`${t.lengthMin} min`, t.status && `Status: ${t.status}`, list.length > 1 && `Source: ${t.source}`].filter(Boolean).join('\n'),
+        startISO: t.plannedStartISO,
+        endISO: allDay ? (isDateOnly(t.plannedEndISO) ? t.plannedEndISO : t.plannedStartISO) : t.plannedEndISO,
+        allDay,
+      };
+    });
+    const name = list.length === 1 && sources.length > 1 ? `Focus blocks (${list[0].name})` : 'Focus blocks';
+    res.type('text/calendar; charset=utf-8').send(toIcs(events, { name }));
+  }));
+
+  // Errors
+  app.use((err, _req, res, _next) => {
+    log.err('Unhandled error:', explain(err));
+    const out = publicError(err);
+    res.status(out.status).json(out);
+  });
+
+  // Startup checks per source: token, database reachability, schema mapping
+  async function checkSource(source) {
+    const { def } = source;
+    const tag = sources.length > 1 ? `[${source.id}] ` : '';
+    log.info(`${tag}Source:`, { name: def.name, DB_ID: def.databaseId, tokenPrefix: def.token.slice(0, 4), tokenLen: def.token.length, apiKeys: def.apiKeys.length });
+    if (!def.token) log.warn(`${tag}Notion token is empty.`);
+    if (!def.databaseId) log.warn(`${tag}Database id is empty.`);
+
+    let tokenOk = false;
+    try {
+      const me = await source.notion.users.me();
+      log.info(`${tag}Token OK. Bot user:`, me?.name || me?.bot?.owner?.workspace_name || 'bot');
+      tokenOk = true;
+    } catch (e) {
+      log.err(`${tag}Token check failed:`, explain(e));
+      log.warn(`${tag}${diagnose(e, 'token').hint}`);
+    }
+
+    try {
+      const db = await source.fetchSchema();
+      log.info(`${tag}DB reachable:`, db?.title?.[0]?.plain_text || '(untitled)');
+      log.info(`${tag}   Properties:`, Object.keys(db?.properties || {}));
+      const report = source.schemaReport();
+      for (const p of report.missing) (p.required ? log.err : log.warn)(`${tag}Mapped property "${p.property}" (${p.field}) not found in DB.`);
+      for (const p of report.wrongType) (p.required ? log.err : log.warn)(`${tag}Mapped property "${p.property}" (${p.field}) is ${p.type}, expected ${p.expected.join(' | ')}.`);
+      if (!report.ok) log.err(`${tag}Schema mapping invalid; task routes will skip this source (503 when it is the only one) until fixed.`);
+      sourceReady.set(source.id, tokenOk && report.ok);
+    } catch (e) {
+      log.err(`${tag}DB retrieve failed:`, explain(e));
+      if (tokenOk) log.warn(`${tag}${diagnose(e, 'database').hint}`);
+      sourceReady.set(source.id, false);
+    }
+  }
+
+  async function init() {
+    log.info('Booting notion-proxy …');
+    log.info({
+      node: process.version,
+      notionSdk: require('@notionhq/client/package.json').version,
+      sources: sources.map((s) => s.id),
+      CORS_ORIGIN,
+      PORT,
+    });
+
+    if (!auth.enabled) log.warn(`API_KEYS is empty: anyone who can reach port ${PORT} can use the proxy.`);
+    if (DEBUG_ROUTES) log.warn('Debug routes are enabled (DEBUG_ROUTES=1).');
+    if (webhooks.enabled) log.info('Webhooks:', webhooks.list().map((h) => `${h.id} → ${h.host} (${h.events.join(', ')})`));
+    for (const source of sources) await checkSource(source);
+  }
+
+  const close = () => {
+    for (const source of sources) source.events.close();
+    webhooks.close();
+    dailySummary.close();
+  };
+
+  return { app, init, close, port: PORT };
+}
+
+module.exports = { createServer, parseDurationLabelToMinutes, fmtMinutes, consoleLog };
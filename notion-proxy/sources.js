@@ -0,0 +1,278 @@
+'use strict';
+
+// Task sources: named Notion databases, each with its own token, property mapping and status names.
+// NOTION_SOURCES (inline JSON) or NOTION_SOURCES_FILE (a JSON file like sources.example.json) list
+// them by id. Without either, NOTION_TOKEN / NOTION_DATABASE_ID and the NOTION_PROP_* mapping make
+// up a single source called "default", as before.
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_MAPPING, loadMapping, validateMapping } = require('./schema');
+const { createCachedClient } = require('./cache');
+const { createTaskEvents } = require('./events');
+const { keyHash } = require('./security');
+const days = require('./days');
+
+const SOURCE_ID = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+const SOURCE_FIELDS = ['name', 'token', 'tokenEnv', 'databaseId', 'schema', 'schemaFile', 'statusDone', 'statusTodo', 'sessionLog', 'sessionsDatabaseId', 'apiKeys'];
+const DAY_MS = 86400000;
+
+const str = (v) => (typeof v === 'string' ? v.trim() : '');
+const bareId = (id) => str(id).replace(/-/g, '').toLowerCase();
+
+// Task field helpers that don't depend on config
+const isDateOnly = (iso) => typeof iso === 'string' && iso.length === 10;
+
+// Parses labels like "1h 30m" into minutes
+function parseDurationLabelToMinutes(label) {
+  if (!label || typeof label !== "string") return null;
+  const txt = label.replace(/[^\dhm\s]/gi, "").toLowerCase();
+  const h = (txt.match(/(\d+)\s*h/) || [])[1];
+  const m = (txt.match(/(\d+)\s*m/) || [])[1];
+  const total = (h ? parseInt(h, 10) : 0) * 60 + (m ? parseInt(m, 10) : 0);
+  return total > 0 ? total : null;
+}
+
+const plainText = (parts) => (parts || []).map((t) => t.plain_text).join('');
+const optionName = (prop) => prop?.select?.name || prop?.status?.name || null;
+
+function readSourcesConfig(env, baseDir) {
+  if (str(env.NOTION_SOURCES)) {
+    try {
+      return JSON.parse(env.NOTION_SOURCES);
+    } catch (e) {
+      throw new Error(`NOTION_SOURCES is not valid JSON: ${e.message}`);
+    }
+  }
+  if (str(env.NOTION_SOURCES_FILE)) {
+    const full = path.resolve(baseDir, env.NOTION_SOURCES_FILE.trim());
+    try {
+      return JSON.parse(fs.readFileSync(full, 'utf8'));
+    } catch (e) {
+      throw new Error(`Cannot read task sources file ${full}: ${e.message}`);
+    }
+  }
+  return null;
+}
+
+// A source's mapping is built like the global one (defaults < schemaFile < schema), but only
+// from its own settings: NOTION_SCHEMA_FILE and NOTION_PROP_* apply to the "default" source.
+function sourceMapping(id, raw, baseDir) {
+  const schema = raw.schema ?? {};
+  if (typeof schema !== 'object' || Array.isArray(schema)) throw new Error(`Task source "${id}": "schema" must be an object`);
+  const mappingEnv = { NOTION_SCHEMA_FILE: raw.schemaFile };
+  for (const [field, value] of Object.entries(schema)) {
+    if (!(field in DEFAULT_MAPPING)) throw new Error(`Task source "${id}": unknown schema field "${field}"`);
+    if (value !== null && typeof value !== 'string') throw new Error(`Task source "${id}": schema.${field} must be a property name or null`);
+    mappingEnv[`NOTION_PROP_${field.toUpperCase()}`] = value ?? '';
+  }
+  try {
+    return loadMapping(mappingEnv, baseDir);
+  } catch (e) {
+    throw new Error(`Task source "${id}": ${e.message}`);
+  }
+}
+
+// Source definitions; token, status names and session logging fall back to the global env vars
+function loadSources(env = process.env, baseDir = __dirname) {
+  const base = {
+    token: str(env.NOTION_TOKEN),
+    statusDone: str(env.NOTION_STATUS_DONE) || 'Done',
+    statusTodo: str(env.NOTION_STATUS_TODO) || 'Not started',
+    sessionLog: (str(env.SESSION_LOG) || 'off').toLowerCase(),
+    sessionsDatabaseId: str(env.NOTION_SESSIONS_DATABASE_ID),
+    apiKeys: [],
+  };
+  const config = readSourcesConfig(env, baseDir);
+  if (!config) return [{ ...base, id: 'default', name: 'Notion', databaseId: str(env.NOTION_DATABASE_ID), mapping: loadMapping(env, baseDir) }];
+
+  if (typeof config !== 'object' || Array.isArray(config) || !Object.keys(config).length) {
+    throw new Error('Task sources must be a JSON object like { "<id>": { "databaseId": "…" } }');
+  }
+  return Object.entries(config).map(([id, raw]) => {
+    const where = `Task source "${id}"`;
+    if (!SOURCE_ID.test(id)) throw new Error(`${where}: ids use letters, digits, "-" and "_" (at most 32)`);
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error(`${where} must be an object`);
+    const unknown = Object.keys(raw).filter((k) => !SOURCE_FIELDS.includes(k));
+    if (unknown.length) throw new Error(`${where}: unknown field(s) ${unknown.join(', ')}`);
+    if (!str(raw.databaseId)) throw new Error(`${where} needs a "databaseId"`);
+    if (raw.apiKeys !== undefined && !(Array.isArray(raw.apiKeys) && raw.apiKeys.every((k) => str(k)))) {
+      throw new Error(`${where}: "apiKeys" must be a list of keys`);
+    }
+    return {
+      id,
+      name: str(raw.name) || id,
+      token: raw.tokenEnv ? str(env[raw.tokenEnv]) : str(raw.token) || base.token,
+      databaseId: str(raw.databaseId),
+      mapping: sourceMapping(id, raw, baseDir),
+      statusDone: str(raw.statusDone) || base.statusDone,
+      statusTodo: str(raw.statusTodo) || base.statusTodo,
+      sessionLog: str(raw.sessionLog).toLowerCase() || base.sessionLog,
+      sessionsDatabaseId: str(raw.sessionsDatabaseId) || base.sessionsDatabaseId,
+      apiKeys: (raw.apiKeys || []).map(str),
+    };
+  });
+}
+
+/**
+ * One task source at runtime: its cached Notion client, page -> task mapping, filters,
+ * schema check and live-event feed.
+ * def: from loadSources(); client: Notion client for def.token; cache: createCachedClient options
+ */
+function createTaskSource(def, { client, cache = {}, pollMs, log = console }) {
+  const notion = createCachedClient(client, { ...cache, log });
+  const PROPS = def.mapping;
+  const DB_ID = def.databaseId;
+  const DATE_PROP = PROPS.date;
+  const LENGTH_PROP = PROPS.duration;
+  const keyHashes = new Set(def.apiKeys.map(keyHash));
+
+  const getDates = (page) => {
+    const d = page?.properties?.[DATE_PROP]?.date || null;
+    return { startISO: d?.start || null, endISO: d?.end || null };
+  };
+
+  // Reads the optional status / priority / tags / deadline fields named in the mapping; `done` says
+  // whether the status is this source's finished one
+  function readExtras(page) {
+    const p = page.properties || {};
+    const statusProp = PROPS.status ? p[PROPS.status] : null;
+    const priorityProp = PROPS.priority ? p[PROPS.priority] : null;
+    const tagsProp = PROPS.tags ? p[PROPS.tags] : null;
+    const deadlineProp = PROPS.deadline ? p[PROPS.deadline] : null;
+    return {
+      status: statusProp?.type === 'checkbox' ? (statusProp.checkbox ? 'Done' : 'Not done') : optionName(statusProp),
+      done: statusProp?.type === 'checkbox' ? Boolean(statusProp.checkbox) : optionName(statusProp) === def.statusDone,
+      priority: typeof priorityProp?.number === 'number' ? priorityProp.number : optionName(priorityProp),
+      tags: tagsProp?.multi_select ? tagsProp.multi_select.map((o) => o.name) : optionName(tagsProp) ? [optionName(tagsProp)] : [],
+      deadlineISO: (deadlineProp?.type === 'formula' ? deadlineProp.formula?.date?.start : deadlineProp?.date?.start) || null,
+    };
+  }
+
+  // Page -> task shape shared by /tasks and /tasks/next
+  function toTask(page) {
+    const title = plainText(page.properties?.[PROPS.title]?.title) || 'Untitled';
+    const { startISO, endISO } = getDates(page);
+
+    // Pick minutes from number property or label like "30m" / "1h"
+    let lengthMin = 25;
+    const numVal = LENGTH_PROP ? page.properties?.[LENGTH_PROP]?.number : null;
+    if (typeof numVal === "number") lengthMin = Math.max(1, Math.round(numVal));
+    const selName = !LENGTH_PROP ? null : page.properties?.[LENGTH_PROP]?.select?.name || page.properties?.[LENGTH_PROP]?.multi_select?.[0]?.name || null;
+    const parsed = parseDurationLabelToMinutes(selName);
+    if (parsed != null) lengthMin = parsed;
+
+    const plannedEndISO = endISO || (startISO ? new Date(new Date(startISO).getTime() + lengthMin * 60000).toISOString() : null);
+
+    return { id: page.id, source: def.id, title, plannedStartISO: startISO, plannedEndISO, lengthMin, ...readExtras(page) };
+  }
+
+  // Ids of the focus sessions already counted on a task page (the "sessions" mapping field), or
+  // null when the database has no such text property
+  function countedSessions(page) {
+    const prop = PROPS.sessions ? page?.properties?.[PROPS.sessions] : null;
+    return prop?.type === 'rich_text' ? plainText(prop.rich_text).split(/\s+/).filter(Boolean) : null;
+  }
+
+  // Date-range filters for /tasks ("today" | "week" | "upcoming" | "unscheduled" | "all"), in the client's days
+  const between = (from, to) => ({
+    and: [
+      { property: DATE_PROP, date: { on_or_after: from.toISOString() } },
+      { property: DATE_PROP, date: { before: to.toISOString() } },
+    ],
+  });
+  function rangeFilter(range, dayOpts, now = new Date()) {
+    const today = days.dayKey(now, dayOpts);
+    switch (range) {
+      case 'today': return between(days.dayStart(today, dayOpts), days.dayStart(days.shiftDay(today, 1), dayOpts));
+      case 'week': {
+        const monday = days.shiftDay(today, -days.weekdayOf(today));
+        return between(days.dayStart(monday, dayOpts), days.dayStart(days.shiftDay(monday, 7), dayOpts));
+      }
+      case 'upcoming': return { property: DATE_PROP, date: { on_or_after: days.dayStart(today, dayOpts).toISOString() } };
+      case 'unscheduled': return { property: DATE_PROP, date: { is_empty: true } };
+      case 'all': return undefined;
+      default: return null;
+    }
+  }
+
+  // Title search for /tasks?q= (Notion matches substrings, ignoring case)
+  const titleFilter = (text) => ({ property: PROPS.title, title: { contains: text } });
+
+  const query = (body) => notion.request({ path: `databases/${DB_ID}/query`, method: 'POST', body });
+
+  // Schema check: the mapping is validated against the live database at boot and on /health?refresh=1
+  let schemaReport = null; // { ok, mapping, missing, wrongType } or { ok: false, error, status, code }
+  let dbProperties = null;  // last fetched database properties, used to build type-aware filters
+
+  // Updates the report either way; an unreachable database is reported with its error
+  const fetchSchema = async () => {
+    let db;
+    try {
+      db = await notion.request({ path: `databases/${DB_ID}`, method: 'GET' });
+    } catch (e) {
+      schemaReport = { ok: false, mapping: PROPS, error: e?.message || String(e), status: e?.status ?? null, code: e?.code ?? null };
+      throw e;
+    }
+    dbProperties = db?.properties || null;
+    schemaReport = validateMapping(PROPS, dbProperties);
+    return db;
+  };
+  const checkSchema = () => fetchSchema().then(() => schemaReport, () => schemaReport);
+
+  // Filter that hides finished tasks, or undefined when the status property is unknown
+  function openTasksFilter() {
+    const type = PROPS.status && dbProperties?.[PROPS.status]?.type;
+    if (type === 'checkbox') return { property: PROPS.status, checkbox: { equals: false } };
+    if (type === 'status' || type === 'select') return { property: PROPS.status, [type]: { does_not_equal: def.statusDone } };
+    return undefined;
+  }
+  const withOpenTasks = (filter) => {
+    const open = openTasksFilter();
+    if (!open) return filter;
+    return filter ? { and: [filter, open] } : open;
+  };
+
+  // What the event feed keeps track of (see events.js): open tasks that are unscheduled or dated from
+  // a day back to a week ahead, which covers the hub's next task and its today/week lists in any zone
+  function eventScope(now = new Date()) {
+    const from = new Date(now.getTime() - DAY_MS);
+    const to = new Date(now.getTime() + 8 * DAY_MS);
+    const open = openTasksFilter();
+    const doneName = open?.checkbox ? 'Done' : def.statusDone;
+    return {
+      filter: withOpenTasks({ or: [{ property: DATE_PROP, date: { is_empty: true } }, between(from, to)] }),
+      includes: (task) => (!open || task.status !== doneName)
+        && (!task.plannedStartISO || (Date.parse(task.plannedStartISO) >= from.getTime() && Date.parse(task.plannedStartISO) < to.getTime())),
+    };
+  }
+
+  const events = createTaskEvents({ notion, dbId: DB_ID, toTask, scope: eventScope, pollMs, log });
+
+  return {
+    id: def.id,
+    name: def.name,
+    def,
+    notion,
+    props: PROPS,
+    dbId: DB_ID,
+    events,
+    toTask,
+    getDates,
+    countedSessions,
+    rangeFilter,
+    titleFilter,
+    withOpenTasks,
+    query,
+    fetchSchema,
+    checkSchema,
+    schemaReport: () => schemaReport,
+    // Required properties missing or mistyped (an unreachable database isn't "broken", just failing)
+    schemaBroken: () => Boolean(schemaReport && !schemaReport.ok && !schemaReport.error),
+    // Pages read with a token shared between sources may live in another source's database
+    owns: (page) => bareId(page?.parent?.database_id) === bareId(DB_ID),
+    // Sources with apiKeys are only visible to requests made with one of those keys
+    visibleTo: (req) => !keyHashes.size || keyHashes.has(req.keyHash),
+  };
+}
+
+module.exports = { loadSources, createTaskSource, isDateOnly, parseDurationLabelToMinutes };
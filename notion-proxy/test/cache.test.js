@@ -0,0 +1,109 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCachedClient, staleErrors } = require('../cache');
+const { requestContext } = require('../observability');
+const { notionError } = require('../fake-notion');
+
+const quietLog = { info() {}, warn() {}, err() {} };
+const QUERY = { path: 'databases/db/query', method: 'POST', body: { page_size: 10 } };
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Client giving `replies` in turn (Errors are thrown; the last reply repeats), counting its calls
+function scripted(...replies) {
+  const client = {
+    calls: 0,
+    async request() {
+      const reply = replies[Math.min(client.calls++, replies.length - 1)];
+      if (reply instanceof Error) throw reply;
+      return typeof reply === 'function' ? reply() : reply;
+    },
+  };
+  return client;
+}
+
+const rateLimited = (retryAfter) => Object.assign(notionError(429, 'rate_limited', 'Slow down.'), { headers: { 'retry-after': retryAfter } });
+
+// Runs fn inside a request context, as the routes do
+const inRequest = (fn) => new Promise((resolve, reject) => {
+  requestContext({ get: () => undefined }, { setHeader() {}, headersSent: false }, () => fn().then(resolve, reject));
+});
+
+test('reads are retried on 429 and 5xx, and Retry-After wins over the backoff', async () => {
+  const client = scripted(rateLimited('0.05'), rateLimited('0'), { results: ['ok'] });
+  // The backoff alone would wait 10 s per retry
+  const notion = createCachedClient(client, { retries: 3, baseDelayMs: 10000, maxDelayMs: 10000, log: quietLog });
+  const started = Date.now();
+  assert.deepEqual(await notion.request(QUERY), { results: ['ok'] });
+  assert.ok(Date.now() - started < 2000);
+  assert.deepEqual([client.calls, notion.stats().retries, notion.stats().rateLimited], [3, 2, 2]);
+
+  const flaky = scripted(notionError(502, 'bad_gateway', 'Bad gateway'), { results: [] });
+  assert.deepEqual(await createCachedClient(flaky, { retries: 1, baseDelayMs: 1, log: quietLog }).request(QUERY), { results: [] });
+  assert.equal(flaky.calls, 2);
+});
+
+test('client errors are not retried and writes only retry on 429', async () => {
+  const missing = scripted(notionError(404, 'object_not_found', 'Not found'));
+  await assert.rejects(createCachedClient(missing, { retries: 3, baseDelayMs: 1, log: quietLog }).request({ path: 'pages/p', method: 'GET' }), { status: 404 });
+  assert.equal(missing.calls, 1);
+
+  const PATCH = { path: 'pages/p', method: 'PATCH', body: { properties: {} } };
+  const down = scripted(notionError(502, 'bad_gateway', 'Bad gateway'), { ok: true });
+  await assert.rejects(createCachedClient(down, { retries: 3, baseDelayMs: 1, log: quietLog }).request(PATCH), { status: 502 });
+  assert.equal(down.calls, 1);
+
+  const limited = scripted(rateLimited('0'), { ok: true });
+  assert.deepEqual(await createCachedClient(limited, { retries: 3, log: quietLog }).request(PATCH), { ok: true });
+  assert.equal(limited.calls, 2);
+});
+
+test('identical reads in flight share one call, then hit the cache', async () => {
+  let release;
+  const client = scripted(() => new Promise((resolve) => { release = resolve; }), { results: [] });
+  const notion = createCachedClient(client, { ttlMs: 60000, log: quietLog });
+  const both = Promise.all([notion.request(QUERY), notion.request({ ...QUERY })]);
+  await sleep(0);
+  release({ results: ['shared'] });
+  const [a, b] = await both;
+  assert.deepEqual([a, b], [{ results: ['shared'] }, { results: ['shared'] }]);
+  assert.deepEqual(await notion.request(QUERY), { results: ['shared'] });
+  assert.equal(client.calls, 1);
+  assert.deepEqual([notion.stats().coalesced, notion.stats().hits], [1, 1]);
+
+  // A different body is a different question
+  await notion.request({ ...QUERY, body: { page_size: 20 } });
+  assert.equal(client.calls, 2);
+});
+
+test('expired entries are served stale while they revalidate', async () => {
+  const client = scripted({ v: 1 }, { v: 2 });
+  const notion = createCachedClient(client, { ttlMs: 50, staleMs: 60000, log: quietLog });
+  await notion.request(QUERY);
+  await sleep(60);
+  assert.deepEqual(await notion.request(QUERY), { v: 1 });
+  await sleep(0);
+  assert.deepEqual(await notion.request(QUERY), { v: 2 });
+  assert.deepEqual([client.calls, notion.stats().stale, notion.stats().hits], [2, 1, 1]);
+});
+
+test('when Notion is down the last good copy is served, with the error noted', async () => {
+  const client = scripted({ v: 1 }, notionError(503, 'service_unavailable', 'Notion is down'));
+  const notion = createCachedClient(client, { ttlMs: 10, staleMs: 0, retries: 0, log: quietLog });
+  await notion.request(QUERY);
+  await sleep(20);
+  const { value, errors } = await inRequest(async () => ({ value: await notion.request(QUERY), errors: staleErrors() }));
+  assert.deepEqual(value, { v: 1 });
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].status, 503);
+  assert.ok(errors[0].staleCache.cachedAt);
+  assert.equal(notion.stats().staleOnError, 1);
+
+  // Errors that say the request itself is wrong aren't masked
+  const gone = scripted({ v: 1 }, notionError(404, 'object_not_found', 'Not found'));
+  const notion2 = createCachedClient(gone, { ttlMs: 10, staleMs: 0, retries: 0, log: quietLog });
+  await notion2.request(QUERY);
+  await sleep(20);
+  await assert.rejects(notion2.request(QUERY), { status: 404 });
+});
@@ -0,0 +1,133 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseCalendar, expandEvents, toIcs } = require('../calendar');
+const { startProxy, hoursFromNow } = require('./helpers');
+
+const FEED = { id: 'work' };
+const stamp = (iso) => new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+const ics = (...events) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...events.flat(), 'END:VCALENDAR'].join('\r\n');
+const expand = (text, from, to, tz = 'UTC') => expandEvents(parseCalendar(text, { tz }), Date.parse(from), Date.parse(to), FEED);
+
+test('parseCalendar reads folded lines, time zones and all-day events', () => {
+  const events = expand(ics(
+    ['BEGIN:VEVENT', 'UID:a', 'SUMMARY:Design review\\, part 2', ' of 3', 'DTSTART;TZID=Europe/Berlin:20260310T090000', 'DTEND;TZID=Europe/Berlin:20260310T100000', 'END:VEVENT'],
+    ['BEGIN:VEVENT', 'UID:b', 'SUMMARY:Offsite', 'DTSTART;VALUE=DATE:20260310', 'DTEND;VALUE=DATE:20260312', 'END:VEVENT'],
+    ['BEGIN:VEVENT', 'UID:c', 'SUMMARY:Lunch', 'DTSTART:20260310T120000', 'DURATION:PT45M', 'TRANSP:TRANSPARENT', 'END:VEVENT'],
+    ['BEGIN:VEVENT', 'UID:d', 'SUMMARY:Called off', 'STATUS:CANCELLED', 'DTSTART:20260310T150000Z', 'DTEND:20260310T160000Z', 'END:VEVENT'],
+  ), '2026-03-10T00:00:00Z', '2026-03-11T00:00:00Z', 'Europe/Berlin');
+
+  assert.deepEqual(events.map((e) => [e.title, e.startISO, e.endISO, e.allDay, e.busy]), [
+    ['Offsite', '2026-03-10', '2026-03-11', true, false],
+    ['Design review, part 2of 3', '2026-03-10T08:00:00.000Z', '2026-03-10T09:00:00.000Z', false, true],
+    // Floating time: the default zone
+    ['Lunch', '2026-03-10T11:00:00.000Z', '2026-03-10T11:45:00.000Z', false, false],
+  ]);
+});
+
+test('recurring events honour COUNT, EXDATE, BYDAY and moved occurrences', () => {
+  const weekly = [
+    'BEGIN:VEVENT', 'UID:standup', 'SUMMARY:Standup', 'DTSTART;TZID=Europe/Berlin:20260323T093000', 'DURATION:PT15M',
+    'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=5', 'EXDATE;TZID=Europe/Berlin:20260325T093000', 'END:VEVENT',
+  ];
+  const moved = [
+    'BEGIN:VEVENT', 'UID:standup', 'SUMMARY:Standup (moved)', 'RECURRENCE-ID;TZID=Europe/Berlin:20260330T093000',
+    'DTSTART;TZID=Europe/Berlin:20260330T110000', 'DTEND;TZID=Europe/Berlin:20260330T111500', 'END:VEVENT',
+  ];
+  const events = expand(ics(weekly, moved), '2026-03-01T00:00:00Z', '2026-05-01T00:00:00Z');
+  // Berlin switches to summer time on March 29: the standup stays at 9:30 local
+  assert.deepEqual(events.map((e) => [e.title, e.startISO]), [
+    ['Standup', '2026-03-23T08:30:00.000Z'],
+    ['Standup (moved)', '2026-03-30T09:00:00.000Z'],
+    ['Standup', '2026-04-01T07:30:00.000Z'],
+    ['Standup', '2026-04-06T07:30:00.000Z'],
+  ]);
+
+  const monthly = ics(['BEGIN:VEVENT', 'UID:m', 'SUMMARY:Retro', 'DTSTART:20260127T140000Z', 'DTEND:20260127T150000Z',
+    'RRULE:FREQ=MONTHLY;BYDAY=-1TU;UNTIL=20260430T000000Z', 'END:VEVENT']);
+  assert.deepEqual(expand(monthly, '2026-01-01T00:00:00Z', '2027-01-01T00:00:00Z').map((e) => e.startISO.slice(0, 10)),
+    ['2026-01-27', '2026-02-24', '2026-03-31', '2026-04-28']);
+});
+
+test('toIcs escapes text and folds long lines', () => {
+  const out = toIcs([{ uid: 'x@notion-proxy', title: `Write; review, ship ${'é'.repeat(60)}`, startISO: '2026-03-10T09:00:00.000Z', endISO: '2026-03-10T09:25:00.000Z' }]);
+  assert.ok(out.startsWith('BEGIN:VCALENDAR\r\n'));
+  assert.ok(out.split('\r\n').every((line) => Buffer.byteLength(line) <= 75));
+  const [back] = parseCalendar(out);
+  assert.equal(back.title, `Write; review, ship ${'é'.repeat(60)}`);
+  assert.equal(back.durationMs, 25 * 60000);
+});
+
+test('calendar routes', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notion-proxy-'));
+  const file = path.join(dir, 'work.ics');
+  fs.writeFileSync(file, ics(['BEGIN:VEVENT', 'UID:meeting', 'SUMMARY:Team sync',
+    `DTSTART:${stamp(hoursFromNow(0.5))}`, `DTEND:${stamp(hoursFromNow(2))}`, 'END:VEVENT']));
+  const proxy = await startProxy({
+    tasks: [
+      { title: 'Clashes with the meeting', date: hoursFromNow(1), duration: '30m', status: 'Not started' },
+      { title: 'After the meeting', date: hoursFromNow(3), duration: '30m', status: 'Not started' },
+      { title: 'Last week', date: hoursFromNow(-24 * 7), duration: '1h', status: 'Done' },
+    ],
+    env: { CALENDAR_FEEDS: `work=${file}` },
+  });
+  t.after(async () => {
+    await proxy.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  await t.test('GET /calendar lists feed events in a range', async () => {
+    const { status, body } = await proxy.get(`/calendar?from=${hoursFromNow(0)}&to=${hoursFromNow(6)}`);
+    assert.equal(status, 200);
+    assert.deepEqual(body.events.map((e) => [e.feed, e.title, e.busy]), [['work', 'Team sync', true]]);
+    assert.equal(body.feeds[0].ok, true);
+    assert.equal((await proxy.get(`/calendar?from=${hoursFromNow(3)}&to=${hoursFromNow(1)}`)).status, 400);
+  });
+
+  await t.test('/tasks/next skips tasks that overlap a busy event', async () => {
+    const { body } = await proxy.get('/tasks/next');
+    assert.equal(body.next.title, 'After the meeting');
+    assert.deepEqual(body.skipped.map((s) => [s.task.title, s.event.title]), [['Clashes with the meeting', 'Team sync']]);
+  });
+
+  await t.test('GET /calendar.ics publishes scheduled tasks', async () => {
+    const res = await fetch(`${proxy.url}/calendar.ics`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/calendar/);
+    const published = parseCalendar(await res.text());
+    const ids = proxy.fake.pages().map((p) => `${p.id}@notion-proxy`);
+    assert.deepEqual(published.map((e) => e.uid).sort(), ids.sort());
+    assert.ok(published.find((e) => e.title === 'Last week'));
+  });
+});
+
+test('/tasks/next pages past a source\'s first tasks when a meeting blocks them all', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notion-proxy-'));
+  const file = path.join(dir, 'work.ics');
+  fs.writeFileSync(file, ics(['BEGIN:VEVENT', 'UID:offsite', 'SUMMARY:Offsite',
+    `DTSTART:${stamp(hoursFromNow(0.5))}`, `DTEND:${stamp(hoursFromNow(4))}`, 'END:VEVENT']));
+  // More clashing tasks than one query returns
+  const during = Array.from({ length: 12 }, (_, i) => ({ title: `During ${i + 1}`, date: hoursFromNow(1 + i / 6), duration: '15m', status: 'Not started' }));
+  const proxy = await startProxy({
+    tasks: [...during, { title: 'After the offsite', date: hoursFromNow(5), duration: '30m', status: 'Not started' }],
+    env: { CALENDAR_FEEDS: `work=${file}` },
+  });
+  t.after(async () => {
+    await proxy.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const { body } = await proxy.get('/tasks/next');
+  assert.equal(body.next.title, 'After the offsite');
+  assert.equal(body.skipped.length, 12);
+  assert.equal(body.blocked, false);
+
+  // Once that one is done, every upcoming task clashes: not the same answer as an empty database
+  await proxy.patch(`/tasks/${body.next.id}`, { done: true });
+  const blocked = (await proxy.get('/tasks/next')).body;
+  assert.deepEqual([blocked.next, blocked.blocked, blocked.skipped.length], [null, true, 12]);
+});
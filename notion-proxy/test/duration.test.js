@@ -0,0 +1,28 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDurationLabelToMinutes, fmtMinutes } = require('../server');
+
+test('parseDurationLabelToMinutes reads hour/minute labels', () => {
+  assert.equal(parseDurationLabelToMinutes('30m'), 30);
+  assert.equal(parseDurationLabelToMinutes('1h'), 60);
+  assert.equal(parseDurationLabelToMinutes('1h 30m'), 90);
+  assert.equal(parseDurationLabelToMinutes('2H15M'), 135);
+  assert.equal(parseDurationLabelToMinutes('⏱ 45 m'), 45);
+});
+
+test('parseDurationLabelToMinutes returns null for labels without a duration', () => {
+  assert.equal(parseDurationLabelToMinutes(''), null);
+  assert.equal(parseDurationLabelToMinutes(null), null);
+  assert.equal(parseDurationLabelToMinutes('soon'), null);
+  assert.equal(parseDurationLabelToMinutes('0m'), null);
+  assert.equal(parseDurationLabelToMinutes(30), null);
+});
+
+test('fmtMinutes is the inverse for select labels', () => {
+  for (const min of [15, 60, 90, 135]) assert.equal(parseDurationLabelToMinutes(fmtMinutes(min)), min);
+  assert.equal(fmtMinutes(90), '1h 30m');
+  assert.equal(fmtMinutes(120), '2h');
+  assert.equal(fmtMinutes(45), '45m');
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startProxy, hoursFromNow } = require('./helpers');
+
+const until = async (check, ms = 3000) => {
+  for (const end = Date.now() + ms; Date.now() < end; await new Promise((r) => setTimeout(r, 20))) {
+    const value = await check();
+    if (value) return value;
+  }
+  throw new Error('Timed out waiting');
+};
+
+// Reads GET /events into `frames` ({ event, data }) until closed
+async function openEvents(url) {
+  const abort = new AbortController();
+  const res = await fetch(`${url}/events`, { signal: abort.signal });
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  const frames = [];
+  const pump = (async () => {
+    let buf = '';
+    try {
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return;
+        buf += value;
+        for (let i = buf.indexOf('\n\n'); i >= 0; i = buf.indexOf('\n\n')) {
+          const raw = buf.slice(0, i);
+          buf = buf.slice(i + 2);
+          const event = /^event: (.*)$/m.exec(raw)?.[1];
+          if (event) frames.push({ event, data: JSON.parse(/^data: (.*)$/m.exec(raw)[1]) });
+        }
+      }
+    } catch {
+      // aborted
+    }
+  })();
+  return { status: res.status, frames, close: () => abort.abort() || pump };
+}
+
+test('GET /events streams task changes found by polling Notion', async (t) => {
+  const proxy = await startProxy({
+    tasks: [
+      { title: 'Write docs', date: hoursFromNow(1), status: 'Not started' },
+      { title: 'Review PR', date: hoursFromNow(2), status: 'Not started' },
+      { title: 'Shipped last month', date: hoursFromNow(-24 * 30), status: 'Done' },
+    ],
+    env: { EVENTS_POLL_MS: '40' },
+  });
+  const request = proxy.fake.request;
+  const queries = [];
+  proxy.fake.request = async (args) => {
+    const out = await request(args);
+    if (args.path.endsWith('/query')) queries.push(args.body);
+    return out;
+  };
+  const stream = await openEvents(proxy.url);
+  t.after(async () => {
+    await stream.close();
+    await proxy.close();
+  });
+  assert.equal(stream.status, 200);
+  await until(() => stream.frames.find((f) => f.event === 'ready'));
+  await until(() => queries.length); // the first scan is the silent snapshot
+
+  const [docs, review] = proxy.fake.pages();
+  // Edited behind the proxy's back, as in the Notion app
+  await request({ path: `pages/${docs.id}`, method: 'PATCH', body: { properties: { Name: { title: [{ text: { content: 'Write the docs' } }] } } } });
+  const updated = await until(() => stream.frames.find((f) => f.event === 'task.updated'));
+  assert.deepEqual([updated.data.task.id, updated.data.task.title], [docs.id, 'Write the docs']);
+
+  await request({ path: `pages/${review.id}`, method: 'PATCH', body: { archived: true } });
+  const deleted = await until(() => stream.frames.find((f) => f.event === 'task.deleted'));
+  assert.equal(deleted.data.task.id, review.id);
+
+  // Finishing a task takes it out of the scans' scope: an update, not a deletion
+  await request({ path: `pages/${docs.id}`, method: 'PATCH', body: { properties: { Status: { status: { name: 'Done' } } } } });
+  await until(() => stream.frames.find((f) => f.event === 'task.updated' && f.data.task.done));
+  const seen = queries.length;
+  await until(() => queries.length >= seen + 8); // a few polls, one scan at least
+
+  // Scans only page through open tasks around today, never the whole database
+  assert.ok(queries.every((body) => body.filter));
+  assert.deepEqual(stream.frames.filter((f) => f.event.startsWith('task.')).map((f) => f.event), ['task.updated', 'task.deleted', 'task.updated']);
+});
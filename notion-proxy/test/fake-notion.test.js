@@ -0,0 +1,64 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeNotion } = require('../fake-notion');
+
+const query = (fake, body) => fake.request({ path: `databases/${fake.databaseId}/query`, method: 'POST', body });
+const titles = (res) => res.results.map((p) => p.properties.Name.title[0].plain_text);
+
+test('fake Notion seeds sample tasks by default', async () => {
+  const fake = createFakeNotion();
+  const res = await query(fake, {});
+  assert.ok(res.results.length > 3);
+  const db = await fake.request({ path: `databases/${fake.databaseId}` });
+  assert.equal(db.properties['Date & Time'].type, 'date');
+});
+
+test('fake Notion filters, sorts and paginates', async () => {
+  const fake = createFakeNotion({
+    tasks: [
+      { title: 'C', date: '2030-01-03', priority: 'Low' },
+      { title: 'A', date: '2030-01-01T09:00:00.000Z', priority: 'High' },
+      { title: 'B', date: '2030-01-02', priority: 'High' },
+      { title: 'None' },
+    ],
+  });
+  const sorts = [{ property: 'Date & Time', direction: 'ascending' }];
+  assert.deepEqual(titles(await query(fake, { sorts })), ['A', 'B', 'C', 'None']);
+  assert.deepEqual(titles(await query(fake, { sorts: [{ property: 'Date & Time', direction: 'descending' }] })), ['C', 'B', 'A', 'None']);
+
+  const high = await query(fake, {
+    filter: { and: [{ property: 'Priority', select: { equals: 'High' } }, { property: 'Date & Time', date: { on_or_after: '2030-01-02' } }] },
+  });
+  assert.deepEqual(titles(high), ['B']);
+  assert.deepEqual(titles(await query(fake, { filter: { property: 'Date & Time', date: { is_empty: true } } })), ['None']);
+
+  const page1 = await query(fake, { sorts, page_size: 3 });
+  assert.equal(page1.has_more, true);
+  const page2 = await query(fake, { sorts, page_size: 3, start_cursor: page1.next_cursor });
+  assert.deepEqual(titles(page2), ['None']);
+});
+
+test('fake Notion answers with Notion-style errors', async () => {
+  const fake = createFakeNotion({ tasks: [] });
+  await assert.rejects(query(fake, { filter: { property: 'Nope', date: { is_empty: true } } }), { status: 400, code: 'validation_error' });
+  await assert.rejects(fake.request({ path: 'pages/missing' }), { status: 404, code: 'object_not_found' });
+  await assert.rejects(fake.request({ path: 'databases/other/query', method: 'POST' }), { status: 404 });
+});
+
+test('fake Notion updates pages and bumps last_edited_time', async () => {
+  const fake = createFakeNotion({ tasks: [{ title: 'Edit me', status: 'Not started' }] });
+  const [page] = fake.pages();
+  const updated = await fake.request({
+    path: `pages/${page.id}`, method: 'PATCH',
+    body: { properties: { Status: { status: { name: 'Done' } }, 'Actual Time': { number: 25 } } },
+  });
+  assert.equal(updated.properties.Status.status.name, 'Done');
+  assert.equal(updated.properties['Actual Time'].number, 25);
+  assert.ok(updated.last_edited_time > page.last_edited_time);
+  await assert.rejects(
+    fake.request({ path: `pages/${page.id}`, method: 'PATCH', body: { properties: { Status: { number: 1 } } } }),
+    { status: 400 }
+  );
+});
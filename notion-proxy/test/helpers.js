@@ -0,0 +1,89 @@
+'use strict';
+
+// Starts the proxy on a random port against a fresh fake Notion, or `fake` (a restart). `sources`
+// ({ id: { name, tasks, schema, apiKeys } }) configures several task sources instead, each with its own fake;
+// with `sharedToken` they are all reached through one client, as sources sharing NOTION_TOKEN are.
+const crypto = require('crypto');
+const { createServer } = require('../server');
+const { createFakeNotion } = require('../fake-notion');
+const { DEFAULT_MAPPING } = require('../schema');
+
+const quietLog = { info() {}, warn() {}, err() {} };
+
+// One client for several fakes: each request goes to the fake holding the database or page it names
+function sharedClient(fakes) {
+  const all = Object.values(fakes);
+  const request = (args) => {
+    const owner = all.find((f) => args.path.includes(f.databaseId)) || all.find((f) => f.pages().some((p) => args.path.includes(p.id)));
+    return (owner || all[0]).request(args);
+  };
+  return { request, users: { me: () => request({ path: 'users/me' }) } };
+}
+
+async function startProxy({ tasks = [], schema, env = {}, now, sources, sharedToken = false, fake: existing } = {}) {
+  const fakes = {};
+  const sourceEnv = {};
+  if (sources) {
+    const config = {};
+    for (const [id, s] of Object.entries(sources)) {
+      fakes[id] = createFakeNotion({ tasks: s.tasks || [], schema: s.schema, now, databaseId: crypto.randomUUID(), title: s.name || id });
+      config[id] = { name: s.name, databaseId: fakes[id].databaseId, apiKeys: s.apiKeys };
+    }
+    sourceEnv.NOTION_SOURCES = JSON.stringify(config);
+  } else {
+    fakes.default = existing || createFakeNotion({ tasks, schema, now });
+  }
+  const fake = Object.values(fakes)[0];
+  const shared = sharedToken && sharedClient(fakes);
+  const proxy = createServer({
+    clientFor: (def) => shared || fakes[def.id],
+    log: quietLog,
+    env: {
+      NOTION_TOKEN: 'test',
+      NOTION_DATABASE_ID: fake.databaseId,
+      NOTION_CACHE_TTL_MS: '0',
+      NOTION_CACHE_STALE_MS: '0',
+      NOTION_RETRIES: '0',
+      TIME_ZONE: 'UTC',
+      ...sourceEnv,
+      ...env,
+    },
+  });
+  await proxy.init();
+  const server = await new Promise((resolve) => {
+    const s = proxy.app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  const call = async (method, path, body, headers = {}) => {
+    const res = await fetch(url + path, {
+      method,
+      headers: body ? { 'content-type': 'application/json', ...headers } : headers,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, headers: res.headers, body: await res.json() };
+  };
+
+  return {
+    url,
+    fake,
+    fakes,
+    get: (path, headers) => call('GET', path, undefined, headers),
+    post: (path, body, headers) => call('POST', path, body, headers),
+    patch: (path, body, headers) => call('PATCH', path, body, headers),
+    close: () => {
+      proxy.close();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+// ISO timestamps relative to now
+const hoursFromNow = (h) => new Date(Date.now() + h * 3600000).toISOString();
+const daysFromToday = (n) => {
+  const d = new Date();
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+};
+
+module.exports = { startProxy, hoursFromNow, daysFromToday, DEFAULT_MAPPING };
@@ -0,0 +1,72 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger, createMetrics, requestContext } = require('../observability');
+const { startProxy, hoursFromNow } = require('./helpers');
+
+const notionError = (status, code, message) => Object.assign(new Error(message), { status, code });
+
+test('JSON logs put text in msg, object fields on the line and the request id on both', () => {
+  const lines = [];
+  const log = createLogger({ out: { write: (l) => lines.push(JSON.parse(l)) } });
+  log.info('Token OK. Bot user:', 'bot');
+  const req = { get: () => 'req-1' };
+  requestContext(req, { setHeader() {} }, () => log.info('request', { route: '/tasks', status: 200, msg: 'ignored' }));
+  assert.deepEqual([lines[0].level, lines[0].msg, lines[0].requestId], ['info', 'Token OK. Bot user: bot', undefined]);
+  assert.deepEqual([lines[1].msg, lines[1].requestId, lines[1].route, lines[1].status], ['request', 'req-1', '/tasks', 200]);
+  createLogger({ level: 'warn', out: { write: () => assert.fail('info written below the level') } }).info('quiet');
+});
+
+test('metrics render in the Prometheus text format', () => {
+  const metrics = createMetrics({ prefix: 'x_' });
+  metrics.counter('hits_total', 'Hits.').inc({ route: '/a"b' });
+  metrics.histogram('wait_seconds', 'Waits.', [0.1, 1]).observe({}, 0.5);
+  assert.equal(metrics.render(), [
+    '# HELP x_hits_total Hits.', '# TYPE x_hits_total counter', 'x_hits_total{route="/a\\"b"} 1',
+    '# HELP x_wait_seconds Waits.', '# TYPE x_wait_seconds histogram',
+    'x_wait_seconds_bucket{le="0.1"} 0', 'x_wait_seconds_bucket{le="1"} 1', 'x_wait_seconds_bucket{le="+Inf"} 1',
+    'x_wait_seconds_sum 0.5', 'x_wait_seconds_count 1', '',
+  ].join('\n'));
+});
+
+test('observability routes', async (t) => {
+  const proxy = await startProxy({ tasks: [{ title: 'Write docs', date: hoursFromNow(1) }] });
+  t.after(() => proxy.close());
+  const request = proxy.fake.request;
+  t.afterEach(() => { proxy.fake.request = request; });
+
+  await t.test('request ids are echoed and included in error responses', async () => {
+    const ok = await proxy.get('/tasks/next', { 'x-request-id': 'trace-42' });
+    assert.equal(ok.headers.get('x-request-id'), 'trace-42');
+    const missing = await proxy.patch('/tasks/00000000000000000000000000000000', { done: true });
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.requestId, missing.headers.get('x-request-id'));
+  });
+
+  await t.test('/metrics counts requests, Notion calls and cache results', async () => {
+    const res = await fetch(`${proxy.url}/metrics`);
+    assert.match(res.headers.get('content-type'), /^text\/plain/);
+    const text = await res.text();
+    assert.match(text, /notion_proxy_http_requests_total\{method="GET",route="\/tasks\/next",status="200"\} 1/);
+    assert.match(text, /notion_proxy_notion_request_duration_seconds_count\{source="default",operation="POST databases\/:id\/query"\} \d+/);
+    assert.match(text, /notion_proxy_notion_errors_total\{source="default",operation="GET pages\/:id",status="404"\} 1/);
+    assert.match(text, /notion_proxy_notion_cache_requests_total\{source="default",result="miss"\} \d+/);
+    assert.match(text, /notion_proxy_source_ready\{source="default"\} 1/);
+  });
+
+  await t.test('/health tells an invalid token from a database that isn\'t shared', async () => {
+    assert.equal((await proxy.get('/health?refresh=1')).body.state, 'ready');
+
+    proxy.fake.request = async (args) => (args.path === 'users/me' ? Promise.reject(notionError(401, 'unauthorized', 'API token is invalid.')) : request(args));
+    const badToken = await proxy.get('/health?refresh=1');
+    assert.equal(badToken.status, 503);
+    assert.equal(badToken.body.state, 'token_invalid');
+
+    proxy.fake.request = async (args) => (args.path.startsWith('databases/') ? Promise.reject(notionError(404, 'object_not_found', 'Could not find database.')) : request(args));
+    const unshared = await proxy.get('/health?refresh=1');
+    assert.equal(unshared.status, 503);
+    assert.deepEqual([unshared.body.state, unshared.body.sources[0].token.ok], ['db_not_shared', true]);
+    assert.equal((await proxy.get('/health')).body.ok, false);
+  });
+});
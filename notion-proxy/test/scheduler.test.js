@@ -0,0 +1,90 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { planDay, freeSlots, priorityRank } = require('../scheduler');
+const { startProxy, daysFromToday } = require('./helpers');
+
+const at = (hhmm) => Date.parse(`2026-03-10T${hhmm}:00Z`);
+const hhmm = (ms) => new Date(ms).toISOString().slice(11, 16);
+const OPTS = { window: { start: at('09:00'), end: at('17:00') }, focusMin: 25, breakMin: 5, longBreakMin: 15, longBreakEvery: 4 };
+const task = (id, lengthMin, extra = {}) => ({ id, title: id, lengthMin, ...extra });
+const placed = (plan) => plan.items.filter((it) => it.type === 'task').map((it) => [it.task.id, hhmm(it.start), hhmm(it.end)]);
+
+test('freeSlots leaves out busy time, clipped to the window', () => {
+  const busy = [{ start: at('08:00'), end: at('09:30') }, { start: at('12:00'), end: at('13:00') }, { start: at('12:30'), end: at('13:30') }];
+  assert.deepEqual(freeSlots(OPTS.window, busy).map((s) => [hhmm(s.start), hhmm(s.end)]), [['09:30', '12:00'], ['13:30', '17:00']]);
+});
+
+test('tasks are fitted around fixed events, with breaks after each', () => {
+  const events = [{ title: 'Standup', start: at('09:30'), end: at('10:00') }];
+  const plan = planDay([task('a', 25), task('b', 50)], events, OPTS);
+  // b (2 pomodoros + a break) doesn't fit before the standup; a does
+  assert.deepEqual(placed(plan), [['a', '09:00', '09:25'], ['b', '10:00', '10:55']]);
+  assert.deepEqual(plan.items.map((it) => it.type), ['task', 'break', 'event', 'task', 'break']);
+  assert.equal(plan.items.find((it) => it.type === 'event').title, 'Standup');
+});
+
+test('deadlines come first, then priority, then the earlier planned start', () => {
+  const plan = planDay([
+    task('low', 25, { priority: 'Low' }),
+    task('high', 25, { priority: 'High' }),
+    task('due', 25, { priority: 'Low', deadlineMs: at('12:00') }),
+    task('top', 25, { priority: 1 }),
+    task('high-earlier', 25, { priority: 'high', plannedStartMs: at('08:00') }),
+  ], [], OPTS);
+  assert.deepEqual(placed(plan).map(([id]) => id), ['due', 'top', 'high-earlier', 'high', 'low']);
+  assert.deepEqual([priorityRank('Urgent'), priorityRank('whenever'), priorityRank(null), priorityRank(3)], [0, 4, 8, 3]);
+});
+
+test('long breaks come every few pomodoros and late tasks are flagged', () => {
+  const plan = planDay([task('a', 50), task('b', 50, { deadlineMs: at('09:30') })], [], OPTS);
+  assert.deepEqual(placed(plan), [['b', '09:00', '09:55'], ['a', '10:00', '10:55']]);
+  assert.equal(plan.items.find((it) => it.task?.id === 'b').late, true);
+  // The 4th pomodoro ends with a long break
+  assert.deepEqual(plan.items.filter((it) => it.type === 'break').map((it) => [hhmm(it.start), hhmm(it.end), it.long]), [['09:55', '10:00', false], ['10:55', '11:10', true]]);
+});
+
+test('tasks longer than the free time are skipped, and smaller ones still fill the gaps', () => {
+  const events = [{ title: 'Offsite', start: at('10:00'), end: at('16:00') }];
+  const plan = planDay([task('huge', 600), task('big', 120), task('small', 25)], events, OPTS);
+  assert.deepEqual(placed(plan), [['small', '09:00', '09:25']]);
+  assert.deepEqual(plan.unplaced.map((u) => [u.task.id, u.reason]), [
+    ['huge', 'longer than the working day'],
+    ['big', 'no free slot long enough'],
+  ]);
+  assert.equal(plan.freeMin, 120 - 25 - 5);
+});
+
+test('POST /schedule/plan', async (t) => {
+  const tomorrow = daysFromToday(1);
+  const proxy = await startProxy({
+    tasks: [
+      { title: 'Due by end of day', duration: '30m', status: 'Not started', deadline: tomorrow },
+      { title: 'Due at noon', duration: '30m', status: 'Not started', deadline: `${tomorrow}T12:00:00.000Z` },
+    ],
+  });
+  t.after(() => proxy.close());
+
+  await t.test('a date-only deadline lasts the whole day', async () => {
+    const { status, body } = await proxy.post('/schedule/plan', {
+      date: tomorrow, tz: 'UTC', workStart: '09:00', workEnd: '18:00',
+      events: [{ title: 'Workshop', startISO: `${tomorrow}T09:00:00.000Z`, endISO: `${tomorrow}T16:00:00.000Z` }],
+    });
+    assert.equal(status, 200);
+    const tasks = body.items.filter((it) => it.type === 'task');
+    // The noon deadline sorts first and is missed; the date-only one is met at 16:40
+    assert.deepEqual(tasks.map((it) => [it.title, it.startISO.slice(11, 16), it.late]), [
+      ['Due at noon', '16:00', true],
+      ['Due by end of day', '16:40', false],
+    ]);
+  });
+
+  await t.test('a working day that is already over plans nothing', async () => {
+    const { body } = await proxy.post('/schedule/plan', { date: daysFromToday(-1), tz: 'UTC' });
+    assert.deepEqual(body.items, []);
+    assert.deepEqual(body.unplaced.map((u) => u.reason), ['the working day is over', 'the working day is over']);
+    assert.equal(body.freeMin, 0);
+    assert.equal(body.window.startISO, body.window.endISO);
+  });
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startProxy, hoursFromNow } = require('./helpers');
+
+const KEY = 'test-key-1';
+const bearer = { authorization: `Bearer ${KEY}` };
+
+test('API keys', async (t) => {
+  const proxy = await startProxy({ env: { API_KEYS: `other-key, ${KEY}` }, tasks: [{ title: 'Soon', date: hoursFromNow(1) }] });
+  t.after(() => proxy.close());
+
+  await t.test('routes need a key', async () => {
+    const res = await proxy.get('/tasks/next');
+    assert.equal(res.status, 401);
+    assert.match(res.headers.get('www-authenticate'), /Bearer/);
+    assert.equal((await proxy.get('/tasks/next', { authorization: 'Bearer wrong' })).body.message, 'Invalid API key');
+  });
+
+  await t.test('Bearer and X-API-Key headers are accepted', async () => {
+    assert.equal((await proxy.get('/tasks/next', bearer)).body.next.title, 'Soon');
+    assert.equal((await proxy.get('/tasks/next', { 'x-api-key': 'other-key' })).status, 200);
+  });
+
+  await t.test('?key= only works for the SSE stream', async () => {
+    assert.equal((await proxy.get(`/tasks/next?key=${KEY}`)).status, 401);
+    const ctrl = new AbortController();
+    const res = await fetch(`${proxy.url}/events?key=${KEY}`, { signal: ctrl.signal });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/event-stream/);
+    ctrl.abort();
+  });
+
+  await t.test('/health is open but only detailed with a key', async () => {
+    const anon = await proxy.get('/health');
+    assert.equal(anon.status, 200);
+    assert.deepEqual(Object.keys(anon.body).sort(), ['ok', 'service']);
+    assert.ok((await proxy.get('/health', bearer)).body.schema);
+  });
+});
+
+test('debug routes are off unless DEBUG_ROUTES is set', async () => {
+  const off = await startProxy();
+  const on = await startProxy({ env: { DEBUG_ROUTES: '1' } });
+  try {
+    assert.equal((await off.get('/debug/env')).status, 404);
+    assert.equal((await on.get('/debug/env')).status, 200);
+  } finally {
+    await off.close();
+    await on.close();
+  }
+});
+
+test('clients are rate limited per key', async (t) => {
+  const proxy = await startProxy({ env: { RATE_LIMIT_PER_MIN: '3', API_KEYS: 'a,b' } });
+  t.after(() => proxy.close());
+  for (let i = 0; i < 3; i++) assert.equal((await proxy.get('/health', { 'x-api-key': 'a' })).status, 200);
+  const limited = await proxy.get('/health', { 'x-api-key': 'a' });
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('retry-after')) >= 1);
+  assert.equal((await proxy.get('/health', { 'x-api-key': 'b' })).status, 200);
+});
+
+test('CORS allow-list', async (t) => {
+  const proxy = await startProxy({ env: { CORS_ORIGIN: 'http://localhost:5173, https://hub.example.com/' } });
+  t.after(() => proxy.close());
+  const ok = await proxy.get('/health', { origin: 'https://hub.example.com' });
+  assert.equal(ok.headers.get('access-control-allow-origin'), 'https://hub.example.com');
+  const other = await proxy.get('/health', { origin: 'http://localhost:5173' });
+  assert.equal(other.headers.get('access-control-allow-origin'), 'http://localhost:5173');
+  const denied = await proxy.get('/health', { origin: 'https://evil.example' });
+  assert.equal(denied.status, 403);
+  assert.equal(denied.headers.get('access-control-allow-origin'), null);
+});
+
+test('Notion error bodies are hidden in production', async () => {
+  const dev = await startProxy();
+  const prod = await startProxy({ env: { NODE_ENV: 'production' } });
+  try {
+    const devRes = await dev.patch('/tasks/missing-page', { done: true });
+    assert.equal(devRes.status, 404);
+    assert.ok(devRes.body.body);
+    const prodRes = await prod.patch('/tasks/missing-page', { done: true });
+    assert.equal(prodRes.status, 404);
+    assert.equal(prodRes.body.code, 'object_not_found');
+    assert.equal(prodRes.body.body, undefined);
+  } finally {
+    await dev.close();
+    await prod.close();
+  }
+});
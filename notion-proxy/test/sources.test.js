@@ -0,0 +1,102 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startProxy, hoursFromNow } = require('./helpers');
+const { loadSources } = require('../sources');
+
+const SOURCES = {
+  work: { name: 'Work', tasks: [{ title: 'Standup', date: hoursFromNow(2) }, { title: 'Report', date: hoursFromNow(5) }] },
+  home: { name: 'Home', tasks: [{ title: 'Groceries', date: hoursFromNow(1) }, { title: 'Laundry' }] },
+  alex: { name: 'Alex', tasks: [{ title: 'Private', date: hoursFromNow(0.5) }], apiKeys: ['alex-key'] },
+};
+
+test('several task sources', async (t) => {
+  const proxy = await startProxy({ sources: SOURCES, env: { API_KEYS: 'team-key' } });
+  t.after(() => proxy.close());
+  const team = { authorization: 'Bearer team-key' };
+  const alex = { authorization: 'Bearer alex-key' };
+
+  await t.test('/sources lists what the key may see', async () => {
+    const ids = async (headers) => (await proxy.get('/sources', headers)).body.sources.map((s) => s.id);
+    assert.deepEqual(await ids(team), ['work', 'home']);
+    assert.deepEqual(await ids(alex), ['work', 'home', 'alex']);
+  });
+
+  await t.test('/tasks/next merges the selected sources', async () => {
+    assert.equal((await proxy.get('/tasks/next', team)).body.next.title, 'Groceries');
+    assert.equal((await proxy.get('/tasks/next', alex)).body.next.title, 'Private');
+    const work = await proxy.get('/tasks/next?sources=work', team);
+    assert.equal(work.body.next.title, 'Standup');
+    assert.equal(work.body.next.source, 'work');
+  });
+
+  await t.test('unknown or hidden sources are rejected', async () => {
+    const res = await proxy.get('/tasks/next?sources=alex', team);
+    assert.equal(res.status, 400);
+    assert.match(res.body.message, /alex/);
+  });
+
+  await t.test('/tasks merges in date order and pages per source', async () => {
+    const all = await proxy.get('/tasks?range=all&sources=work,home', team);
+    assert.deepEqual(all.body.tasks.map((x) => x.title), ['Groceries', 'Standup', 'Report', 'Laundry']);
+
+    const first = await proxy.get('/tasks?range=all&pageSize=1&sources=work,home', team);
+    assert.deepEqual(first.body.tasks.map((x) => x.title), ['Groceries', 'Standup']);
+    const second = await proxy.get(`/tasks?range=all&pageSize=1&sources=work,home&cursor=${first.body.nextCursor}`, team);
+    assert.deepEqual(second.body.tasks.map((x) => x.title), ['Report', 'Laundry']);
+    assert.equal(second.body.nextCursor, null);
+  });
+
+  await t.test('writes go to the task\'s own source', async () => {
+    const laundry = proxy.fakes.home.pages().find((p) => p.properties.Name.title[0].plain_text === 'Laundry');
+    const res = await proxy.patch(`/tasks/${laundry.id}`, { done: true }, team);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.task.source, 'home');
+    assert.equal(proxy.fakes.home.page(laundry.id).properties.Status.status.name, 'Done');
+
+    const hinted = await proxy.patch(`/tasks/${laundry.id}?source=work`, { done: false }, team);
+    assert.equal(hinted.status, 404);
+  });
+});
+
+test('source definitions', () => {
+  const sources = loadSources({
+    NOTION_TOKEN: 'shared',
+    WORK_TOKEN: 'work-token',
+    NOTION_SOURCES: JSON.stringify({
+      work: { name: 'Work', tokenEnv: 'WORK_TOKEN', databaseId: 'db-work', schema: { date: 'When', tags: null } },
+      home: { databaseId: 'db-home', statusDone: 'Erledigt' },
+    }),
+  });
+  assert.deepEqual(sources.map((s) => [s.id, s.name, s.token]), [['work', 'Work', 'work-token'], ['home', 'home', 'shared']]);
+  assert.equal(sources[0].mapping.date, 'When');
+  assert.equal(sources[0].mapping.tags, null);
+  assert.equal(sources[1].mapping.date, 'Date & Time');
+  assert.equal(sources[1].statusDone, 'Erledigt');
+
+  assert.throws(() => loadSources({ NOTION_SOURCES: '{"work": {}}' }), /needs a "databaseId"/);
+  assert.throws(() => loadSources({ NOTION_SOURCES: '{"work": {"databaseId": "x", "db": 1}}' }), /unknown field/);
+  assert.equal(loadSources({ NOTION_DATABASE_ID: 'legacy' })[0].id, 'default');
+});
+
+test('sources sharing a token never write to a page of a source the caller can\'t see', async (t) => {
+  const proxy = await startProxy({ sources: SOURCES, sharedToken: true, env: { API_KEYS: 'team-key' } });
+  t.after(() => proxy.close());
+  const team = { authorization: 'Bearer team-key' };
+  const [secret] = proxy.fakes.alex.pages();
+  const entry = { id: 's-hidden', mode: 'focus', taskId: secret.id, durationSec: 1500, startISO: hoursFromNow(-1), endISO: hoursFromNow(-0.5) };
+
+  const patched = await proxy.patch(`/tasks/${secret.id}`, { done: true }, team);
+  assert.equal(patched.status, 404);
+  assert.equal(patched.body.task, undefined);
+  assert.equal((await proxy.post('/sessions', entry, team)).body.results[0].status, 404);
+  const applied = await proxy.post('/schedule/apply', { items: [{ taskId: secret.id, startISO: hoursFromNow(2), endISO: hoursFromNow(3) }], dryRun: false }, team);
+  assert.equal(applied.body.changes[0].ok, false);
+  assert.equal(proxy.fakes.alex.page(secret.id).properties.Status.status, null);
+  assert.equal(proxy.fakes.alex.page(secret.id).properties['Actual Time'].number, null);
+
+  // Its owner still can, through the same token
+  const alex = { authorization: 'Bearer alex-key' };
+  assert.equal((await proxy.patch(`/tasks/${secret.id}`, { done: true }, alex)).body.task.source, 'alex');
+});
@@ -0,0 +1,145 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startProxy, hoursFromNow, daysFromToday } = require('./helpers');
+
+// Each test gets its own proxy + fake database
+async function withProxy(opts, fn) {
+  const proxy = await startProxy(opts);
+  try {
+    await fn(proxy);
+  } finally {
+    await proxy.close();
+  }
+}
+
+test('/tasks/next returns the earliest future task', () =>
+  withProxy({
+    tasks: [
+      { title: 'Later', date: hoursFromNow(5), duration: '30m', status: 'Not started' },
+      { title: 'Sooner', date: hoursFromNow(1), duration: '1h', status: 'Not started' },
+      { title: 'Past', date: hoursFromNow(-2), duration: '30m', status: 'Not started' },
+    ],
+  }, async ({ get }) => {
+    const { status, body } = await get('/tasks/next');
+    assert.equal(status, 200);
+    assert.equal(body.next.title, 'Sooner');
+    assert.equal(body.next.lengthMin, 60);
+    assert.equal(Date.parse(body.next.plannedEndISO) - Date.parse(body.next.plannedStartISO), 60 * 60000);
+  }));
+
+test('/tasks/next returns null when there are no tasks today or later', () =>
+  withProxy({
+    tasks: [
+      { title: 'Yesterday', date: daysFromToday(-1), status: 'Not started' },
+      { title: 'Earlier today', date: hoursFromNow(-1), status: 'Not started' },
+      { title: 'Unscheduled', status: 'Not started' },
+    ],
+  }, async ({ get }) => {
+    // "Earlier today" may be today or yesterday in UTC; either way its time has passed
+    const { status, body } = await get('/tasks/next?tz=UTC');
+    assert.equal(status, 200);
+    assert.equal(body.next, null);
+  }));
+
+test('/tasks/next falls back to a date-only task for today', () =>
+  withProxy({
+    tasks: [
+      { title: 'Yesterday', date: daysFromToday(-1), status: 'Not started' },
+      { title: 'All day today', date: daysFromToday(0), duration: '45m', status: 'Not started' },
+    ],
+  }, async ({ get }) => {
+    const { body } = await get('/tasks/next?tz=UTC');
+    assert.equal(body.next?.title, 'All day today');
+    assert.equal(body.next.plannedStartISO, daysFromToday(0));
+    assert.equal(body.next.lengthMin, 45);
+  }));
+
+// UTC+14 and UTC-12 are always on different calendar days
+const todayIn = (tz) => new Intl.DateTimeFormat('en-CA', { timeZone: tz }).format(new Date());
+const EAST = 'Pacific/Kiritimati';
+const WEST = 'Etc/GMT+12';
+
+test('/tasks/next compares date-only tasks with the client\'s day', () =>
+  withProxy({
+    tasks: [{ title: 'West today', date: todayIn(WEST), status: 'Not started' }],
+  }, async ({ get }) => {
+    const west = await get(`/tasks/next?tz=${encodeURIComponent(WEST)}`);
+    const east = await get(`/tasks/next?tz=${encodeURIComponent(EAST)}`);
+    assert.equal(west.body.next?.title, 'West today');
+    assert.equal(east.body.next, null); // already yesterday over there
+  }));
+
+test('/tasks/next rejects unknown time zones', () =>
+  withProxy({}, async ({ get }) => {
+    const { status, body } = await get('/tasks/next?tz=Mars/Olympus');
+    assert.equal(status, 400);
+    assert.match(body.message, /time zone/);
+  }));
+
+test('/tasks/next skips tasks marked done', () =>
+  withProxy({
+    tasks: [
+      { title: 'Done already', date: hoursFromNow(1), status: 'Done' },
+      { title: 'Still open', date: hoursFromNow(2), status: 'In progress' },
+    ],
+  }, async ({ get }) => {
+    const { body } = await get('/tasks/next');
+    assert.equal(body.next.title, 'Still open');
+  }));
+
+test('Time Estimate as a select label', () =>
+  withProxy({
+    tasks: [{ title: 'Labelled', date: hoursFromNow(1), duration: '1h 30m' }],
+  }, async ({ get }) => {
+    const { body } = await get('/tasks/next');
+    assert.equal(body.next.lengthMin, 90);
+  }));
+
+test('Time Estimate as a number property', () =>
+  withProxy({
+    schema: { 'Time Estimate': { type: 'number', number: { format: 'number' } } },
+    tasks: [{ title: 'Numbered', date: hoursFromNow(1), duration: 40 }],
+  }, async ({ get }) => {
+    const { body } = await get('/tasks/next');
+    assert.equal(body.next.lengthMin, 40);
+  }));
+
+test('tasks without an estimate default to 25 minutes', () =>
+  withProxy({
+    tasks: [
+      { title: 'No estimate', date: hoursFromNow(1) },
+      { title: 'Unparseable', date: hoursFromNow(2), properties: { 'Time Estimate': { select: { name: 'soon' } } } },
+    ],
+  }, async ({ get }) => {
+    const { body } = await get('/tasks?range=all');
+    assert.deepEqual(body.tasks.map((t) => t.lengthMin), [25, 25]);
+  }));
+
+test('an explicit end date wins over the estimate', () =>
+  withProxy({
+    tasks: [{ title: 'Ranged', date: { start: hoursFromNow(1), end: hoursFromNow(3) }, duration: '30m' }],
+  }, async ({ get }) => {
+    const { body } = await get('/tasks/next');
+    assert.equal(Date.parse(body.next.plannedEndISO) - Date.parse(body.next.plannedStartISO), 2 * 3600000);
+  }));
+
+test('repeated /tasks/next calls are served from the cache', () =>
+  withProxy({
+    tasks: [{ title: 'Soon', date: hoursFromNow(1), status: 'Not started' }],
+    env: { NOTION_CACHE_TTL_MS: '15000' },
+  }, async ({ get, fake }) => {
+    const request = fake.request;
+    let queries = 0;
+    fake.request = (args) => {
+      if (args.path.endsWith('/query')) queries++;
+      return request(args);
+    };
+    const first = await get('/tasks/next');
+    const second = await get('/tasks/next');
+    assert.equal(first.headers.get('x-cache'), 'MISS');
+    assert.equal(second.headers.get('x-cache'), 'HIT');
+    assert.equal(second.body.next.title, 'Soon');
+    assert.equal(queries, 1);
+  }));
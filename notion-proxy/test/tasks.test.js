@@ -0,0 +1,156 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startProxy, hoursFromNow } = require('./helpers');
+const { notionError } = require('../fake-notion');
+
+const TASKS = [
+  { title: 'Scheduled', date: hoursFromNow(1), duration: '30m', status: 'Not started' },
+  { title: 'Unscheduled A', duration: '15m', status: 'Not started' },
+  { title: 'Unscheduled B', status: 'Not started' },
+  { title: 'Finished', status: 'Done' },
+];
+
+test('task routes against the fake Notion', async (t) => {
+  const proxy = await startProxy({ tasks: TASKS });
+  t.after(() => proxy.close());
+
+  await t.test('/health reports a valid schema', async () => {
+    const { status, body } = await proxy.get('/health');
+    assert.equal(status, 200);
+    assert.equal(body.schema.ok, true);
+  });
+
+  await t.test('/tasks?range=unscheduled hides done tasks unless asked', async () => {
+    const open = await proxy.get('/tasks?range=unscheduled');
+    assert.deepEqual(open.body.tasks.map((x) => x.title), ['Unscheduled A', 'Unscheduled B']);
+    const all = await proxy.get('/tasks?range=unscheduled&includeDone=1');
+    assert.equal(all.body.tasks.length, 3);
+  });
+
+  await t.test('/tasks paginates with Notion cursors', async () => {
+    const first = await proxy.get('/tasks?range=all&pageSize=2');
+    assert.equal(first.body.tasks.length, 2);
+    assert.ok(first.body.nextCursor);
+    const second = await proxy.get(`/tasks?range=all&pageSize=2&cursor=${first.body.nextCursor}`);
+    assert.equal(second.body.tasks.length, 1);
+    assert.equal(second.body.nextCursor, null);
+  });
+
+  await t.test('/tasks?q= searches titles within the range', async () => {
+    const found = await proxy.get('/tasks?range=all&q=unscheduled');
+    assert.deepEqual(found.body.tasks.map((x) => x.title), ['Unscheduled A', 'Unscheduled B']);
+    const upcoming = await proxy.get('/tasks?range=upcoming&q=sched');
+    assert.deepEqual(upcoming.body.tasks.map((x) => x.title), ['Scheduled']);
+  });
+
+  await t.test('/tasks rejects unknown ranges', async () => {
+    const { status } = await proxy.get('/tasks?range=someday');
+    assert.equal(status, 400);
+  });
+
+  await t.test('PATCH /tasks/:id marks a task done and reschedules', async () => {
+    const id = (await proxy.get('/tasks/next')).body.next.id;
+    const start = hoursFromNow(24);
+    const res = await proxy.patch(`/tasks/${id}`, { startISO: start, lengthMin: 45 });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.task.plannedStartISO, start);
+    assert.equal(proxy.fake.page(id).properties['Time Estimate'].select.name, '45m');
+
+    await proxy.patch(`/tasks/${id}`, { done: true });
+    assert.equal(proxy.fake.page(id).properties.Status.status.name, 'Done');
+    assert.equal((await proxy.get('/tasks/next')).body.next, null);
+  });
+
+  await t.test('PATCH /tasks/:id validates its body', async () => {
+    const id = proxy.fake.pages()[0].id;
+    const res = await proxy.patch(`/tasks/${id}`, { done: 'yes' });
+    assert.equal(res.status, 400);
+  });
+
+  await t.test('POST /schedule/apply is a dry run by default', async () => {
+    const id = (await proxy.get('/tasks?range=unscheduled')).body.tasks[0].id;
+    const item = { taskId: id, startISO: hoursFromNow(2), endISO: hoursFromNow(3) };
+    const dry = await proxy.post('/schedule/apply', { items: [item] });
+    assert.equal(dry.body.dryRun, true);
+    assert.equal(proxy.fake.page(id).properties['Date & Time'].date, null);
+
+    const real = await proxy.post('/schedule/apply', { items: [item], dryRun: false });
+    assert.equal(real.body.ok, true);
+    assert.equal(proxy.fake.page(id).properties['Date & Time'].date.start, item.startISO);
+  });
+
+  await t.test('POST /sessions counts a session once, even when sent twice at the same time', async () => {
+    const id = (await proxy.get('/tasks?range=unscheduled')).body.tasks[0].id;
+    const entry = { id: 's-twice', mode: 'focus', taskId: id, durationSec: 1500, startISO: hoursFromNow(-1), endISO: hoursFromNow(-0.5) };
+    const [a, b] = await Promise.all([proxy.post('/sessions', entry), proxy.post('/sessions', entry)]);
+    assert.deepEqual([a.body.results[0].skipped, b.body.results[0].skipped].filter(Boolean), ['duplicate']);
+    assert.equal(proxy.fake.page(id).properties['Actual Time'].number, 25);
+  });
+
+  await t.test('POST /sessions reports a failed write to both senders of a session', async () => {
+    const { id } = proxy.fake.pages().find((p) => p.properties.Name.title[0].plain_text === 'Scheduled');
+    const entry = { id: 's-failing', mode: 'focus', taskId: id, durationSec: 600, startISO: hoursFromNow(-1), endISO: hoursFromNow(-0.8) };
+    const request = proxy.fake.request;
+    proxy.fake.request = async (args) => {
+      if (args.method === 'PATCH') throw notionError(503, 'service_unavailable', 'Notion is down');
+      return request(args);
+    };
+    const [a, b] = await Promise.all([proxy.post('/sessions', entry), proxy.post('/sessions', entry)]);
+    proxy.fake.request = request;
+    assert.deepEqual([a.body.results[0], b.body.results[0]].map((r) => [r.ok, r.status]), [[false, 503], [false, 503]]);
+
+    // Both kept it, so the resend counts it
+    assert.equal((await proxy.post('/sessions', entry)).body.results[0].ok, true);
+    assert.equal(proxy.fake.page(id).properties['Actual Time'].number, 10);
+  });
+});
+
+test('POST /sessions adds up different sessions for one task sent at the same time', async () => {
+  const proxy = await startProxy({ tasks: [{ title: 'Write docs', status: 'Not started' }], env: { NOTION_CACHE_TTL_MS: '60000' } });
+  try {
+    const id = proxy.fake.pages()[0].id;
+    // A cached copy of the page, as a dry-run /schedule/apply leaves behind, then an edit in the Notion app
+    await proxy.post('/schedule/apply', { items: [{ taskId: id, startISO: hoursFromNow(2), endISO: hoursFromNow(3) }] });
+    const request = proxy.fake.request;
+    await request({ path: `pages/${id}`, method: 'PATCH', body: { properties: { 'Actual Time': { number: 10 } } } });
+    proxy.fake.request = async (args) => {
+      await new Promise((r) => setTimeout(r, 50));
+      return request(args);
+    };
+    const entry = (sid) => ({ id: sid, mode: 'focus', taskId: id, durationSec: 1500, startISO: hoursFromNow(-1), endISO: hoursFromNow(-0.5) });
+    const [a, b] = await Promise.all([proxy.post('/sessions', entry('alice-1')), proxy.post('/sessions', entry('bob-1'))]);
+    proxy.fake.request = request;
+    assert.deepEqual([a.body.results[0].ok, b.body.results[0].ok], [true, true]);
+    assert.equal(proxy.fake.page(id).properties['Actual Time'].number, 60);
+    assert.equal(proxy.fake.page(id).properties['Focus Sessions'].rich_text[0].plain_text, 'alice-1 bob-1');
+  } finally {
+    await proxy.close();
+  }
+});
+
+test('POST /sessions recognises a session resent after a restart', async () => {
+  const first = await startProxy({ tasks: [{ title: 'Write docs', status: 'Not started' }] });
+  const id = first.fake.pages()[0].id;
+  const entry = { id: 's-replayed', mode: 'focus', taskId: id, durationSec: 1500, startISO: hoursFromNow(-1), endISO: hoursFromNow(-0.5) };
+  assert.equal((await first.post('/sessions', entry)).body.results[0].actualMin, 25);
+  await first.close();
+
+  const second = await startProxy({ fake: first.fake });
+  try {
+    assert.equal((await second.post('/sessions', entry)).body.results[0].skipped, 'duplicate');
+    assert.equal((await second.post('/sessions', { ...entry, id: 's-next' })).body.results[0].actualMin, 50);
+    assert.equal(first.fake.page(id).properties['Focus Sessions'].rich_text[0].plain_text, 's-replayed s-next');
+  } finally {
+    await second.close();
+  }
+});
+
+test('required properties missing from the database make task routes answer 503', async (t) => {
+  const proxy = await startProxy({ env: { NOTION_PROP_DATE: 'When' } });
+  t.after(() => proxy.close());
+  const { status, body } = await proxy.get('/tasks/next');
+  assert.equal(status, 503);
+  assert.equal(body.schema.missing[0].property, 'When');
+});
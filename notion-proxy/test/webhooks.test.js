@@ -0,0 +1,121 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { loadWebhooks, renderTemplate, sign } = require('../webhooks');
+const { startProxy, hoursFromNow } = require('./helpers');
+
+// Local endpoint standing in for Discord & co.; answers the queued statuses first, then 204
+async function startReceiver() {
+  const received = [];
+  const statuses = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body, json: JSON.parse(body) });
+      res.writeHead(statuses.shift() || 204).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    received,
+    failNext: (...codes) => statuses.push(...codes),
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+const until = async (check, ms = 2000) => {
+  for (const end = Date.now() + ms; Date.now() < end; await new Promise((r) => setTimeout(r, 20))) {
+    const value = await check();
+    if (value) return value;
+  }
+  throw new Error('Timed out waiting');
+};
+
+test('loadWebhooks validates its config', () => {
+  assert.throws(() => loadWebhooks({ WEBHOOKS: '{"chat":{"url":"https://example.com","events":["task.started"]}}' }), /"events" must list/);
+  assert.throws(() => loadWebhooks({ WEBHOOKS: '{"chat":{"urlEnv":"CHAT_URL"}}' }), /needs an http\(s\) "url" \(from CHAT_URL\)/);
+  const [hook] = loadWebhooks({ WEBHOOKS: '{"chat":{"urlEnv":"CHAT_URL","secretEnv":"CHAT_SECRET","format":"Discord"}}', CHAT_URL: 'https://example.com/hook', CHAT_SECRET: 's3cret' });
+  assert.deepEqual([hook.url, hook.secret, hook.format, hook.events.length], ['https://example.com/hook', 's3cret', 'discord', 4]);
+  assert.equal(renderTemplate('{{user}} on {{task}}{{missing}}', { user: 'Ana', task: 'Docs' }), 'Ana on Docs');
+});
+
+test('webhooks', async (t) => {
+  const receiver = await startReceiver();
+  const proxy = await startProxy({
+    tasks: [{ title: 'Write docs', date: hoursFromNow(1), duration: '50m', status: 'Not started' }],
+    env: {
+      WEBHOOKS: JSON.stringify({
+        team: { url: `${receiver.url}/team`, secret: 'shh', events: ['session.started', 'session.completed', 'daily.summary'] },
+        chat: { url: `${receiver.url}/chat`, format: 'discord', events: ['task.done'], templates: { 'task.done': '{{task}} done by {{user}}' } },
+        work: { url: `${receiver.url}/work`, events: ['task.done', 'daily.summary'], sources: ['work'] },
+      }),
+      WEBHOOK_RETRIES: '2',
+      WEBHOOK_BACKOFF_MS: '10',
+      DAILY_SUMMARY_AT: '',
+    },
+  });
+  t.after(async () => {
+    await proxy.close();
+    await receiver.close();
+  });
+  const taskId = proxy.fake.pages()[0].id;
+  const report = (transition, extra = {}) => proxy.post('/timer', {
+    transition, sessionId: 's1', mode: 'focus', minutes: 50, user: 'Ana', task: { id: taskId, title: 'Write docs', source: 'default' }, ...extra,
+  });
+
+  await t.test('a focus block starting is posted, signed, once', async () => {
+    // Answered before the webhook is called
+    const res = await report('started');
+    assert.deepEqual(res.body.deliveries.map((d) => [d.webhook, d.status]), [['team', 'pending']]);
+    assert.equal((await report('started')).body.skipped, 'duplicate');
+    assert.equal((await report('started', { sessionId: 's2', mode: 'break' })).body.event, null);
+
+    await until(async () => (await proxy.get('/webhooks/deliveries?webhook=team')).body.deliveries[0]?.status === 'delivered');
+    assert.equal(receiver.received.length, 1);
+    const [{ headers, body, json }] = receiver.received;
+    assert.equal(headers['x-lf-event'], 'session.started');
+    assert.equal(headers['x-lf-signature'], sign('shh', headers['x-lf-timestamp'], body));
+    assert.equal(json.text, '🍅 Ana started a 50m focus block on Write docs');
+    assert.equal(json.data.taskId, taskId);
+  });
+
+  await t.test('failed deliveries are retried with backoff', async () => {
+    receiver.received.length = 0;
+    receiver.failNext(503);
+    const first = (await report('completed', { minutes: 48 })).body.deliveries[0];
+    const delivery = await until(async () => (await proxy.get('/webhooks/deliveries?webhook=team')).body.deliveries.find((d) => d.id === first.id && d.status !== 'pending'));
+    assert.equal(delivery.status, 'delivered');
+    assert.deepEqual(delivery.attempts.map((a) => a.status), [503, 204]);
+    assert.equal(receiver.received[1].headers['x-lf-delivery'], first.id);
+  });
+
+  await t.test('client errors are not retried', async () => {
+    receiver.failNext(404);
+    const { body } = await proxy.post('/webhooks/team/test');
+    assert.equal(body.delivery.status, 'failed');
+    assert.equal(body.delivery.attempts.length, 1);
+  });
+
+  await t.test('finishing a task fires task.done with the webhook\'s template', async () => {
+    receiver.received.length = 0;
+    await proxy.patch(`/tasks/${taskId}`, { done: true, user: 'Ana' });
+    const msg = await until(() => receiver.received.find((r) => r.path === '/chat'));
+    assert.deepEqual(msg.json, { content: 'Write docs done by Ana', allowed_mentions: { parse: [] } });
+    assert.ok(!receiver.received.some((r) => r.path === '/work'));
+  });
+
+  await t.test('the daily summary counts the day so far', async () => {
+    receiver.received.length = 0;
+    await proxy.post('/webhooks/daily-summary');
+    const { json } = receiver.received[0];
+    assert.equal(json.event, 'daily.summary');
+    assert.deepEqual([json.data.sessions, json.data.focusMin, json.data.tasksDone, json.data.people], [1, 48, 1, 'Ana: 1 block, 48 min']);
+    assert.equal(json.data.tasks, '• Write docs');
+    // The "work" webhook only hears about its own source: nothing today, so no summary
+    assert.deepEqual(receiver.received.map((r) => r.path), ['/team']);
+  });
+});
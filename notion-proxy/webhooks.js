@@ -0,0 +1,280 @@
+'use strict';
+
+// Outgoing webhooks: chat channels (Discord, Slack) or any HTTP endpoint hear about focus blocks,
+// finished tasks and a daily summary. WEBHOOKS (inline JSON) or WEBHOOKS_FILE (a JSON file like
+// webhooks.example.json) list them by id. Each delivery is a POST, signed when the webhook has a
+// secret; failures (network, 408, 429, 5xx) are retried with exponential backoff, and the last
+// deliveries are kept in memory for GET /webhooks/deliveries.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const days = require('./days');
+
+const WEBHOOK_ID = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+const WEBHOOK_FIELDS = ['url', 'urlEnv', 'secret', 'secretEnv', 'events', 'format', 'templates', 'sources'];
+const EVENTS = ['session.started', 'session.completed', 'task.done', 'daily.summary'];
+const FORMATS = ['json', 'discord', 'slack'];
+
+// Message text per event; {{name}} is replaced by that field of the event data
+const DEFAULT_TEMPLATES = {
+  'session.started': '🍅 {{user}} started a {{minutes}}m focus block on {{task}}',
+  'session.completed': '✅ {{user}} finished {{minutes}}m of focus on {{task}}',
+  'task.done': '🏁 {{user}} finished "{{task}}"',
+  'daily.summary': '📊 Focus on {{date}}: {{sessions}} blocks, {{focusMin}} min, {{tasksDone}} tasks done\n{{people}}',
+  ping: '👋 Test message from notion-proxy ({{webhook}})',
+};
+
+const str = (v) => (typeof v === 'string' ? v.trim() : '');
+
+function readWebhooksConfig(env, baseDir) {
+  if (str(env.WEBHOOKS)) {
+    try {
+      return JSON.parse(env.WEBHOOKS);
+    } catch (e) {
+      throw new Error(`WEBHOOKS is not valid JSON: ${e.message}`);
+    }
+  }
+  if (str(env.WEBHOOKS_FILE)) {
+    const full = path.resolve(baseDir, env.WEBHOOKS_FILE.trim());
+    try {
+      return JSON.parse(fs.readFileSync(full, 'utf8'));
+    } catch (e) {
+      throw new Error(`Cannot read webhooks file ${full}: ${e.message}`);
+    }
+  }
+  return null;
+}
+
+// Webhook definitions; url and secret can come from env vars (urlEnv / secretEnv) to keep them out of the file
+function loadWebhooks(env = process.env, baseDir = __dirname) {
+  const config = readWebhooksConfig(env, baseDir);
+  if (!config) return [];
+  if (typeof config !== 'object' || Array.isArray(config)) throw new Error('Webhooks must be a JSON object like { "<id>": { "url": "…" } }');
+
+  return Object.entries(config).map(([id, raw]) => {
+    const where = `Webhook "${id}"`;
+    if (!WEBHOOK_ID.test(id)) throw new Error(`${where}: ids use letters, digits, "-" and "_" (at most 32)`);
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error(`${where} must be an object`);
+    const unknown = Object.keys(raw).filter((k) => !WEBHOOK_FIELDS.includes(k));
+    if (unknown.length) throw new Error(`${where}: unknown field(s) ${unknown.join(', ')}`);
+
+    const url = raw.urlEnv ? str(env[raw.urlEnv]) : str(raw.url);
+    if (!/^https?:\/\//i.test(url)) throw new Error(`${where} needs an http(s) "url"${raw.urlEnv ? ` (from ${raw.urlEnv})` : ''}`);
+    const events = raw.events ?? EVENTS;
+    if (!Array.isArray(events) || !events.every((e) => EVENTS.includes(e))) throw new Error(`${where}: "events" must list some of ${EVENTS.join(', ')}`);
+    const format = str(raw.format).toLowerCase() || 'json';
+    if (!FORMATS.includes(format)) throw new Error(`${where}: "format" must be one of ${FORMATS.join(', ')}`);
+    const templates = raw.templates ?? {};
+    if (typeof templates !== 'object' || Array.isArray(templates) || !Object.entries(templates).every(([k, v]) => EVENTS.includes(k) && typeof v === 'string')) {
+      throw new Error(`${where}: "templates" maps event names to message strings`);
+    }
+    if (raw.sources !== undefined && !(Array.isArray(raw.sources) && raw.sources.every((s) => str(s)))) {
+      throw new Error(`${where}: "sources" must be a list of task source ids`);
+    }
+    return {
+      id,
+      url,
+      secret: raw.secretEnv ? str(env[raw.secretEnv]) : str(raw.secret),
+      events,
+      format,
+      templates,
+      sources: raw.sources ? raw.sources.map(str) : null,
+    };
+  });
+}
+
+// "{{user}} on {{task}}" with data fields; unknown names become empty
+const renderTemplate = (template, data) => template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, name) => {
+  const value = name.split('.').reduce((v, k) => (v == null ? v : v[k]), data);
+  return value == null ? '' : String(value);
+});
+
+// Receivers recompute this over "<X-LF-Timestamp>.<raw body>" and compare it with X-LF-Signature
+const sign = (secret, timestamp, body) => `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// What each format's endpoint expects
+function payload(hook, delivery, data) {
+  const text = renderTemplate(hook.templates[delivery.event] || DEFAULT_TEMPLATES[delivery.event], data).trim();
+  if (hook.format === 'discord') return { content: text.slice(0, 2000), allowed_mentions: { parse: [] } };
+  if (hook.format === 'slack') return { text };
+  return { id: delivery.id, event: delivery.event, at: delivery.createdAt, text, data };
+}
+
+const RETRY_STATUS = [408, 429];
+const MAX_BACKOFF_MS = 10 * 60000;
+
+/**
+ * hooks: from loadWebhooks. retries: attempts after the first; backoffMs: wait before the first
+ * retry, doubled for each next one (a Retry-After header wins). logSize: deliveries kept.
+ * Returns { enabled, list(), emit(event, data), emitEach(event, dataFor), enqueue(event, data),
+ * test(id), deliveries({webhook, limit}), close() }.
+ */
+function createWebhooks({ hooks = [], retries = 5, backoffMs = 2000, logSize = 200, log, fetchImpl = fetch }) {
+  const deliveryLog = []; // newest first
+  const timers = new Set();
+
+  const later = (fn, ms) => {
+    const t = setTimeout(() => {
+      timers.delete(t);
+      fn();
+    }, ms);
+    t.unref?.();
+    timers.add(t);
+  };
+
+  async function attempt(hook, delivery, body) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      'content-type': 'application/json',
+      'user-agent': 'notion-proxy-webhooks',
+      'x-lf-event': delivery.event,
+      'x-lf-delivery': delivery.id,
+      'x-lf-timestamp': timestamp,
+      ...(hook.secret ? { 'x-lf-signature': sign(hook.secret, timestamp, body) } : {}),
+    };
+    const started = Date.now();
+    let retryAfterMs = null;
+    let retry = true;
+    try {
+      const res = await fetchImpl(hook.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(10000) });
+      delivery.attempts.push({ at: new Date(started).toISOString(), status: res.status, ms: Date.now() - started });
+      if (res.ok) {
+        delivery.status = 'delivered';
+        delivery.nextAttemptAt = null;
+        return;
+      }
+      retry = res.status >= 500 || RETRY_STATUS.includes(res.status);
+      const after = Number(res.headers.get('retry-after'));
+      if (Number.isFinite(after) && after >= 0) retryAfterMs = after * 1000;
+    } catch (e) {
+      delivery.attempts.push({ at: new Date(started).toISOString(), error: e?.message || String(e), ms: Date.now() - started });
+    }
+
+    if (!retry || delivery.attempts.length > retries) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      const last = delivery.attempts.at(-1);
+      log.warn(`Webhook "${hook.id}" gave up on ${delivery.event} after ${delivery.attempts.length} attempt(s):`, last.error || `HTTP ${last.status}`);
+      return;
+    }
+    const wait = Math.min(MAX_BACKOFF_MS, retryAfterMs ?? backoffMs * 2 ** (delivery.attempts.length - 1));
+    delivery.nextAttemptAt = new Date(Date.now() + wait).toISOString();
+    later(() => attempt(hook, delivery, body), wait);
+  }
+
+  // Starts a delivery: the record right away (pending), and `sent` resolving to it after the
+  // first attempt; retries go on in the background
+  function deliver(hook, event, data) {
+    const delivery = { id: crypto.randomUUID(), webhook: hook.id, event, status: 'pending', createdAt: new Date().toISOString(), nextAttemptAt: null, attempts: [] };
+    deliveryLog.unshift(delivery);
+    deliveryLog.length = Math.min(deliveryLog.length, logSize);
+    const sent = attempt(hook, delivery, JSON.stringify(payload(hook, delivery, data))).then(() => delivery);
+    return { delivery, sent };
+  }
+
+  // Webhooks listening for `event` (and, for task events, watching its source)
+  const targets = (event, source) => hooks.filter((h) => h.events.includes(event) && (!h.sources || !source || h.sources.includes(source)));
+
+  // Sends `event` to its webhooks; resolves after the first attempts to the delivery records
+  const emit = (event, data) => Promise.all(targets(event, data.source).map((h) => deliver(h, event, data).sent));
+
+  // Same, with data built for each webhook listening: dataFor(hook), null to skip it
+  const emitEach = (event, dataFor) => Promise.all(hooks
+    .filter((h) => h.events.includes(event))
+    .map((h) => [h, dataFor(h)])
+    .filter(([, data]) => data)
+    .map(([h, data]) => deliver(h, event, data).sent));
+
+  // Same as emit without waiting, for routes that answer first: the pending delivery records
+  const enqueue = (event, data) => targets(event, data.source).map((h) => {
+    const { delivery, sent } = deliver(h, event, data);
+    sent.catch((e) => log.err(`Webhook "${h.id}" delivery failed:`, e?.message || e));
+    return delivery;
+  });
+
+  function test(id) {
+    const hook = hooks.find((h) => h.id === id);
+    return hook ? deliver(hook, 'ping', { webhook: id }).sent : null;
+  }
+
+  const deliveries = ({ webhook, limit = 50 } = {}) => deliveryLog.filter((d) => !webhook || d.webhook === webhook).slice(0, limit);
+
+  // URLs aren't shown: Discord and Slack webhook URLs are secrets
+  const list = () => hooks.map((h) => ({
+    id: h.id, host: new URL(h.url).host, events: h.events, format: h.format, signed: Boolean(h.secret), sources: h.sources,
+  }));
+
+  const close = () => {
+    for (const t of timers) clearTimeout(t);
+    timers.clear();
+  };
+
+  return { enabled: hooks.length > 0, list, emit, emitEach, enqueue, test, deliveries, close };
+}
+
+/**
+ * Daily summary: tallies finished focus blocks and tasks per day (in memory, so a restart starts
+ * the day over) and emits daily.summary at `at` ("HH:MM" in `tz`; empty = only via sendNow).
+ * Each webhook's summary only counts its own sources (blocks without a task count for all, as
+ * their session.* events do); webhooks with nothing to report that day are skipped.
+ */
+function createDailySummary({ tz, rollover = 0, at, emitEach, log }) {
+  let tally = null;
+  let timer = null;
+
+  const current = () => {
+    const day = days.dayKey(new Date(), { tz, rollover });
+    if (tally?.date !== day) tally = { date: day, sessions: [], tasksDone: [] };
+    return tally;
+  };
+
+  const visible = (item, sources) => !sources || !item.source || sources.includes(item.source);
+
+  // Summary of the day for a webhook watching `sources` (null = all), or null when it saw nothing
+  function summary(t, sources) {
+    const sessions = t.sessions.filter((s) => visible(s, sources));
+    const tasksDone = t.tasksDone.filter((task) => visible(task, sources));
+    if (!sessions.length && !tasksDone.length) return null;
+    const people = new Map();
+    for (const s of sessions) {
+      const p = people.get(s.user) || { blocks: 0, minutes: 0 };
+      people.set(s.user, { blocks: p.blocks + 1, minutes: p.minutes + s.minutes });
+    }
+    return {
+      date: t.date,
+      sessions: sessions.length,
+      focusMin: sessions.reduce((sum, s) => sum + s.minutes, 0),
+      tasksDone: tasksDone.length,
+      people: [...people].map(([user, p]) => `${user}: ${p.blocks} block${p.blocks === 1 ? '' : 's'}, ${p.minutes} min`).join('\n'),
+      tasks: tasksDone.map((task) => `• ${task.title}`).join('\n'),
+    };
+  }
+
+  async function sendNow() {
+    const t = current();
+    return emitEach('daily.summary', (hook) => summary(t, hook.sources));
+  }
+
+  function schedule() {
+    if (!at) return;
+    const now = new Date();
+    const today = days.dayKey(now, { tz });
+    let next = days.atTime(today, at, tz).getTime();
+    if (next <= now.getTime()) next = days.atTime(days.shiftDay(today, 1), at, tz).getTime();
+    timer = setTimeout(() => {
+      sendNow().catch((e) => log.err('Daily summary failed:', e?.message || e));
+      schedule();
+    }, next - now.getTime());
+    timer.unref?.();
+  }
+  schedule();
+
+  return {
+    addSession: ({ user, minutes, source }) => current().sessions.push({ user, minutes, source }),
+    addTaskDone: ({ title, source }) => current().tasksDone.push({ title, source }),
+    sendNow,
+    close: () => clearTimeout(timer),
+  };
+}
+
+module.exports = { EVENTS, DEFAULT_TEMPLATES, loadWebhooks, renderTemplate, sign, createWebhooks, createDailySummary };